@@ -0,0 +1,713 @@
+#!/usr/bin/env node
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const fs = require('fs');
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('../lib');
+
+const USAGE = `Usage: inode-decode [options] [hex...]
+
+Decodes iNode MSD payloads, BT HCI frames and GSM upload bodies.
+
+Inputs are read from the hex arguments, the files specified with --file or (if neither was specified)
+from stdin. Hex inputs may contain whitespace, colons and dashes. Every non-empty line of a hex file
+is decoded separately.
+
+Options:
+  -t, --type <type>          The type of inputs: auto (default), msd, hci or gsm
+  -f, --file <path>          Reads the inputs from the specified file (- for stdin); may be repeated
+  -e, --encoding <encoding>  The encoding of files: auto (default), hex or binary
+  -o, --format <format>      The output format: json (default), ndjson or table
+      --time <seconds>       The GSM time query parameter (UNIX time in seconds; the current time by default)
+      --strict               Rejects MSD that doesn't have exactly the length expected by its device model
+      --lenient              Decodes MSD that is longer than expected by its device model (default)
+  -h, --help                 Prints this help
+
+Exits with code 1 if any of the inputs couldn't be decoded.`;
+
+/**
+ * @private
+ * @enum {string}
+ */
+const InputType = {
+  Auto: 'auto',
+  Msd: 'msd',
+  Hci: 'hci',
+  Gsm: 'gsm'
+};
+
+/**
+ * @private
+ * @enum {string}
+ */
+const OutputFormat = {
+  Json: 'json',
+  Ndjson: 'ndjson',
+  Table: 'table'
+};
+
+/**
+ * @private
+ * @enum {string}
+ */
+const FileEncoding = {
+  Auto: 'auto',
+  Hex: 'hex',
+  Binary: 'binary'
+};
+
+main(process.argv.slice(2));
+
+/**
+ * @private
+ * @param {Array<string>} argv
+ */
+function main(argv)
+{
+  let options;
+
+  try
+  {
+    options = parseArgs(argv);
+  }
+  catch (err)
+  {
+    process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    process.exitCode = 2;
+
+    return;
+  }
+
+  if (options.help)
+  {
+    process.stdout.write(`${USAGE}\n`);
+
+    return;
+  }
+
+  if (!options.hex.length && !options.files.length)
+  {
+    if (process.stdin.isTTY)
+    {
+      process.stdout.write(`${USAGE}\n`);
+
+      return;
+    }
+
+    options.files.push('-');
+  }
+
+  readInputs(options, (err, inputs) =>
+  {
+    if (err)
+    {
+      process.stderr.write(`${err.message}\n`);
+      process.exitCode = 2;
+
+      return;
+    }
+
+    const results = decodeInputs(inputs, options);
+
+    process.stdout.write(formatResults(results, options.format));
+
+    if (results.some(result => result.error !== null))
+    {
+      process.exitCode = 1;
+    }
+  });
+}
+
+/**
+ * @private
+ * @param {Array<string>} argv
+ * @returns {CliOptions}
+ * @throws {Error} If the arguments are invalid.
+ */
+function parseArgs(argv)
+{
+  const options = {
+    help: false,
+    type: InputType.Auto,
+    encoding: FileEncoding.Auto,
+    format: OutputFormat.Json,
+    gsmTime: -1,
+    strict: false,
+    hex: [],
+    files: []
+  };
+
+  for (let i = 0; i < argv.length; ++i)
+  {
+    const arg = argv[i];
+    const nextValue = () =>
+    {
+      if (i + 1 === argv.length)
+      {
+        throw new Error(`Option ${arg} requires a value.`);
+      }
+
+      return argv[++i];
+    };
+
+    switch (arg)
+    {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+
+      case '-t':
+      case '--type':
+        options.type = parseEnumValue(arg, nextValue(), InputType);
+        break;
+
+      case '-f':
+      case '--file':
+        options.files.push(nextValue());
+        break;
+
+      case '-e':
+      case '--encoding':
+        options.encoding = parseEnumValue(arg, nextValue(), FileEncoding);
+        break;
+
+      case '-o':
+      case '--format':
+        options.format = parseEnumValue(arg, nextValue(), OutputFormat);
+        break;
+
+      case '--time':
+        options.gsmTime = parseGsmTime(arg, nextValue());
+        break;
+
+      case '--strict':
+        options.strict = true;
+        break;
+
+      case '--lenient':
+        options.strict = false;
+        break;
+
+      default:
+        if (arg.length > 1 && arg[0] === '-')
+        {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+
+        options.hex.push(arg);
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * @private
+ * @param {string} option
+ * @param {string} value
+ * @param {Object<string, string>} enumObject
+ * @returns {string}
+ * @throws {Error} If the specified value is not one of the enum values.
+ */
+function parseEnumValue(option, value, enumObject)
+{
+  const values = Object.keys(enumObject).map(key => enumObject[key]);
+
+  if (values.indexOf(value) === -1)
+  {
+    throw new Error(`Option ${option} must be one of: ${values.join(', ')}; got: ${value}`);
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @param {string} option
+ * @param {string} value
+ * @returns {number}
+ * @throws {Error} If the specified value is not a UNIX time.
+ */
+function parseGsmTime(option, value)
+{
+  if (!/^[0-9]+$/.test(value))
+  {
+    throw new Error(`Option ${option} requires a UNIX time in seconds, got: ${value}`);
+  }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * @private
+ * @param {CliOptions} options
+ * @param {function(?Error, Array<CliInput>=): void} done
+ */
+function readInputs(options, done)
+{
+  const inputs = [];
+
+  try
+  {
+    options.hex.forEach((hex, i) => inputs.push(parseHexInput(`arg:${i + 1}`, hex)));
+  }
+  catch (err)
+  {
+    done(err);
+
+    return;
+  }
+
+  const files = options.files.slice();
+
+  readNextFile();
+
+  function readNextFile()
+  {
+    if (!files.length)
+    {
+      done(null, inputs);
+
+      return;
+    }
+
+    const file = files.shift();
+
+    readFile(file, (readErr, contents) =>
+    {
+      if (readErr)
+      {
+        done(new Error(`Failed to read ${file}: ${readErr.message}`));
+
+        return;
+      }
+
+      try
+      {
+        inputs.push.apply(inputs, splitFileInputs(file === '-' ? 'stdin' : file, contents, options.encoding));
+      }
+      catch (err)
+      {
+        done(err);
+
+        return;
+      }
+
+      readNextFile();
+    });
+  }
+}
+
+/**
+ * @private
+ * @param {string} file
+ * @param {function(?Error, Buffer=): void} done
+ */
+function readFile(file, done)
+{
+  if (file !== '-')
+  {
+    fs.readFile(file, done);
+
+    return;
+  }
+
+  const chunks = [];
+
+  process.stdin.on('data', chunk => chunks.push(chunk));
+  process.stdin.on('error', done);
+  process.stdin.on('end', () => done(null, Buffer.concat(chunks)));
+}
+
+/**
+ * @private
+ * @param {string} source
+ * @param {Buffer} contents
+ * @param {FileEncoding} encoding
+ * @returns {Array<CliInput>}
+ * @throws {Error} If the hex contents are invalid.
+ */
+function splitFileInputs(source, contents, encoding)
+{
+  if (encoding === FileEncoding.Binary || (encoding === FileEncoding.Auto && !isHexText(contents)))
+  {
+    return [{source: source, buffer: contents}];
+  }
+
+  const inputs = [];
+
+  contents.toString().split(/\r?\n/).forEach((line, i) =>
+  {
+    if (line.trim() !== '')
+    {
+      inputs.push(parseHexInput(`${source}:${i + 1}`, line));
+    }
+  });
+
+  return inputs;
+}
+
+/**
+ * @private
+ * @param {Buffer} contents
+ * @returns {boolean}
+ */
+function isHexText(contents)
+{
+  return /^[0-9a-fA-Fx\s:-]*$/.test(contents.toString('binary'));
+}
+
+/**
+ * @private
+ * @param {string} source
+ * @param {string} hex
+ * @returns {CliInput}
+ * @throws {Error} If the specified string is not a valid hex string.
+ */
+function parseHexInput(source, hex)
+{
+  const digits = hex.replace(/0x/gi, '').replace(/[\s:-]+/g, '');
+
+  if (!/^([0-9a-fA-F]{2})*$/.test(digits))
+  {
+    throw new Error(`Invalid hex input (${source}): ${hex}`);
+  }
+
+  return {
+    source: source,
+    buffer: new Buffer(digits, 'hex')
+  };
+}
+
+/**
+ * @private
+ * @param {Array<CliInput>} inputs
+ * @param {CliOptions} options
+ * @returns {Array<CliResult>}
+ */
+function decodeInputs(inputs, options)
+{
+  const decodeOptions = {
+    strict: options.strict,
+    strictLength: options.strict
+  };
+  const unregisterMsdDecoder = iNodeHci.registerManufacturerSpecificDataDecoder(
+    btHci.decoders.eirDataType,
+    decodeOptions
+  );
+  const unregisterBeaconDecoders = iNodeHci.registerBeaconDecoders(btHci.decoders.eirDataType);
+
+  try
+  {
+    return inputs.map(input => decodeInput(input, options, decodeOptions));
+  }
+  finally
+  {
+    unregisterBeaconDecoders();
+    unregisterMsdDecoder();
+  }
+}
+
+/**
+ * @private
+ * @param {CliInput} input
+ * @param {CliOptions} options
+ * @param {MsdDecodeOptions} decodeOptions
+ * @returns {CliResult}
+ */
+function decodeInput(input, options, decodeOptions)
+{
+  const type = options.type === InputType.Auto ? detectInputType(input.buffer) : options.type;
+  const result = {
+    source: input.source,
+    type: type,
+    input: input.buffer,
+    error: null,
+    result: null
+  };
+
+  try
+  {
+    if (type === InputType.Msd)
+    {
+      result.result = iNodeHci.decodeMsd(input.buffer, null, decodeOptions);
+    }
+    else if (type === InputType.Hci)
+    {
+      result.result = btHci.decode(input.buffer);
+    }
+    else
+    {
+      const skippedRecords = [];
+
+      result.result = {
+        reports: iNodeHci.decodeGsmData(options.gsmTime, input.buffer, skippedRecords, decodeOptions),
+        skippedRecords: skippedRecords
+      };
+
+      if (skippedRecords.length)
+      {
+        result.error = `Skipped ${skippedRecords.length} GSM record(s).`;
+      }
+    }
+  }
+  catch (err)
+  {
+    result.error = err.message;
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @returns {InputType}
+ */
+function detectInputType(buffer)
+{
+  // HCI event packet: H4 packet type and the LE Meta event code
+  if (buffer[0] === 0x04 && buffer[1] === 0x3E)
+  {
+    return InputType.Hci;
+  }
+
+  if (iNodeHci.isINodeMsd(buffer))
+  {
+    return InputType.Msd;
+  }
+
+  return InputType.Gsm;
+}
+
+/**
+ * @private
+ * @param {Array<CliResult>} results
+ * @param {OutputFormat} format
+ * @returns {string}
+ */
+function formatResults(results, format)
+{
+  if (format === OutputFormat.Ndjson)
+  {
+    return results.map(result => `${JSON.stringify(result, jsonReplacer)}\n`).join('');
+  }
+
+  if (format === OutputFormat.Table)
+  {
+    return formatTable(results);
+  }
+
+  return `${JSON.stringify(results, jsonReplacer, 2)}\n`;
+}
+
+/**
+ * @private
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function jsonReplacer(key, value)
+{
+  const rawValue = this[key];
+
+  return Buffer.isBuffer(rawValue) ? rawValue.toString('hex') : value;
+}
+
+/**
+ * Formats every decoded MSD (and every error) as a row. The columns are the union of the MSD fields.
+ *
+ * @private
+ * @param {Array<CliResult>} results
+ * @returns {string}
+ */
+function formatTable(results)
+{
+  const rows = [];
+
+  results.forEach(result =>
+  {
+    if (result.error !== null)
+    {
+      rows.push({source: result.source, type: result.type, error: result.error});
+    }
+
+    if (result.result === null)
+    {
+      return;
+    }
+
+    if (result.type === InputType.Msd)
+    {
+      rows.push(createTableRow(result, null, result.result));
+
+      return;
+    }
+
+    findAdvertisingReports(result.result).forEach(report =>
+    {
+      (report.data || []).forEach(eirData =>
+      {
+        if (eirData.modelLabel)
+        {
+          rows.push(createTableRow(result, report, eirData));
+        }
+      });
+    });
+  });
+
+  const columns = [];
+
+  rows.forEach(row =>
+  {
+    Object.keys(row).forEach(column =>
+    {
+      if (columns.indexOf(column) === -1)
+      {
+        columns.push(column);
+      }
+    });
+  });
+
+  const cells = [columns].concat(rows.map(row => columns.map(column => formatCell(row[column]))));
+  const widths = columns.map((column, i) => Math.max.apply(null, cells.map(rowCells => rowCells[i].length)));
+
+  return cells
+    .map(rowCells => rowCells.map((cell, i) => cell + ' '.repeat(widths[i] - cell.length)).join('  ').trim())
+    .map(line => `${line}\n`)
+    .join('');
+}
+
+/**
+ * @private
+ * @param {CliResult} result
+ * @param {?AdvertisingReport} report
+ * @param {INodeDeviceMsd} msd
+ * @returns {Object<string, *>}
+ */
+function createTableRow(result, report, msd)
+{
+  const row = {
+    source: result.source,
+    type: result.type
+  };
+
+  if (report)
+  {
+    row.address = report.address;
+    row.rssi = report.rssi;
+    row.reportTime = report.time;
+  }
+
+  flattenObject(row, '', msd, ['type', 'typeLabel', 'companyIdentifier', 'model']);
+
+  return row;
+}
+
+/**
+ * @private
+ * @param {Object<string, *>} row
+ * @param {string} prefix
+ * @param {Object} object
+ * @param {Array<string>} [excludedKeys]
+ */
+function flattenObject(row, prefix, object, excludedKeys)
+{
+  Object.keys(object).forEach(key =>
+  {
+    if (excludedKeys && excludedKeys.indexOf(key) !== -1)
+    {
+      return;
+    }
+
+    const value = object[key];
+
+    if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date))
+    {
+      flattenObject(row, `${prefix}${key}.`, value);
+    }
+    else
+    {
+      row[prefix + key] = value;
+    }
+  });
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCell(value)
+{
+  if (value == null)
+  {
+    return '';
+  }
+
+  if (Buffer.isBuffer(value))
+  {
+    return value.toString('hex');
+  }
+
+  if (value instanceof Date)
+  {
+    return value.toISOString();
+  }
+
+  return String(value);
+}
+
+/**
+ * @private
+ * @param {Object} result An HCI packet or the decoded GSM data.
+ * @returns {Array<AdvertisingReport>}
+ */
+function findAdvertisingReports(result)
+{
+  if (Array.isArray(result.reports))
+  {
+    return result.reports;
+  }
+
+  if (result.parameters && Array.isArray(result.parameters.reports))
+  {
+    return result.parameters.reports;
+  }
+
+  return [];
+}
+
+/**
+ * @private
+ * @typedef {Object} CliOptions
+ * @property {boolean} help
+ * @property {InputType} type
+ * @property {FileEncoding} encoding
+ * @property {OutputFormat} format
+ * @property {number} gsmTime
+ * @property {boolean} strict
+ * @property {Array<string>} hex
+ * @property {Array<string>} files
+ */
+
+/**
+ * @private
+ * @typedef {Object} CliInput
+ * @property {string} source
+ * @property {Buffer} buffer
+ */
+
+/**
+ * @private
+ * @typedef {Object} CliResult
+ * @property {string} source
+ * @property {InputType} type
+ * @property {Buffer} input
+ * @property {?string} error
+ * @property {?Object} result
+ */
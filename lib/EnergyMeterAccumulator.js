@@ -0,0 +1,491 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const btHci = require('h5.bluetooth.hci');
+const units = require('./units');
+
+const EirDataType = btHci.EirDataType;
+
+const COUNTER_RANGE = 0x100000000;
+const DEFAULT_MAX_ROLLOVER_DELTA = 0x1000000;
+const UNITS = ['kWh', 'm³', 'cnt', 'cnt'];
+
+/**
+ * Accumulates the consumption reported by iNode Energy Meters.
+ *
+ * The consumption is computed from the deltas between the consecutive 32-bit pulse counters (`msd.raw.sum`
+ * if the MSD was decoded with the `raw` option, `msd.sum * msd.constant` otherwise) divided by the meter's
+ * effective constant and multiplied by its numeric scale factor, so it is expressed in the meter's unit
+ * (kWh, m³ or counts). A counter that goes down is treated as a rollover only if it moved forward (modulo 2^32)
+ * by at most `maxRolloverDelta` pulses, i.e. the previous counter was close to 2^32, and as a reset
+ * of the meter otherwise (in which case the whole new counter value is counted as the delta). The `sum`
+ * of MSD decoded with the `units` option is converted back using `msd.units.sum`.
+ * A scale function can't be reverted or applied to the deltas, so the MSD of meters scaled by a function
+ * (`msd.scale` is `null`) must be decoded with the `raw` option and their consumption isn't scaled.
+ *
+ * The previous-day totals (`msd.weekDay` and `msd.weekDayTotal`) are collected into a per-day history.
+ *
+ * Emits the following events:
+ *
+ *   - `reading` (meter, reading) - after every accepted reading,
+ *   - `rollover` (meter, reading) - the counter overflowed,
+ *   - `reset` (meter, reading) - the counter was reset,
+ *   - `dailyTotal` (meter, dailyTotal) - a new previous-day total was reported.
+ */
+class EnergyMeterAccumulator extends EventEmitter
+{
+  /**
+   * @param {EnergyMeterAccumulatorOptions} [options]
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxReadings = options.maxReadings > 0 ? options.maxReadings : 10000;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxDays = options.maxDays > 0 ? options.maxDays : 366;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxRolloverDelta = options.maxRolloverDelta > 0 ? options.maxRolloverDelta : DEFAULT_MAX_ROLLOVER_DELTA;
+
+    /**
+     * @private
+     * @type {function(): number}
+     */
+    this.now = options.now || Date.now;
+
+    /**
+     * @private
+     * @type {Map<string, EnergyMeterState>}
+     */
+    this.meters = new Map();
+  }
+
+  /**
+   * @param {string} address
+   * @returns {?EnergyMeterState}
+   */
+  getMeter(address)
+  {
+    return this.meters.get(address.toUpperCase()) || null;
+  }
+
+  /**
+   * @returns {Array<EnergyMeterState>}
+   */
+  getMeters()
+  {
+    return Array.from(this.meters.values());
+  }
+
+  /**
+   * @param {string} address
+   * @returns {boolean}
+   */
+  removeMeter(address)
+  {
+    return this.meters.delete(address.toUpperCase());
+  }
+
+  /**
+   * Updates the meter from the specified advertising report (decoded by h5.bluetooth.hci with the iNode
+   * MSD decoder registered or by `decodeGsmData()`). Reports without Energy Meter MSD are ignored.
+   *
+   * @param {AdvertisingReport} report
+   * @returns {?EnergyMeterReading}
+   */
+  update(report)
+  {
+    const data = report.data || [];
+
+    for (let i = 0; i < data.length; ++i)
+    {
+      const eirDataStructure = data[i];
+
+      if (eirDataStructure.type === EirDataType.ManufacturerSpecificData && isEnergyMeterMsd(eirDataStructure))
+      {
+        return this.updateMsd(report.address, eirDataStructure, report.time);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string} address
+   * @param {INodeEnergyMeterMsd} msd
+   * @param {(Date|number)} [time]
+   * @returns {?EnergyMeterReading}
+   * @throws {Error} If the `sum` was converted to an unknown unit or scaled by a function and the raw counter
+   * is not available.
+   */
+  updateMsd(address, msd, time)
+  {
+    if (!isEnergyMeterMsd(msd))
+    {
+      return null;
+    }
+
+    const rawCounter = msd.raw && typeof msd.raw.sum === 'number' ? msd.raw.sum : null;
+
+    if (rawCounter === null && msd.scale === null)
+    {
+      throw new Error(
+        `Cannot accumulate the consumption of ${address}: MSD scaled by a function must be decoded with the raw option!`
+      );
+    }
+
+    address = address.toUpperCase();
+    time = toTime(time, this.now());
+
+    let meter = this.meters.get(address);
+
+    if (!meter)
+    {
+      meter = {
+        address: address,
+        unit: msd.unit,
+        unitLabel: UNITS[msd.unit],
+        constant: msd.constant,
+        counter: null,
+        total: 0,
+        rollovers: 0,
+        resets: 0,
+        firstReadingAt: time,
+        lastReadingAt: null,
+        readings: [],
+        dailyTotals: []
+      };
+
+      this.meters.set(address, meter);
+    }
+
+    if (meter.lastReadingAt !== null && time < meter.lastReadingAt)
+    {
+      return null;
+    }
+
+    const scale = typeof msd.scale === 'number' && msd.scale !== 0 ? msd.scale : 1;
+    const counter = rawCounter !== null ? rawCounter : Math.round(readSum(msd) / scale * msd.constant);
+    const reading = {
+      time: time,
+      counter: counter,
+      delta: 0,
+      total: meter.total,
+      rollover: false,
+      reset: false
+    };
+
+    if (meter.counter !== null)
+    {
+      let deltaCounter = counter - meter.counter;
+
+      if (deltaCounter < 0)
+      {
+        deltaCounter += COUNTER_RANGE;
+
+        if (deltaCounter <= this.maxRolloverDelta)
+        {
+          reading.rollover = true;
+          meter.rollovers += 1;
+        }
+        else
+        {
+          deltaCounter = counter;
+          reading.reset = true;
+          meter.resets += 1;
+        }
+      }
+
+      reading.delta = deltaCounter / msd.constant * scale;
+      reading.total = meter.total + reading.delta;
+    }
+
+    meter.unit = msd.unit;
+    meter.unitLabel = UNITS[msd.unit];
+    meter.constant = msd.constant;
+    meter.counter = counter;
+    meter.total = reading.total;
+    meter.lastReadingAt = time;
+    meter.readings.push(reading);
+
+    if (meter.readings.length > this.maxReadings)
+    {
+      meter.readings.shift();
+    }
+
+    this.emit('reading', meter, reading);
+
+    if (reading.rollover)
+    {
+      this.emit('rollover', meter, reading);
+    }
+    else if (reading.reset)
+    {
+      this.emit('reset', meter, reading);
+    }
+
+    this.updateDailyTotals(meter, msd, time);
+
+    return reading;
+  }
+
+  /**
+   * Returns the consumption (in the meter's unit) between the specified times. The accumulated total is
+   * interpolated linearly between the readings and clamped to the first and the last one.
+   *
+   * @param {string} address
+   * @param {(Date|number)} [from] Defaults to the time of the first reading.
+   * @param {(Date|number)} [to] Defaults to the time of the last reading.
+   * @returns {?number} `null` if the meter is unknown.
+   */
+  getConsumption(address, from, to)
+  {
+    const meter = this.getMeter(address);
+
+    if (!meter || !meter.readings.length)
+    {
+      return null;
+    }
+
+    from = toTime(from, meter.firstReadingAt);
+    to = toTime(to, meter.lastReadingAt);
+
+    if (to <= from)
+    {
+      return 0;
+    }
+
+    return interpolateTotal(meter.readings, to) - interpolateTotal(meter.readings, from);
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Array<EnergyMeterDailyTotal>}
+   */
+  getDailyTotals(address)
+  {
+    const meter = this.getMeter(address);
+
+    return meter ? meter.dailyTotals.slice() : [];
+  }
+
+  /**
+   * @private
+   * @param {EnergyMeterState} meter
+   * @param {INodeEnergyMeterMsd} msd
+   * @param {number} time
+   */
+  updateDailyTotals(meter, msd, time)
+  {
+    // The week day is a 3-bit field, so 7 doesn't name a day
+    if (typeof msd.weekDay !== 'number' || msd.weekDay > 6 || typeof msd.weekDayTotal !== 'number')
+    {
+      return;
+    }
+
+    const date = findPreviousWeekDay(time, msd.weekDay);
+    const dailyTotals = meter.dailyTotals;
+    const lastDailyTotal = dailyTotals[dailyTotals.length - 1];
+
+    if (lastDailyTotal && lastDailyTotal.date >= date)
+    {
+      if (lastDailyTotal.date === date)
+      {
+        lastDailyTotal.total = msd.weekDayTotal;
+      }
+
+      return;
+    }
+
+    const dailyTotal = {
+      date: date,
+      weekDay: msd.weekDay,
+      total: msd.weekDayTotal
+    };
+
+    dailyTotals.push(dailyTotal);
+
+    if (dailyTotals.length > this.maxDays)
+    {
+      dailyTotals.shift();
+    }
+
+    this.emit('dailyTotal', meter, dailyTotal);
+  }
+}
+
+module.exports = EnergyMeterAccumulator;
+
+/**
+ * @private
+ * @param {Object} msd
+ * @returns {boolean}
+ */
+function isEnergyMeterMsd(msd)
+{
+  return typeof msd.sum === 'number' && typeof msd.constant === 'number' && msd.constant > 0;
+}
+
+/**
+ * @private
+ * @param {INodeEnergyMeterMsd} msd
+ * @returns {number} The `sum` in the unit used by the decoder.
+ * @throws {Error} If the `sum` was converted to an unknown unit.
+ */
+function readSum(msd)
+{
+  return msd.units && msd.units.sum ? units.revertEnergyMeterSum(msd.sum, msd.units.sum) : msd.sum;
+}
+
+/**
+ * @private
+ * @param {(Date|number|undefined)} time
+ * @param {number} defaultTime
+ * @returns {number}
+ */
+function toTime(time, defaultTime)
+{
+  if (time instanceof Date)
+  {
+    return time.getTime();
+  }
+
+  return typeof time === 'number' ? time : defaultTime;
+}
+
+/**
+ * @private
+ * @param {Array<EnergyMeterReading>} readings
+ * @param {number} time
+ * @returns {number}
+ */
+function interpolateTotal(readings, time)
+{
+  const first = readings[0];
+  const last = readings[readings.length - 1];
+
+  if (time <= first.time)
+  {
+    return first.total;
+  }
+
+  if (time >= last.time)
+  {
+    return last.total;
+  }
+
+  let lo = 0;
+  let hi = readings.length - 1;
+
+  while (hi - lo > 1)
+  {
+    const mid = (lo + hi) >> 1;
+
+    if (readings[mid].time <= time)
+    {
+      lo = mid;
+    }
+    else
+    {
+      hi = mid;
+    }
+  }
+
+  const a = readings[lo];
+  const b = readings[hi];
+
+  if (b.time === a.time)
+  {
+    return b.total;
+  }
+
+  return a.total + (b.total - a.total) * (time - a.time) / (b.time - a.time);
+}
+
+/**
+ * Returns the local date (`YYYY-MM-DD`) of the most recent day before the day of the specified time
+ * that falls on the specified week day.
+ *
+ * @private
+ * @param {number} time
+ * @param {number} weekDay
+ * @returns {string}
+ */
+function findPreviousWeekDay(time, weekDay)
+{
+  const date = new Date(time);
+
+  date.setHours(12, 0, 0, 0);
+
+  do
+  {
+    date.setDate(date.getDate() - 1);
+  }
+  while (date.getDay() !== weekDay);
+
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+
+  return date.getFullYear() + '-' + (month < 10 ? '0' : '') + month + '-' + (day < 10 ? '0' : '') + day;
+}
+
+/**
+ * @typedef {Object} EnergyMeterAccumulatorOptions
+ * @property {number} [maxReadings=10000] The maximum number of readings kept per meter.
+ * @property {number} [maxDays=366] The maximum number of daily totals kept per meter.
+ * @property {number} [maxRolloverDelta=16777216] The maximum number of pulses between two readings across
+ * a counter rollover. A counter that goes down by more is treated as a reset.
+ * @property {function(): number} [now=Date.now]
+ */
+
+/**
+ * @typedef {Object} EnergyMeterState
+ * @property {string} address
+ * @property {number} unit
+ * @property {string} unitLabel `kWh`, `m³` or `cnt`.
+ * @property {number} constant
+ * @property {?number} counter The last raw 32-bit counter value.
+ * @property {number} total The consumption accumulated since the first reading (in the meter's unit).
+ * @property {number} rollovers
+ * @property {number} resets
+ * @property {number} firstReadingAt
+ * @property {?number} lastReadingAt
+ * @property {Array<EnergyMeterReading>} readings
+ * @property {Array<EnergyMeterDailyTotal>} dailyTotals
+ */
+
+/**
+ * @typedef {Object} EnergyMeterReading
+ * @property {number} time
+ * @property {number} counter
+ * @property {number} delta The consumption since the previous reading (in the meter's unit).
+ * @property {number} total
+ * @property {boolean} rollover
+ * @property {boolean} reset
+ */
+
+/**
+ * @typedef {Object} EnergyMeterDailyTotal
+ * @property {string} date The local date (`YYYY-MM-DD`) of the day.
+ * @property {number} weekDay
+ * @property {number} total The total reported by the meter for the day (`msd.weekDayTotal`).
+ */
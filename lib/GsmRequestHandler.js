@@ -0,0 +1,351 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const URL = require('url').URL;
+const iNodeHci = require('./index');
+
+/**
+ * Handles the HTTP requests of iNode GSM gateways.
+ *
+ * The gateway sends a `POST` request with the GSM data in the body and the UNIX time of the upload
+ * in the `time` query parameter. Valid requests are responded with `200 OK` (even if some of the records
+ * were skipped, so that the gateway doesn't resend them). Invalid requests are responded with:
+ *
+ *   - `405 Method Not Allowed` - the request method is not `POST`,
+ *   - `400 Bad Request` - the URL is invalid, the `time` query parameter is missing or invalid or the body
+ *     is shorter than its `Content-Length`,
+ *   - `411 Length Required` - the `Content-Length` header is missing and `requireContentLength` is set,
+ *   - `413 Payload Too Large` - the body is longer than `maxContentLength`.
+ *
+ * The body of a rejected request is discarded without buffering it.
+ *
+ * Emits the following events:
+ *
+ *   - `upload` (upload) - a valid request was decoded,
+ *   - `report` (report, upload) - for every decoded advertising report,
+ *   - `requestRejected` (statusCode, message, req) - an invalid request was rejected,
+ *   - `error` (err) - an `upload` or `report` listener threw (after the request was responded to).
+ */
+class GsmRequestHandler extends EventEmitter
+{
+  /**
+   * @param {GsmRequestHandlerOptions} [options]
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {?string}
+     */
+    this.path = options.path || null;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxContentLength = options.maxContentLength > 0 ? options.maxContentLength : 65536;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.requireContentLength = !!options.requireContentLength;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.requireTime = options.requireTime !== false;
+
+    /**
+     * The decode options with the signed device times of the MSD verified by this instance.
+     *
+     * @private
+     * @type {MsdDecodeOptions}
+     */
+    this.decodeOptions = Object.assign({verifiedTimes: new Map()}, options.decodeOptions);
+
+    /**
+     * A request listener (for `http.createServer()`) or a middleware (for connect/express).
+     *
+     * @type {function(http.IncomingMessage, http.ServerResponse, function(?Error): void=): void}
+     */
+    this.handle = this.handle.bind(this);
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {function(?Error): void} [next] If specified, requests to other paths are passed to it.
+   */
+  handle(req, res, next)
+  {
+    const requestUrl = parseRequestUrl(req.url);
+
+    if (requestUrl === null)
+    {
+      this.reject(req, res, 400, 'The request URL is invalid.');
+
+      return;
+    }
+
+    if (this.path !== null && requestUrl.pathname !== this.path)
+    {
+      if (next)
+      {
+        next();
+      }
+      else
+      {
+        this.reject(req, res, 404, 'Not Found');
+      }
+
+      return;
+    }
+
+    if (req.method !== 'POST')
+    {
+      res.setHeader('Allow', 'POST');
+
+      this.reject(req, res, 405, 'Method Not Allowed');
+
+      return;
+    }
+
+    const gsmTime = parseGsmTime(requestUrl.searchParams.get('time'));
+
+    if (gsmTime === null && this.requireTime)
+    {
+      this.reject(req, res, 400, 'The `time` query parameter is missing or invalid.');
+
+      return;
+    }
+
+    const contentLengthHeader = req.headers['content-length'];
+    const contentLength = typeof contentLengthHeader === 'string' && /^[0-9]+$/.test(contentLengthHeader)
+      ? parseInt(contentLengthHeader, 10)
+      : -1;
+
+    if (contentLength === -1 && typeof contentLengthHeader !== 'undefined')
+    {
+      this.reject(req, res, 400, 'The `Content-Length` header is invalid.');
+
+      return;
+    }
+
+    if (contentLength === -1 && this.requireContentLength)
+    {
+      this.reject(req, res, 411, 'Length Required');
+
+      return;
+    }
+
+    if (contentLength > this.maxContentLength)
+    {
+      this.reject(req, res, 413, 'Payload Too Large');
+
+      return;
+    }
+
+    this.readBody(req, res, contentLength, gsmData =>
+    {
+      this.decode(req, res, parseQuery(requestUrl.searchParams), gsmTime === null ? -1 : gsmTime, gsmData);
+    });
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {number} contentLength
+   * @param {function(Buffer): void} done
+   */
+  readBody(req, res, contentLength, done)
+  {
+    const chunks = [];
+    let length = 0;
+    let rejected = false;
+
+    const onData = chunk =>
+    {
+      length += chunk.length;
+
+      if (length > this.maxContentLength || (contentLength !== -1 && length > contentLength))
+      {
+        rejected = true;
+
+        req.removeListener('data', onData);
+        chunks.length = 0;
+
+        this.reject(req, res, 413, 'Payload Too Large');
+
+        return;
+      }
+
+      chunks.push(chunk);
+    };
+
+    req.on('data', onData);
+
+    req.on('end', () =>
+    {
+      if (rejected)
+      {
+        return;
+      }
+
+      if (contentLength !== -1 && length !== contentLength)
+      {
+        this.reject(req, res, 400, `Expected ${contentLength} bytes of body, but got ${length}.`);
+
+        return;
+      }
+
+      done(Buffer.concat(chunks, length));
+    });
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Object<string, string>} query
+   * @param {number} gsmTime
+   * @param {Buffer} gsmData
+   */
+  decode(req, res, query, gsmTime, gsmData)
+  {
+    const skippedRecords = [];
+    const reports = iNodeHci.decodeGsmData(gsmTime, gsmData, skippedRecords, this.decodeOptions);
+    const upload = {
+      receivedAt: new Date(),
+      remoteAddress: req.socket ? req.socket.remoteAddress : null,
+      query: query,
+      gsmTime: gsmTime,
+      gsmData: gsmData,
+      reports: reports,
+      skippedRecords: skippedRecords
+    };
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/plain');
+    res.end('OK');
+
+    try
+    {
+      this.emit('upload', upload);
+
+      reports.forEach(report => this.emit('report', report, upload));
+    }
+    catch (err)
+    {
+      this.emit('error', err);
+    }
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {number} statusCode
+   * @param {string} message
+   */
+  reject(req, res, statusCode, message)
+  {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Connection', 'close');
+    res.end(message);
+
+    // Discard the rest of the body (if any)
+    req.resume();
+
+    this.emit('requestRejected', statusCode, message, req);
+  }
+}
+
+module.exports = GsmRequestHandler;
+
+/**
+ * @private
+ * @param {string} requestUrl
+ * @returns {?URL} `null` if the specified URL is invalid.
+ */
+function parseRequestUrl(requestUrl)
+{
+  try
+  {
+    return new URL(requestUrl, 'http://localhost');
+  }
+  catch (err)
+  {
+    return null;
+  }
+}
+
+/**
+ * @private
+ * @param {URLSearchParams} searchParams
+ * @returns {Object<string, string>} The first value of every query parameter.
+ */
+function parseQuery(searchParams)
+{
+  const query = {};
+
+  searchParams.forEach((value, name) =>
+  {
+    if (!Object.prototype.hasOwnProperty.call(query, name))
+    {
+      query[name] = value;
+    }
+  });
+
+  return query;
+}
+
+/**
+ * @private
+ * @param {?string} time
+ * @returns {?number}
+ */
+function parseGsmTime(time)
+{
+  if (typeof time !== 'string' || !/^[0-9]+$/.test(time))
+  {
+    return null;
+  }
+
+  const gsmTime = parseInt(time, 10);
+
+  return gsmTime > 0 ? gsmTime : null;
+}
+
+/**
+ * @typedef {Object} GsmRequestHandlerOptions
+ * @property {string} [path] If specified, only the requests to this path are handled.
+ * @property {number} [maxContentLength=65536] The maximum number of bytes of the request body.
+ * @property {boolean} [requireContentLength=false] Whether to reject requests without the `Content-Length` header.
+ * @property {boolean} [requireTime=true] Whether to reject requests without the `time` query parameter
+ * (if `false`, the time of decoding is used).
+ * @property {MsdDecodeOptions} [decodeOptions] The options passed to `decodeGsmData()`.
+ */
+
+/**
+ * @typedef {Object} GsmUpload
+ * @property {Date} receivedAt
+ * @property {?string} remoteAddress
+ * @property {Object<string, string>} query All query parameters of the request.
+ * @property {number} gsmTime
+ * @property {Buffer} gsmData
+ * @property {Array<AdvertisingReport>} reports
+ * @property {Array<GsmSkippedRecord>} skippedRecords
+ */
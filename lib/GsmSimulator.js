@@ -0,0 +1,224 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('./index');
+
+const AdvertisingReportEventType = btHci.AdvertisingReportEventType;
+const AdvertisingReportAddressType = btHci.AdvertisingReportAddressType;
+const EirDataType = btHci.EirDataType;
+
+/**
+ * Periodically generates iNode GSM upload bodies for a set of virtual devices.
+ *
+ * Emits the `data` event with `gsmTime` and `gsmData` arguments, i.e. the same values that should be passed
+ * to `decodeGsmData()`, and the `error` event if the readings of the devices could not be encoded.
+ */
+class GsmSimulator extends EventEmitter
+{
+  /**
+   * @param {GsmSimulatorOptions} [options]
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.interval = options.interval > 0 ? options.interval : 60000;
+
+    /**
+     * @private
+     * @type {function(): number}
+     */
+    this.now = options.now || Date.now;
+
+    /**
+     * @private
+     * @type {Array<GsmSimulatorDevice>}
+     */
+    this.devices = [];
+
+    /**
+     * @private
+     * @type {?Object}
+     */
+    this.timer = null;
+
+    (options.devices || []).forEach(device => this.addDevice(device));
+  }
+
+  /**
+   * @param {GsmSimulatorDevice} device
+   */
+  addDevice(device)
+  {
+    this.removeDevice(device.address);
+    this.devices.push(device);
+  }
+
+  /**
+   * @param {string} address
+   * @returns {boolean}
+   */
+  removeDevice(address)
+  {
+    const oldLength = this.devices.length;
+
+    this.devices = this.devices.filter(device => device.address !== address);
+
+    return this.devices.length !== oldLength;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isRunning()
+  {
+    return this.timer !== null;
+  }
+
+  start()
+  {
+    if (this.timer !== null)
+    {
+      return;
+    }
+
+    this.timer = setInterval(() => this.upload(), this.interval);
+  }
+
+  stop()
+  {
+    if (this.timer === null)
+    {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Generates and emits a single upload body.
+   *
+   * @returns {?{gsmTime: number, gsmData: Buffer}} `null` if the upload body could not be generated.
+   */
+  upload()
+  {
+    let upload;
+
+    try
+    {
+      upload = this.generate();
+    }
+    catch (err)
+    {
+      this.emit('error', err);
+
+      return null;
+    }
+
+    this.emit('data', upload.gsmTime, upload.gsmData);
+
+    return upload;
+  }
+
+  /**
+   * @returns {{gsmTime: number, gsmData: Buffer}}
+   * @throws {RangeError} If a reading of a device does not fit in its MSD register.
+   */
+  generate()
+  {
+    const now = this.now();
+
+    return {
+      gsmTime: Math.floor(now / 1000),
+      gsmData: iNodeHci.encodeGsmData(this.devices.map(device => createReport(device, now)))
+    };
+  }
+}
+
+module.exports = GsmSimulator;
+
+/**
+ * @private
+ * @param {GsmSimulatorDevice} device
+ * @param {number} now
+ * @returns {AdvertisingReport}
+ */
+function createReport(device, now)
+{
+  const msd = Object.assign({
+    type: EirDataType.ManufacturerSpecificData,
+    typeLabel: EirDataType[EirDataType.ManufacturerSpecificData]
+  }, device.msd, {
+    time: new Date(now)
+  });
+
+  if (typeof device.update === 'function')
+  {
+    device.update(msd, now);
+  }
+
+  // Keep the readings modified by `update()`, but not the time of this upload
+  device.msd = Object.assign({}, msd);
+
+  delete device.msd.time;
+
+  return {
+    eventType: AdvertisingReportEventType.AdvInd,
+    eventTypeLabel: AdvertisingReportEventType[AdvertisingReportEventType.AdvInd],
+    addressType: AdvertisingReportAddressType.Public,
+    addressTypeLabel: AdvertisingReportAddressType[AdvertisingReportAddressType.Public],
+    address: device.address,
+    length: -1,
+    data: [{
+      type: EirDataType.LocalNameComplete,
+      typeLabel: EirDataType[EirDataType.LocalNameComplete],
+      value: device.name || ''
+    }, msd],
+    rssi: resolveRssi(device)
+  };
+}
+
+/**
+ * @private
+ * @param {GsmSimulatorDevice} device
+ * @returns {number}
+ */
+function resolveRssi(device)
+{
+  if (typeof device.rssi === 'function')
+  {
+    return device.rssi();
+  }
+
+  return typeof device.rssi === 'number' ? device.rssi : -70;
+}
+
+/**
+ * @typedef {Object} GsmSimulatorOptions
+ * @property {number} [interval=60000] The number of milliseconds between the uploads.
+ * @property {function(): number} [now=Date.now]
+ * @property {Array<GsmSimulatorDevice>} [devices]
+ */
+
+/**
+ * @typedef {Object} GsmSimulatorDevice
+ * @property {string} address
+ * @property {string} [name]
+ * @property {(number|function(): number)} [rssi=-70]
+ * @property {(INodeEnergyMeterMsd|INodeCareSensorMsd)} msd
+ * @property {function((INodeEnergyMeterMsd|INodeCareSensorMsd), number)} [update] Called before every upload
+ * to modify the readings of the device.
+ */
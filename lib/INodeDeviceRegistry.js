@@ -0,0 +1,383 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const btHci = require('h5.bluetooth.hci');
+
+const EirDataType = btHci.EirDataType;
+
+/**
+ * Tracks the state of iNode devices and emits events when it changes:
+ *
+ *   - `deviceSeen` (device) - the first report of the device was received (or the first one after it was lost),
+ *   - `deviceLost` (device) - no report of the device was received for `lostTimeout` ms (measured with
+ *     the `now()` of the registry, not the time of the reports),
+ *   - `deviceUpdated` (device, msd, previousMsd) - after every report,
+ *   - `alarmRaised` (device, alarm) and `alarmCleared` (device, alarm) - for every flag in `msd.alarms`,
+ *   - `inputChanged` (device, input) and `outputChanged` (device, output),
+ *   - `motionStarted` (device) and `motionStopped` (device) - from `msd.position.motion`,
+ *   - `batteryLevelDropped` (device, batteryLevel, previousBatteryLevel),
+ *   - `beaconUpdated` (device, frame) - an iBeacon or Eddystone frame (decoded by the decoders registered
+ *     with `registerBeaconDecoders()`) was received from the address of a known device.
+ *
+ * Alarms that are raised and motion that is detected in the first report of a device emit the events too.
+ * Reports older than the last report of a device (e.g. delayed GSM uploads) only mark the device as received:
+ * its state is not rolled back and no events are emitted.
+ */
+class INodeDeviceRegistry extends EventEmitter
+{
+  /**
+   * @param {INodeDeviceRegistryOptions} [options]
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.lostTimeout = options.lostTimeout > 0 ? options.lostTimeout : 60000;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.checkInterval = options.checkInterval > 0 ? options.checkInterval : 1000;
+
+    /**
+     * @private
+     * @type {function(): number}
+     */
+    this.now = options.now || Date.now;
+
+    /**
+     * @private
+     * @type {Map<string, INodeDeviceState>}
+     */
+    this.devices = new Map();
+
+    /**
+     * @private
+     * @type {?Object}
+     */
+    this.timer = null;
+  }
+
+  /**
+   * Starts checking for lost devices.
+   */
+  start()
+  {
+    if (this.timer !== null)
+    {
+      return;
+    }
+
+    this.timer = setInterval(() => this.checkLostDevices(), this.checkInterval);
+  }
+
+  stop()
+  {
+    if (this.timer === null)
+    {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @param {string} address
+   * @returns {?INodeDeviceState}
+   */
+  getDevice(address)
+  {
+    return this.devices.get(address.toUpperCase()) || null;
+  }
+
+  /**
+   * @returns {Array<INodeDeviceState>}
+   */
+  getDevices()
+  {
+    return Array.from(this.devices.values());
+  }
+
+  /**
+   * Updates the state of the device from the specified advertising report (decoded by h5.bluetooth.hci
+   * with the iNode MSD decoder registered or by `decodeGsmData()`). Reports without iNode MSD are ignored,
+   * unless they contain beacon frames broadcast by an already known device.
+   *
+   * @param {AdvertisingReport} report
+   * @returns {?INodeDeviceState}
+   */
+  update(report)
+  {
+    const data = report.data || [];
+    const beaconFrames = [];
+    let msd = null;
+    let name = null;
+
+    for (let i = 0; i < data.length; ++i)
+    {
+      const eirDataStructure = data[i];
+
+      if (eirDataStructure.type === EirDataType.ManufacturerSpecificData && eirDataStructure.modelLabel)
+      {
+        msd = eirDataStructure;
+      }
+      else if (eirDataStructure.type === EirDataType.LocalNameComplete
+        || eirDataStructure.type === EirDataType.LocalNameShort)
+      {
+        name = eirDataStructure.value;
+      }
+      else if (eirDataStructure.frameType)
+      {
+        beaconFrames.push(eirDataStructure);
+      }
+    }
+
+    const extra = {
+      name: name,
+      rssi: report.rssi,
+      time: report.time
+    };
+    let device = null;
+
+    if (msd)
+    {
+      device = this.updateMsd(report.address, msd, extra);
+    }
+    else if (beaconFrames.length)
+    {
+      device = this.getDevice(report.address);
+
+      if (device)
+      {
+        this.updateSeen(device, report.time ? report.time.getTime() : this.now(), extra);
+      }
+    }
+
+    if (device)
+    {
+      beaconFrames.forEach(frame => this.updateBeaconFrame(device, frame));
+    }
+
+    return device;
+  }
+
+  /**
+   * @param {string} address
+   * @param {INodeDeviceMsd} msd
+   * @param {{name: ?string, rssi: ?number, time: ?Date}} [extra]
+   * @returns {INodeDeviceState}
+   */
+  updateMsd(address, msd, extra)
+  {
+    if (!extra)
+    {
+      extra = {};
+    }
+
+    address = address.toUpperCase();
+
+    const time = extra.time ? extra.time.getTime() : this.now();
+    let device = this.devices.get(address);
+    const firstSeen = !device;
+
+    if (firstSeen)
+    {
+      device = {
+        address: address,
+        name: null,
+        model: msd.model,
+        modelLabel: msd.modelLabel,
+        firstSeenAt: time,
+        lastSeenAt: time,
+        lastReceivedAt: this.now(),
+        rssi: null,
+        msd: null,
+        beaconFrames: {}
+      };
+
+      this.devices.set(address, device);
+    }
+    else if (time < device.lastSeenAt)
+    {
+      device.lastReceivedAt = this.now();
+
+      return device;
+    }
+
+    const previousMsd = device.msd;
+
+    device.model = msd.model;
+    device.modelLabel = msd.modelLabel;
+    device.msd = msd;
+
+    this.updateSeen(device, time, extra);
+
+    if (firstSeen)
+    {
+      this.emit('deviceSeen', device);
+    }
+
+    this.emitChanges(device, msd, previousMsd || {});
+    this.emit('deviceUpdated', device, msd, previousMsd);
+
+    return device;
+  }
+
+  /**
+   * Removes devices that were not seen for `lostTimeout` ms and emits the `deviceLost` event for each of them.
+   *
+   * @param {number} [now]
+   * @returns {Array<INodeDeviceState>}
+   */
+  checkLostDevices(now)
+  {
+    if (typeof now !== 'number')
+    {
+      now = this.now();
+    }
+
+    const lostDevices = [];
+
+    this.devices.forEach(device =>
+    {
+      if (now - device.lastReceivedAt >= this.lostTimeout)
+      {
+        lostDevices.push(device);
+      }
+    });
+
+    lostDevices.forEach(device =>
+    {
+      this.devices.delete(device.address);
+      this.emit('deviceLost', device);
+    });
+
+    return lostDevices;
+  }
+
+  /**
+   * @private
+   * @param {INodeDeviceState} device
+   * @param {number} time
+   * @param {{name: ?string, rssi: ?number}} extra
+   */
+  updateSeen(device, time, extra)
+  {
+    device.lastSeenAt = Math.max(device.lastSeenAt, time);
+    device.lastReceivedAt = this.now();
+
+    if (extra.name)
+    {
+      device.name = extra.name;
+    }
+
+    if (typeof extra.rssi === 'number')
+    {
+      device.rssi = extra.rssi;
+    }
+  }
+
+  /**
+   * @private
+   * @param {INodeDeviceState} device
+   * @param {(IBeaconFrame|EddystoneFrame)} frame
+   */
+  updateBeaconFrame(device, frame)
+  {
+    device.beaconFrames[frame.frameType] = frame;
+
+    this.emit('beaconUpdated', device, frame);
+  }
+
+  /**
+   * @private
+   * @param {INodeDeviceState} device
+   * @param {INodeDeviceMsd} msd
+   * @param {INodeDeviceMsd} previousMsd
+   */
+  emitChanges(device, msd, previousMsd)
+  {
+    const alarms = msd.alarms || {};
+    const previousAlarms = previousMsd.alarms || {};
+
+    Object.keys(alarms).forEach(alarm =>
+    {
+      if (alarms[alarm] && !previousAlarms[alarm])
+      {
+        this.emit('alarmRaised', device, alarm);
+      }
+      else if (!alarms[alarm] && previousAlarms[alarm])
+      {
+        this.emit('alarmCleared', device, alarm);
+      }
+    });
+
+    ['input', 'output'].forEach(property =>
+    {
+      const value = msd[property];
+      const previousValue = previousMsd[property];
+
+      if (typeof value === 'boolean' && typeof previousValue === 'boolean' && value !== previousValue)
+      {
+        this.emit(`${property}Changed`, device, value);
+      }
+    });
+
+    const motion = !!(msd.position && msd.position.motion);
+    const previousMotion = !!(previousMsd.position && previousMsd.position.motion);
+
+    if (msd.position && motion && !previousMotion)
+    {
+      this.emit('motionStarted', device);
+    }
+    else if (msd.position && !motion && previousMotion)
+    {
+      this.emit('motionStopped', device);
+    }
+
+    if (typeof msd.batteryLevel === 'number'
+      && typeof previousMsd.batteryLevel === 'number'
+      && msd.batteryLevel < previousMsd.batteryLevel)
+    {
+      this.emit('batteryLevelDropped', device, msd.batteryLevel, previousMsd.batteryLevel);
+    }
+  }
+}
+
+module.exports = INodeDeviceRegistry;
+
+/**
+ * @typedef {Object} INodeDeviceRegistryOptions
+ * @property {number} [lostTimeout=60000] The number of milliseconds after which a device that wasn't seen
+ * is considered lost.
+ * @property {number} [checkInterval=1000] The number of milliseconds between the lost device checks.
+ * @property {function(): number} [now=Date.now]
+ */
+
+/**
+ * @typedef {Object} INodeDeviceState
+ * @property {string} address
+ * @property {?string} name
+ * @property {DeviceModel} model
+ * @property {string} modelLabel
+ * @property {number} firstSeenAt
+ * @property {number} lastSeenAt The time of the latest report.
+ * @property {number} lastReceivedAt The time (returned by `now()`) the last report was received.
+ * @property {?number} rssi
+ * @property {INodeDeviceMsd} msd The last decoded MSD.
+ * @property {Object<BeaconFrameType, (IBeaconFrame|EddystoneFrame)>} beaconFrames The last received beacon
+ * frames by their type.
+ */
@@ -0,0 +1,440 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const btHci = require('h5.bluetooth.hci');
+const timeSeries = require('./timeSeries');
+
+const EirDataType = btHci.EirDataType;
+
+/**
+ * Home Assistant sensors of the flattened MSD fields (see `flattenMsdFields()`).
+ *
+ * @private
+ * @type {Map<string, HomeAssistantEntity>}
+ */
+const SENSORS = new Map([
+  ['temperature', {name: 'Temperature', deviceClass: 'temperature', unitField: 'temperature', unit: '°C'}],
+  ['humidity', {name: 'Humidity', deviceClass: 'humidity', unit: '%'}],
+  ['pressure', {name: 'Pressure', deviceClass: 'atmospheric_pressure', unitField: 'pressure', unit: 'hPa'}],
+  ['dew_point', {name: 'Dew point', deviceClass: 'temperature', unitField: 'dewPoint', unit: '°C'}],
+  ['heat_index', {name: 'Heat index', deviceClass: 'temperature', unitField: 'heatIndex', unit: '°C'}],
+  ['battery_level', {name: 'Battery', deviceClass: 'battery', unit: '%', diagnostic: true}],
+  ['battery_voltage', {
+    name: 'Battery voltage',
+    deviceClass: 'voltage',
+    unitField: 'batteryVoltage',
+    unit: 'V',
+    diagnostic: true
+  }],
+  ['rssi', {name: 'RSSI', deviceClass: 'signal_strength', unit: 'dBm', diagnostic: true}]
+]);
+
+/**
+ * Home Assistant binary sensors of the flattened MSD fields (in addition to every `alarms_*` field).
+ *
+ * @private
+ * @type {Map<string, HomeAssistantEntity>}
+ */
+const BINARY_SENSORS = new Map([
+  ['input', {name: 'Input', deviceClass: null}],
+  ['output', {name: 'Output', deviceClass: 'power'}],
+  ['position_motion', {name: 'Motion', deviceClass: 'motion'}]
+]);
+
+/**
+ * Publishes the state of iNode devices and the Home Assistant MQTT discovery configs of their entities
+ * through an MQTT client (e.g. one created by the `mqtt` package).
+ *
+ * The state of every device is published as a JSON object of the flattened MSD fields (the same names
+ * as returned by `flattenMsdFields()`), the RSSI and the time of the report to `<baseTopic>/<device ID>/state`,
+ * where the device ID is the lower case address without colons. Before the first state of every device
+ * (and after `resetDiscovery()` or a change of the unit of an entity), the discovery configs of the entities
+ * available in its MSD are published (retained)
+ * to `<discoveryPrefix>/<component>/inode_<device ID>/<field>/config`:
+ *
+ *   - sensors: temperature, humidity, pressure, dew point, heat index, battery level and voltage, RSSI,
+ *     energy and power (Energy Meter with the kWh unit) or total volume/count (other Energy Meter units),
+ *   - binary sensors: every alarm flag (including low battery), input, output and motion.
+ */
+class MqttPublisher
+{
+  /**
+   * @param {MqttPublisherOptions} options
+   * @throws {Error} If the MQTT client is not specified.
+   */
+  constructor(options)
+  {
+    if (!options || !options.client || typeof options.client.publish !== 'function')
+    {
+      throw new Error('Cannot create MQTT publisher: the MQTT client with the publish() method is required!');
+    }
+
+    /**
+     * @private
+     * @type {{publish: function(string, string, Object): void}}
+     */
+    this.client = options.client;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.baseTopic = options.baseTopic || 'inode';
+
+    /**
+     * @private
+     * @type {?string}
+     */
+    this.discoveryPrefix = options.discovery === false ? null : (options.discoveryPrefix || 'homeassistant');
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.qos = options.qos || 0;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.retainState = !!options.retainState;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.expireAfter = options.expireAfter > 0 ? options.expireAfter : 0;
+
+    /**
+     * @private
+     * @type {function(string, INodeDeviceMsd, AdvertisingReport): string}
+     */
+    this.deviceName = options.deviceName || defaultDeviceName;
+
+    /**
+     * Units of measurement (`null` if none) of the published discovery configs by the unique IDs of their entities.
+     * The config is published again if the unit changes (e.g. after changing the `units` decode option).
+     *
+     * @private
+     * @type {Map<string, ?string>}
+     */
+    this.discoveredEntities = new Map();
+  }
+
+  /**
+   * Makes the discovery configs to be published again with the next state of every device
+   * (e.g. after Home Assistant announced that it's online).
+   */
+  resetDiscovery()
+  {
+    this.discoveredEntities.clear();
+  }
+
+  /**
+   * @param {Array<AdvertisingReport>} reports
+   */
+  publishReports(reports)
+  {
+    reports.forEach(report => this.publishReport(report));
+  }
+
+  /**
+   * Publishes the state (and the discovery configs, if not published yet or their units changed) of every iNode MSD
+   * of the specified advertising report.
+   *
+   * @param {AdvertisingReport} report
+   */
+  publishReport(report)
+  {
+    if (!report.address)
+    {
+      return;
+    }
+
+    (report.data || []).forEach(eirData =>
+    {
+      if (eirData.type === EirDataType.ManufacturerSpecificData && typeof eirData.model === 'number')
+      {
+        this.publishMsd(report, eirData);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @param {AdvertisingReport} report
+   * @param {INodeDeviceMsd} msd
+   */
+  publishMsd(report, msd)
+  {
+    const deviceId = report.address.replace(/:/g, '').toLowerCase();
+    const stateTopic = `${this.baseTopic}/${deviceId}/state`;
+    const fields = timeSeries.flattenMsdFields(msd);
+    const state = {};
+
+    fields.forEach(field =>
+    {
+      state[field.name] = field.value;
+    });
+
+    if (typeof report.rssi === 'number' && report.rssi < 127)
+    {
+      state.rssi = report.rssi;
+      fields.push({name: 'rssi', value: report.rssi});
+    }
+
+    state.time = report.time instanceof Date ? report.time.toISOString() : new Date().toISOString();
+
+    if (this.discoveryPrefix !== null)
+    {
+      this.publishDiscovery(report, msd, deviceId, stateTopic, fields);
+    }
+
+    this.client.publish(stateTopic, JSON.stringify(state), {qos: this.qos, retain: this.retainState});
+  }
+
+  /**
+   * @private
+   * @param {AdvertisingReport} report
+   * @param {INodeDeviceMsd} msd
+   * @param {string} deviceId
+   * @param {string} stateTopic
+   * @param {Array<TimeSeriesField>} fields
+   */
+  publishDiscovery(report, msd, deviceId, stateTopic, fields)
+  {
+    const nodeId = `inode_${deviceId}`;
+    let device = null;
+
+    fields.forEach(field =>
+    {
+      const entity = resolveEntity(field.name, msd);
+
+      if (entity === null)
+      {
+        return;
+      }
+
+      const uniqueId = `${nodeId}_${field.name}`;
+      const unit = entity.unit || null;
+
+      if (this.discoveredEntities.has(uniqueId) && this.discoveredEntities.get(uniqueId) === unit)
+      {
+        return;
+      }
+
+      if (device === null)
+      {
+        device = {
+          identifiers: [nodeId],
+          connections: [['mac', report.address.toUpperCase()]],
+          name: this.deviceName(report.address.toUpperCase(), msd, report),
+          manufacturer: 'iNode',
+          model: msd.modelLabel
+        };
+      }
+
+      const config = {
+        name: entity.name,
+        uniqueId: uniqueId,
+        objectId: uniqueId,
+        stateTopic: stateTopic,
+        valueTemplate: entity.binary
+          ? `{{ 'ON' if value_json.${field.name} else 'OFF' }}`
+          : `{{ value_json.${field.name} }}`,
+        device: device
+      };
+
+      if (entity.deviceClass)
+      {
+        config.deviceClass = entity.deviceClass;
+      }
+
+      if (unit)
+      {
+        config.unitOfMeasurement = unit;
+      }
+
+      if (!entity.binary)
+      {
+        config.stateClass = entity.stateClass || 'measurement';
+      }
+
+      if (entity.diagnostic)
+      {
+        config.entityCategory = 'diagnostic';
+      }
+
+      if (this.expireAfter)
+      {
+        config.expireAfter = this.expireAfter;
+      }
+
+      this.client.publish(
+        `${this.discoveryPrefix}/${entity.binary ? 'binary_sensor' : 'sensor'}/${nodeId}/${field.name}/config`,
+        JSON.stringify(toHomeAssistantConfig(config)),
+        {qos: this.qos, retain: true}
+      );
+
+      this.discoveredEntities.set(uniqueId, unit);
+    });
+  }
+}
+
+module.exports = MqttPublisher;
+
+/**
+ * @private
+ * @param {string} address
+ * @param {INodeDeviceMsd} msd
+ * @param {AdvertisingReport} report
+ * @returns {string}
+ */
+function defaultDeviceName(address, msd, report)
+{
+  const data = report.data || [];
+
+  for (let i = 0; i < data.length; ++i)
+  {
+    if ((data[i].type === EirDataType.LocalNameComplete || data[i].type === EirDataType.LocalNameShort)
+      && typeof data[i].value === 'string'
+      && data[i].value !== '')
+    {
+      return data[i].value;
+    }
+  }
+
+  return `${msd.modelLabel} ${address}`;
+}
+
+/**
+ * @private
+ * @param {string} fieldName
+ * @param {INodeDeviceMsd} msd
+ * @returns {?HomeAssistantEntity}
+ */
+function resolveEntity(fieldName, msd)
+{
+  const units = msd.units || {};
+
+  if (SENSORS.has(fieldName))
+  {
+    const sensor = SENSORS.get(fieldName);
+
+    return Object.assign({}, sensor, {
+      unit: sensor.unitField && units[sensor.unitField] ? units[sensor.unitField] : sensor.unit
+    });
+  }
+
+  if (BINARY_SENSORS.has(fieldName))
+  {
+    return Object.assign({binary: true}, BINARY_SENSORS.get(fieldName));
+  }
+
+  if (/^alarms_/.test(fieldName))
+  {
+    return {
+      binary: true,
+      name: `${humanize(fieldName.substring('alarms_'.length))} alarm`,
+      deviceClass: fieldName === 'alarms_low_battery' ? 'battery' : 'problem'
+    };
+  }
+
+  if (fieldName === 'sum' || fieldName === 'average')
+  {
+    return resolveEnergyMeterEntity(fieldName, msd);
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param {string} fieldName
+ * @param {INodeEnergyMeterMsd} msd
+ * @returns {?HomeAssistantEntity}
+ */
+function resolveEnergyMeterEntity(fieldName, msd)
+{
+  if (msd.unit === 0)
+  {
+    return fieldName === 'sum'
+      ? {name: 'Energy', deviceClass: 'energy', unit: msd.sumUnit, stateClass: 'total_increasing'}
+      : {name: 'Power', deviceClass: 'power', unit: msd.averageUnit};
+  }
+
+  if (fieldName !== 'sum')
+  {
+    return null;
+  }
+
+  if (msd.unit === 1)
+  {
+    return {
+      name: 'Volume',
+      deviceClass: 'volume',
+      unit: msd.sumUnit === 'l' ? 'L' : msd.sumUnit,
+      stateClass: 'total_increasing'
+    };
+  }
+
+  return {name: 'Count', deviceClass: null, unit: null, stateClass: 'total_increasing'};
+}
+
+/**
+ * Converts the keys of the specified discovery config to snake_case used by Home Assistant.
+ *
+ * @private
+ * @param {Object<string, *>} config
+ * @returns {Object<string, *>}
+ */
+function toHomeAssistantConfig(config)
+{
+  const haConfig = {};
+
+  Object.keys(config).forEach(key =>
+  {
+    haConfig[key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)] = config[key];
+  });
+
+  return haConfig;
+}
+
+/**
+ * @private
+ * @param {string} fieldName
+ * @returns {string}
+ */
+function humanize(fieldName)
+{
+  const words = fieldName.replace(/_/g, ' ');
+
+  return words.charAt(0).toUpperCase() + words.substring(1);
+}
+
+/**
+ * @typedef {Object} MqttPublisherOptions
+ * @property {{publish: function(string, string, Object): void}} client An MQTT client.
+ * @property {string} [baseTopic=inode] The prefix of the state topics.
+ * @property {boolean} [discovery=true] Whether to publish the Home Assistant discovery configs.
+ * @property {string} [discoveryPrefix=homeassistant]
+ * @property {number} [qos=0]
+ * @property {boolean} [retainState=false] Whether to retain the state messages.
+ * @property {number} [expireAfter] The number of seconds after which Home Assistant marks the entities
+ * as unavailable if no state was received.
+ * @property {function(string, INodeDeviceMsd, AdvertisingReport): string} [deviceName] Returns the name
+ * of the device in Home Assistant. Defaults to the advertised local name or the model label and the address.
+ */
+
+/**
+ * @private
+ * @typedef {Object} HomeAssistantEntity
+ * @property {string} name
+ * @property {?string} deviceClass
+ * @property {?string} [unit]
+ * @property {string} [unitField] The MSD field which unit is recorded in `msd.units`.
+ * @property {string} [stateClass=measurement]
+ * @property {boolean} [binary=false]
+ * @property {boolean} [diagnostic=false]
+ */
@@ -0,0 +1,579 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const proximity = require('./proximity');
+
+const LocationMethod = proximity.LocationMethod;
+
+/**
+ * Locates tags heard by multiple receivers (local HCI adapters, GSM gateways, etc.).
+ *
+ * Every tag is assigned to the zone of the receiver that hears it the strongest (the smoothed RSSI of all
+ * receivers of a zone is compared). The tag is moved to another zone only if that zone is stronger than
+ * the current one by at least `hysteresis` dB. If the receivers have coordinates, the location of the tag is
+ * also trilaterated from the estimated distances (or, if less than three receivers hear the tag
+ * or they are collinear, computed as a weighted centroid).
+ *
+ * Samples older than `window` ms (relative to the time of the last sample of the tag) are ignored, so
+ * recorded reports can be replayed with their original times. Delayed samples older than the last sample
+ * of the same receiver are ignored too.
+ *
+ * Emits the following events:
+ *
+ *   - `positionUpdated` (position) - after every sample,
+ *   - `zoneChanged` (position, previousZone) - the tag moved to another zone (`previousZone` is `null`
+ *     for the first sample).
+ */
+class PositioningEngine extends EventEmitter
+{
+  /**
+   * @param {PositioningEngineOptions} [options]
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {RssiFilterOptions}
+     */
+    this.filterOptions = options.filter || {};
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.window = options.window > 0 ? options.window : 10000;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.hysteresis = typeof options.hysteresis === 'number' ? options.hysteresis : 5;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.measuredPower = typeof options.measuredPower === 'number'
+      ? options.measuredPower
+      : proximity.DEFAULT_MEASURED_POWER;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.pathLossExponent = options.pathLossExponent > 0 ? options.pathLossExponent : 2;
+
+    /**
+     * @private
+     * @type {function(): number}
+     */
+    this.now = options.now || Date.now;
+
+    /**
+     * @private
+     * @type {Map<string, Receiver>}
+     */
+    this.receivers = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, TagState>}
+     */
+    this.tags = new Map();
+
+    // Throws early if the filter options are invalid
+    proximity.createRssiFilter(this.filterOptions);
+
+    (options.receivers || []).forEach(receiver => this.addReceiver(receiver));
+  }
+
+  /**
+   * @param {Receiver} receiver
+   * @throws {Error} If the specified receiver has no ID.
+   */
+  addReceiver(receiver)
+  {
+    if (!receiver || receiver.id == null)
+    {
+      throw new Error('Cannot add receiver: the receiver ID is required!');
+    }
+
+    this.receivers.set(String(receiver.id), Object.assign({}, receiver, {id: String(receiver.id)}));
+  }
+
+  /**
+   * @param {string} receiverId
+   * @returns {boolean}
+   */
+  removeReceiver(receiverId)
+  {
+    receiverId = String(receiverId);
+
+    this.tags.forEach(tag => tag.samples.delete(receiverId));
+
+    return this.receivers.delete(receiverId);
+  }
+
+  /**
+   * @returns {Array<Receiver>}
+   */
+  getReceivers()
+  {
+    return Array.from(this.receivers.values());
+  }
+
+  /**
+   * @param {string} address
+   * @returns {?TagPosition}
+   */
+  getPosition(address)
+  {
+    const tag = this.tags.get(address.toUpperCase());
+
+    return tag ? tag.position : null;
+  }
+
+  /**
+   * @returns {Array<TagPosition>}
+   */
+  getPositions()
+  {
+    const positions = [];
+
+    this.tags.forEach(tag =>
+    {
+      if (tag.position)
+      {
+        positions.push(tag.position);
+      }
+    });
+
+    return positions;
+  }
+
+  /**
+   * @param {string} address
+   * @returns {boolean}
+   */
+  removeTag(address)
+  {
+    return this.tags.delete(address.toUpperCase());
+  }
+
+  /**
+   * Updates the position of the tag from the specified advertising report (decoded by h5.bluetooth.hci
+   * or `decodeGsmData()`) received by the specified receiver. The measured power of the tag is read
+   * from the beacon frames in the report, if any.
+   *
+   * @param {string} receiverId
+   * @param {AdvertisingReport} report
+   * @returns {?TagPosition} `null` if the receiver is unknown or the report has no RSSI.
+   */
+  update(receiverId, report)
+  {
+    if (!this.receivers.has(String(receiverId)))
+    {
+      return null;
+    }
+
+    const data = report.data || [];
+
+    for (let i = 0; i < data.length; ++i)
+    {
+      const measuredPower = data[i].frameType ? proximity.getBeaconMeasuredPower(data[i]) : null;
+
+      if (measuredPower !== null)
+      {
+        this.getTag(report.address).measuredPower = measuredPower;
+      }
+    }
+
+    return this.updateRssi(receiverId, report.address, report.rssi, report.time);
+  }
+
+  /**
+   * @param {string} receiverId
+   * @param {string} address
+   * @param {number} rssi
+   * @param {(Date|number)} [time]
+   * @returns {?TagPosition} `null` if the receiver is unknown, the specified RSSI is not a number
+   * or the sample was ignored because it's too old.
+   */
+  updateRssi(receiverId, address, rssi, time)
+  {
+    const receiver = this.receivers.get(String(receiverId));
+
+    // 127 means that the RSSI is not available
+    if (!receiver || typeof rssi !== 'number' || rssi >= 127)
+    {
+      return null;
+    }
+
+    time = toTime(time, this.now);
+
+    const tag = this.getTag(address);
+    let sample = tag.samples.get(receiver.id);
+
+    if (tag.time - time > this.window || (sample && time < sample.time))
+    {
+      return null;
+    }
+
+    if (!sample || time - sample.time > this.window)
+    {
+      sample = {
+        filter: proximity.createRssiFilter(this.filterOptions),
+        rssi: rssi,
+        time: time
+      };
+
+      tag.samples.set(receiver.id, sample);
+    }
+
+    sample.rssi = sample.filter.update(rssi);
+    sample.time = time;
+    tag.time = Math.max(tag.time, time);
+
+    const measurements = this.collectMeasurements(tag);
+
+    if (!measurements.length)
+    {
+      return null;
+    }
+
+    const previousZone = tag.position ? tag.position.zone : null;
+    const zone = this.selectZone(measurements, previousZone);
+    const strongest = measurements.filter(m => m.zone === zone)[0];
+
+    tag.position = {
+      address: tag.address,
+      time: tag.time,
+      zone: zone,
+      receiverId: strongest.receiverId,
+      rssi: strongest.rssi,
+      measurements: measurements,
+      location: locate(measurements)
+    };
+
+    this.emit('positionUpdated', tag.position);
+
+    if (zone !== previousZone)
+    {
+      this.emit('zoneChanged', tag.position, previousZone);
+    }
+
+    return tag.position;
+  }
+
+  /**
+   * @private
+   * @param {string} address
+   * @returns {TagState}
+   */
+  getTag(address)
+  {
+    address = address.toUpperCase();
+
+    let tag = this.tags.get(address);
+
+    if (!tag)
+    {
+      tag = {
+        address: address,
+        time: 0,
+        measuredPower: null,
+        samples: new Map(),
+        position: null
+      };
+
+      this.tags.set(address, tag);
+    }
+
+    return tag;
+  }
+
+  /**
+   * Returns the measurements of all receivers that heard the tag within the window, strongest first.
+   *
+   * @private
+   * @param {TagState} tag
+   * @returns {Array<ReceiverMeasurement>}
+   */
+  collectMeasurements(tag)
+  {
+    const measurements = [];
+
+    tag.samples.forEach((sample, receiverId) =>
+    {
+      const receiver = this.receivers.get(receiverId);
+
+      if (!receiver || tag.time - sample.time > this.window)
+      {
+        return;
+      }
+
+      const measuredPower = [receiver.measuredPower, tag.measuredPower, this.measuredPower]
+        .filter(value => typeof value === 'number')[0];
+
+      measurements.push({
+        receiverId: receiverId,
+        zone: receiver.zone == null ? receiverId : String(receiver.zone),
+        x: typeof receiver.x === 'number' ? receiver.x : null,
+        y: typeof receiver.y === 'number' ? receiver.y : null,
+        rssi: sample.rssi,
+        distance: proximity.estimateDistance(
+          sample.rssi,
+          measuredPower,
+          receiver.pathLossExponent > 0 ? receiver.pathLossExponent : this.pathLossExponent
+        ),
+        time: sample.time
+      });
+    });
+
+    return measurements.sort((a, b) => b.rssi - a.rssi);
+  }
+
+  /**
+   * @private
+   * @param {Array<ReceiverMeasurement>} measurements Sorted strongest first.
+   * @param {?string} previousZone
+   * @returns {string}
+   */
+  selectZone(measurements, previousZone)
+  {
+    const strongestZone = measurements[0].zone;
+
+    if (previousZone === null || strongestZone === previousZone)
+    {
+      return strongestZone;
+    }
+
+    const previous = measurements.filter(m => m.zone === previousZone)[0];
+
+    if (previous && measurements[0].rssi - previous.rssi < this.hysteresis)
+    {
+      return previousZone;
+    }
+
+    return strongestZone;
+  }
+}
+
+module.exports = PositioningEngine;
+
+/**
+ * @private
+ * @param {(Date|number|undefined)} time
+ * @param {function(): number} now
+ * @returns {number}
+ */
+function toTime(time, now)
+{
+  if (time instanceof Date)
+  {
+    return time.getTime();
+  }
+
+  return typeof time === 'number' ? time : now();
+}
+
+/**
+ * @private
+ * @param {Array<ReceiverMeasurement>} measurements
+ * @returns {?TagLocation}
+ */
+function locate(measurements)
+{
+  const anchors = measurements.filter(m => m.x !== null && m.y !== null);
+
+  if (!anchors.length)
+  {
+    return null;
+  }
+
+  const point = anchors.length >= 3 ? trilaterate(anchors) : null;
+
+  if (point)
+  {
+    return createLocation(anchors, point, LocationMethod.Trilateration, 1);
+  }
+
+  return createLocation(anchors, centroid(anchors), LocationMethod.Centroid, anchors.length / 3 * 0.5);
+}
+
+/**
+ * Solves the linearized trilateration equations (each one subtracted from the last one) using
+ * the weighted least squares method (weights are inverse squared distances).
+ *
+ * @private
+ * @param {Array<ReceiverMeasurement>} anchors
+ * @returns {?{x: number, y: number}} `null` if the anchors are collinear.
+ */
+function trilaterate(anchors)
+{
+  const last = anchors[anchors.length - 1];
+  let a11 = 0;
+  let a12 = 0;
+  let a22 = 0;
+  let b1 = 0;
+  let b2 = 0;
+
+  for (let i = 0; i < anchors.length - 1; ++i)
+  {
+    const anchor = anchors[i];
+    const ax = 2 * (last.x - anchor.x);
+    const ay = 2 * (last.y - anchor.y);
+    const b = anchor.distance * anchor.distance - last.distance * last.distance
+      - anchor.x * anchor.x + last.x * last.x
+      - anchor.y * anchor.y + last.y * last.y;
+    const w = 1 / Math.max(anchor.distance * anchor.distance, 0.01);
+
+    a11 += w * ax * ax;
+    a12 += w * ax * ay;
+    a22 += w * ay * ay;
+    b1 += w * ax * b;
+    b2 += w * ay * b;
+  }
+
+  const determinant = a11 * a22 - a12 * a12;
+
+  if (Math.abs(determinant) < 1e-9)
+  {
+    return null;
+  }
+
+  return {
+    x: (b1 * a22 - b2 * a12) / determinant,
+    y: (a11 * b2 - a12 * b1) / determinant
+  };
+}
+
+/**
+ * @private
+ * @param {Array<ReceiverMeasurement>} anchors
+ * @returns {{x: number, y: number}}
+ */
+function centroid(anchors)
+{
+  let x = 0;
+  let y = 0;
+  let weights = 0;
+
+  anchors.forEach(anchor =>
+  {
+    const w = 1 / Math.max(anchor.distance * anchor.distance, 0.01);
+
+    x += w * anchor.x;
+    y += w * anchor.y;
+    weights += w;
+  });
+
+  return {x: x / weights, y: y / weights};
+}
+
+/**
+ * The confidence is 1 minus the RMS error of the distances (relative to their mean), scaled by the factor
+ * of the method.
+ *
+ * @private
+ * @param {Array<ReceiverMeasurement>} anchors
+ * @param {{x: number, y: number}} point
+ * @param {LocationMethod} method
+ * @param {number} factor
+ * @returns {TagLocation}
+ */
+function createLocation(anchors, point, method, factor)
+{
+  let squaredErrors = 0;
+  let distances = 0;
+
+  anchors.forEach(anchor =>
+  {
+    const error = Math.sqrt(Math.pow(point.x - anchor.x, 2) + Math.pow(point.y - anchor.y, 2)) - anchor.distance;
+
+    squaredErrors += error * error;
+    distances += anchor.distance;
+  });
+
+  const accuracy = Math.sqrt(squaredErrors / anchors.length);
+  const meanDistance = distances / anchors.length;
+
+  return {
+    x: point.x,
+    y: point.y,
+    method: method,
+    accuracy: accuracy,
+    confidence: Math.max(0, Math.min(1, 1 - accuracy / Math.max(meanDistance, 0.01))) * Math.min(factor, 1)
+  };
+}
+
+/**
+ * @typedef {Object} PositioningEngineOptions
+ * @property {Array<Receiver>} [receivers]
+ * @property {RssiFilterOptions} [filter] The filter of the RSSI of every tag and receiver pair.
+ * @property {number} [window=10000] The number of milliseconds after which the samples of a receiver are ignored.
+ * @property {number} [hysteresis=5] The number of dB by which another zone must be stronger than the current one.
+ * @property {number} [measuredPower=-59] The default RSSI at 1 m (in dBm).
+ * @property {number} [pathLossExponent=2] The default path loss exponent.
+ * @property {function(): number} [now=Date.now]
+ */
+
+/**
+ * @typedef {Object} Receiver
+ * @property {string} id
+ * @property {string} [zone] Defaults to the receiver ID.
+ * @property {number} [x] In m.
+ * @property {number} [y] In m.
+ * @property {number} [measuredPower] The RSSI at 1 m (in dBm) of the tags heard by this receiver
+ * (takes precedence over the beacon frames of the tag).
+ * @property {number} [pathLossExponent]
+ */
+
+/**
+ * @typedef {Object} TagState
+ * @property {string} address
+ * @property {number} time
+ * @property {?number} measuredPower
+ * @property {Map<string, {filter: RssiFilter, rssi: number, time: number}>} samples
+ * @property {?TagPosition} position
+ */
+
+/**
+ * @typedef {Object} ReceiverMeasurement
+ * @property {string} receiverId
+ * @property {string} zone
+ * @property {?number} x
+ * @property {?number} y
+ * @property {number} rssi The smoothed RSSI (in dBm).
+ * @property {number} distance The estimated distance (in m).
+ * @property {number} time
+ */
+
+/**
+ * @typedef {Object} TagPosition
+ * @property {string} address
+ * @property {number} time
+ * @property {string} zone
+ * @property {string} receiverId The strongest receiver of the zone.
+ * @property {number} rssi The smoothed RSSI of the strongest receiver of the zone.
+ * @property {Array<ReceiverMeasurement>} measurements Sorted strongest first.
+ * @property {?TagLocation} location `null` if none of the receivers has coordinates.
+ */
+
+/**
+ * @typedef {Object} TagLocation
+ * @property {number} x
+ * @property {number} y
+ * @property {LocationMethod} method
+ * @property {number} accuracy The RMS error of the distances (in m).
+ * @property {number} confidence From 0 to 1.
+ */
@@ -0,0 +1,305 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const proximity = require('./proximity');
+
+/**
+ * Smooths the RSSI of every device and estimates its distance and proximity zone.
+ *
+ * The RSSI at 1 m (the measured power) used by the path loss model is taken from (in order):
+ *
+ *   1. the calibration set with `setCalibration()`,
+ *   2. the last iBeacon or Eddystone UID/URL frame received from the device,
+ *   3. the `measuredPower` option.
+ *
+ * Emits the following events:
+ *
+ *   - `estimateUpdated` (estimate) - after every RSSI sample,
+ *   - `zoneChanged` (estimate, previousZone) - the proximity zone of the device changed
+ *     (`previousZone` is `null` for the first sample).
+ */
+class ProximityEstimator extends EventEmitter
+{
+  /**
+   * @param {ProximityEstimatorOptions} [options]
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {RssiFilterOptions}
+     */
+    this.filterOptions = options.filter || {};
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.measuredPower = typeof options.measuredPower === 'number'
+      ? options.measuredPower
+      : proximity.DEFAULT_MEASURED_POWER;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.pathLossExponent = options.pathLossExponent > 0 ? options.pathLossExponent : 2;
+
+    /**
+     * @private
+     * @type {ProximityZoneThresholds}
+     */
+    this.zones = options.zones || {};
+
+    /**
+     * @private
+     * @type {function(): number}
+     */
+    this.now = options.now || Date.now;
+
+    /**
+     * @private
+     * @type {Map<string, ProximityCalibration>}
+     */
+    this.calibrations = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, {filter: RssiFilter, beaconMeasuredPower: ?number, estimate: ?ProximityEstimate}>}
+     */
+    this.devices = new Map();
+
+    // Throws early if the filter options are invalid
+    proximity.createRssiFilter(this.filterOptions);
+  }
+
+  /**
+   * @param {string} address
+   * @param {ProximityCalibration} calibration
+   */
+  setCalibration(address, calibration)
+  {
+    this.calibrations.set(address.toUpperCase(), calibration);
+  }
+
+  /**
+   * @param {string} address
+   * @returns {boolean}
+   */
+  removeCalibration(address)
+  {
+    return this.calibrations.delete(address.toUpperCase());
+  }
+
+  /**
+   * @param {string} address
+   * @returns {?ProximityEstimate}
+   */
+  getEstimate(address)
+  {
+    const device = this.devices.get(address.toUpperCase());
+
+    return device ? device.estimate : null;
+  }
+
+  /**
+   * @returns {Array<ProximityEstimate>}
+   */
+  getEstimates()
+  {
+    const estimates = [];
+
+    this.devices.forEach(device =>
+    {
+      if (device.estimate)
+      {
+        estimates.push(device.estimate);
+      }
+    });
+
+    return estimates;
+  }
+
+  /**
+   * Removes the state (the filter and the estimate) of the specified device.
+   *
+   * @param {string} address
+   * @returns {boolean}
+   */
+  remove(address)
+  {
+    return this.devices.delete(address.toUpperCase());
+  }
+
+  /**
+   * Updates the estimate of the device from the specified advertising report (decoded by h5.bluetooth.hci
+   * or `decodeGsmData()`). The measured power is read from the beacon frames in the report, if any.
+   *
+   * @param {AdvertisingReport} report
+   * @returns {?ProximityEstimate} `null` if the report has no RSSI.
+   */
+  update(report)
+  {
+    const data = report.data || [];
+    let beaconMeasuredPower = null;
+
+    for (let i = 0; i < data.length; ++i)
+    {
+      if (data[i].frameType)
+      {
+        const measuredPower = proximity.getBeaconMeasuredPower(data[i]);
+
+        if (measuredPower !== null)
+        {
+          beaconMeasuredPower = measuredPower;
+        }
+      }
+    }
+
+    if (beaconMeasuredPower !== null)
+    {
+      this.getDevice(report.address).beaconMeasuredPower = beaconMeasuredPower;
+    }
+
+    return this.updateRssi(report.address, report.rssi, report.time);
+  }
+
+  /**
+   * @param {string} address
+   * @param {number} rssi
+   * @param {(Date|number)} [time]
+   * @returns {?ProximityEstimate} `null` if the specified RSSI is not a number.
+   */
+  updateRssi(address, rssi, time)
+  {
+    // 127 means that the RSSI is not available
+    if (typeof rssi !== 'number' || rssi >= 127)
+    {
+      return null;
+    }
+
+    address = address.toUpperCase();
+
+    const device = this.getDevice(address);
+    const calibration = this.calibrations.get(address) || {};
+    const previousZone = device.estimate ? device.estimate.zone : null;
+    const smoothedRssi = device.filter.update(rssi);
+    let measuredPower = this.measuredPower;
+    let measuredPowerSource = 'default';
+
+    if (typeof calibration.measuredPower === 'number')
+    {
+      measuredPower = calibration.measuredPower;
+      measuredPowerSource = 'calibration';
+    }
+    else if (device.beaconMeasuredPower !== null)
+    {
+      measuredPower = device.beaconMeasuredPower;
+      measuredPowerSource = 'beacon';
+    }
+
+    const distance = proximity.estimateDistance(
+      smoothedRssi,
+      measuredPower,
+      calibration.pathLossExponent > 0 ? calibration.pathLossExponent : this.pathLossExponent
+    );
+    const estimate = device.estimate = {
+      address: address,
+      time: toTime(time, this.now),
+      rssi: rssi,
+      smoothedRssi: smoothedRssi,
+      measuredPower: measuredPower,
+      measuredPowerSource: measuredPowerSource,
+      distance: distance,
+      zone: proximity.classifyProximityZone(distance, this.zones)
+    };
+
+    this.emit('estimateUpdated', estimate);
+
+    if (estimate.zone !== previousZone)
+    {
+      this.emit('zoneChanged', estimate, previousZone);
+    }
+
+    return estimate;
+  }
+
+  /**
+   * @private
+   * @param {string} address
+   * @returns {{filter: RssiFilter, beaconMeasuredPower: ?number, estimate: ?ProximityEstimate}}
+   */
+  getDevice(address)
+  {
+    address = address.toUpperCase();
+
+    let device = this.devices.get(address);
+
+    if (!device)
+    {
+      device = {
+        filter: proximity.createRssiFilter(this.filterOptions),
+        beaconMeasuredPower: null,
+        estimate: null
+      };
+
+      this.devices.set(address, device);
+    }
+
+    return device;
+  }
+}
+
+module.exports = ProximityEstimator;
+
+/**
+ * @private
+ * @param {(Date|number|undefined)} time
+ * @param {function(): number} now
+ * @returns {number}
+ */
+function toTime(time, now)
+{
+  if (time instanceof Date)
+  {
+    return time.getTime();
+  }
+
+  return typeof time === 'number' ? time : now();
+}
+
+/**
+ * @typedef {Object} ProximityEstimatorOptions
+ * @property {RssiFilterOptions} [filter]
+ * @property {number} [measuredPower=-59] The default RSSI at 1 m (in dBm).
+ * @property {number} [pathLossExponent=2] The default path loss exponent.
+ * @property {ProximityZoneThresholds} [zones]
+ * @property {function(): number} [now=Date.now]
+ */
+
+/**
+ * @typedef {Object} ProximityCalibration
+ * @property {number} [measuredPower] The RSSI at 1 m (in dBm) measured for the device.
+ * @property {number} [pathLossExponent] The path loss exponent of the device's environment.
+ */
+
+/**
+ * @typedef {Object} ProximityEstimate
+ * @property {string} address
+ * @property {number} time
+ * @property {number} rssi The last RSSI sample (in dBm).
+ * @property {number} smoothedRssi
+ * @property {number} measuredPower
+ * @property {string} measuredPowerSource `calibration`, `beacon` or `default`.
+ * @property {number} distance The estimated distance (in m).
+ * @property {ProximityZone} zone
+ */
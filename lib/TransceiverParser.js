@@ -0,0 +1,453 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const Transform = require('stream').Transform;
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('./index');
+const beacon = require('./beacon');
+
+const AdvertisingReportEventType = btHci.AdvertisingReportEventType;
+
+/**
+ * The H4 packet indicator of HCI events (Bluetooth Core Specification, Vol 4, Part A, §2).
+ *
+ * @private
+ * @type {number}
+ */
+const HCI_EVENT_PACKET = 0x04;
+
+/**
+ * Bluetooth Core Specification, Vol 4, Part E, §7.7.65.
+ *
+ * @private
+ * @type {number}
+ */
+const LE_META_EVENT = 0x3E;
+
+/**
+ * Bluetooth Core Specification, Vol 4, Part E, §7.7.65.2.
+ *
+ * @private
+ * @type {number}
+ */
+const LE_ADVERTISING_REPORT_SUBEVENT = 0x02;
+
+/**
+ * The H4 packet indicator followed by the HCI event packet header: the event code and the parameter total length
+ * (Bluetooth Core Specification, Vol 4, Part E, §5.4.4).
+ *
+ * @private
+ * @type {number}
+ */
+const HEADER_LENGTH = 3;
+
+/**
+ * @private
+ * @type {number}
+ */
+const MAX_BUFFER_LENGTH = 4096;
+
+/**
+ * Parses the serial data stream of iNode Transceivers (UART and USB) into advertising reports.
+ *
+ * The stream is expected to contain HCI events in the H4 (UART transport) framing (Bluetooth Core Specification,
+ * Vol 4, Part A, §2): the `0x04` packet indicator followed by the HCI event packet (Vol 4, Part E, §5.4.4),
+ * i.e. the event code, the parameter total length and the parameters. The LE Advertising Report events
+ * (the `0x3E` LE Meta event with the `0x02` subevent code; Vol 4, Part E, §7.7.65.2) are decoded. Other events
+ * (e.g. Command Complete) are skipped as whole frames, if they are followed by the packet indicator of the next
+ * frame. Bytes that don't form a valid frame (e.g. garbage after connecting to the middle of the stream
+ * or corrupted frames) are skipped until the beginning of the next valid frame is found.
+ *
+ * The valid LE Advertising Report events are decoded by `h5.bluetooth.hci` with the iNode MSD and beacon
+ * decoders registered only for the duration of the decoding, so the other decoders registered
+ * in `btHci.decoders.eirDataType` apply too. The `address` decode option is set to the address of the report
+ * if the event contains only one report (as the events sent by iNode Transceivers do).
+ *
+ * Pushes the advertising report objects in the same format as `decodeGsmData()`, i.e. with iNode MSD decoded
+ * and `time` set to the time of parsing. Only reports with iNode MSD are pushed, unless the `allReports`
+ * option is set. Emits the `skipped` event with the number of skipped bytes after every resynchronization
+ * and the `skippedFrame` event with the event code and the parameters of every skipped HCI event.
+ */
+class TransceiverParser extends Transform
+{
+  /**
+   * @param {TransceiverParserOptions} [options]
+   */
+  constructor(options)
+  {
+    super({readableObjectMode: true});
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * The decode options with the signed device times of the MSD verified by this instance.
+     *
+     * @private
+     * @type {MsdDecodeOptions}
+     */
+    this.decodeOptions = Object.assign({verifiedTimes: new Map()}, options.decodeOptions);
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.allReports = !!options.allReports;
+
+    /**
+     * @private
+     * @type {function(): number}
+     */
+    this.now = options.now || Date.now;
+
+    /**
+     * @private
+     * @type {Buffer}
+     */
+    this.buffer = new Buffer(0);
+
+    /**
+     * The total number of bytes that didn't form a valid frame.
+     *
+     * @type {number}
+     */
+    this.skippedBytes = 0;
+
+    /**
+     * The total number of valid HCI events other than the LE Advertising Report events.
+     *
+     * @type {number}
+     */
+    this.skippedFrames = 0;
+  }
+
+  /**
+   * @private
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {function(?Error): void} done
+   */
+  _transform(chunk, encoding, done)
+  {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    this.parseFrames();
+
+    if (this.buffer.length > MAX_BUFFER_LENGTH)
+    {
+      this.skip(this.buffer.length - MAX_BUFFER_LENGTH);
+    }
+
+    done();
+  }
+
+  /**
+   * @private
+   * @param {function(?Error): void} done
+   */
+  _flush(done)
+  {
+    this.parseFrames(true);
+
+    if (this.buffer.length)
+    {
+      this.skip(this.buffer.length);
+    }
+
+    done();
+  }
+
+  /**
+   * @private
+   * @param {boolean} [final=false] Whether no more data will be received, so the last frame can't be followed
+   * by the next one.
+   */
+  parseFrames(final)
+  {
+    let skipped = 0;
+
+    while (this.buffer.length >= HEADER_LENGTH)
+    {
+      const frameStart = findFrameStart(this.buffer);
+
+      if (frameStart === -1)
+      {
+        // Keep the last byte, as it may be the packet type of the next frame
+        skipped += this.buffer.length - 1;
+        this.buffer = this.buffer.slice(this.buffer.length - 1);
+
+        break;
+      }
+
+      skipped += frameStart;
+      this.buffer = this.buffer.slice(frameStart);
+
+      if (this.buffer.length < HEADER_LENGTH)
+      {
+        break;
+      }
+
+      const frameLength = HEADER_LENGTH + this.buffer[2];
+
+      if (this.buffer.length < frameLength)
+      {
+        break;
+      }
+
+      const eventCode = this.buffer[1];
+      const parameters = this.buffer.slice(HEADER_LENGTH, frameLength);
+      const advertisingReport = eventCode === LE_META_EVENT && parameters[0] === LE_ADVERTISING_REPORT_SUBEVENT;
+      const reports = advertisingReport ? this.decodeReports(this.buffer.slice(0, frameLength), parameters) : null;
+
+      if (!advertisingReport)
+      {
+        if (this.buffer.length === frameLength && !final)
+        {
+          // Wait for the next byte to check whether the frame is followed by another one
+          break;
+        }
+
+        if (this.buffer.length > frameLength && this.buffer[frameLength] !== HCI_EVENT_PACKET)
+        {
+          skipped += 1;
+          this.buffer = this.buffer.slice(1);
+
+          continue;
+        }
+      }
+      else if (reports === null)
+      {
+        // Not a valid frame, so look for the next one
+        skipped += 1;
+        this.buffer = this.buffer.slice(1);
+
+        continue;
+      }
+
+      this.buffer = this.buffer.slice(frameLength);
+
+      if (skipped)
+      {
+        this.emitSkipped(skipped);
+
+        skipped = 0;
+      }
+
+      if (reports === null)
+      {
+        this.skippedFrames += 1;
+
+        this.emit('skippedFrame', eventCode, parameters);
+      }
+      else
+      {
+        reports.forEach(report => this.pushReport(report));
+      }
+    }
+
+    if (skipped)
+    {
+      this.emitSkipped(skipped);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} count
+   */
+  skip(count)
+  {
+    this.buffer = this.buffer.slice(count);
+
+    this.emitSkipped(count);
+  }
+
+  /**
+   * @private
+   * @param {number} count
+   */
+  emitSkipped(count)
+  {
+    this.skippedBytes += count;
+
+    this.emit('skipped', count);
+  }
+
+  /**
+   * @private
+   * @param {Buffer} frame
+   * @param {Buffer} parameters
+   * @returns {?Array<AdvertisingReport>} `null` if the frame is not a valid LE Advertising Report event.
+   */
+  decodeReports(frame, parameters)
+  {
+    if (!isValidAdvertisingReportEvent(parameters))
+    {
+      return null;
+    }
+
+    const decodeOptions = parameters[1] === 1
+      ? Object.assign({}, this.decodeOptions, {address: decodeAddress(parameters, 4)})
+      : this.decodeOptions;
+    const unregisterBeaconDecoders = beacon.registerBeaconDecoders(btHci.decoders.eirDataType);
+    const unregisterMsdDecoder = iNodeHci.registerManufacturerSpecificDataDecoder(
+      btHci.decoders.eirDataType,
+      decodeOptions
+    );
+
+    try
+    {
+      const hciPacket = btHci.decode(frame);
+
+      return hciPacket.parameters && hciPacket.parameters.reports || null;
+    }
+    catch (err)
+    {
+      return null;
+    }
+    finally
+    {
+      unregisterMsdDecoder();
+      unregisterBeaconDecoders();
+    }
+  }
+
+  /**
+   * @private
+   * @param {AdvertisingReport} report
+   */
+  pushReport(report)
+  {
+    report.time = new Date(this.now());
+
+    if (this.allReports || (report.data || []).some(eirData => !!eirData.modelLabel))
+    {
+      this.push(report);
+    }
+  }
+}
+
+module.exports = TransceiverParser;
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function findFrameStart(buffer)
+{
+  for (let i = 0; i < buffer.length - 1; ++i)
+  {
+    // 0x00 is not a valid event code
+    if (buffer[i] === HCI_EVENT_PACKET && buffer[i + 1] !== 0x00)
+    {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Checks the lengths of the reports and their EIR data structures, so corrupted frames are skipped
+ * before they're decoded.
+ *
+ * @private
+ * @param {Buffer} parameters
+ * @returns {boolean}
+ */
+function isValidAdvertisingReportEvent(parameters)
+{
+  if (parameters.length < 2 || parameters[0] !== LE_ADVERTISING_REPORT_SUBEVENT || parameters[1] === 0)
+  {
+    return false;
+  }
+
+  let i = 2;
+
+  for (let r = 0; r < parameters[1]; ++r)
+  {
+    // Event type, address type, address, data length
+    if (i + 9 > parameters.length)
+    {
+      return false;
+    }
+
+    const eventType = parameters[i];
+    const dataStart = i + 9;
+    const dataEnd = dataStart + parameters[i + 8];
+
+    // Data and RSSI
+    if (eventType > AdvertisingReportEventType.ScanRsp || dataEnd + 1 > parameters.length)
+    {
+      return false;
+    }
+
+    if (!isValidEirData(parameters.slice(dataStart, dataEnd)))
+    {
+      return false;
+    }
+
+    i = dataEnd + 1;
+  }
+
+  return i === parameters.length;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isValidEirData(buffer)
+{
+  let i = 0;
+
+  while (i < buffer.length)
+  {
+    const length = buffer[i];
+
+    // Significant part ends
+    if (length === 0)
+    {
+      return true;
+    }
+
+    if (i + 1 + length > buffer.length)
+    {
+      return false;
+    }
+
+    i += 1 + length;
+  }
+
+  return true;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @returns {string}
+ */
+function decodeAddress(buffer, i)
+{
+  const bytes = [];
+
+  for (let j = i + 5; j >= i; --j)
+  {
+    bytes.push((buffer[j] < 0x10 ? '0' : '') + buffer[j].toString(16).toUpperCase());
+  }
+
+  return bytes.join(':');
+}
+
+/**
+ * @typedef {Object} TransceiverParserOptions
+ * @property {MsdDecodeOptions} [decodeOptions] The options of the iNode MSD decoder.
+ * @property {boolean} [allReports=false] Whether to push the reports without iNode MSD too.
+ * @property {function(): number} [now=Date.now]
+ */
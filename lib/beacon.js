@@ -0,0 +1,304 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const btHci = require('h5.bluetooth.hci');
+
+const EirDataType = btHci.EirDataType;
+
+/**
+ * @private
+ * @type {number}
+ */
+const APPLE_COMPANY_IDENTIFIER = 0x004C;
+
+/**
+ * @private
+ * @type {number}
+ */
+const EDDYSTONE_SERVICE_UUID = 0xFEAA;
+
+/**
+ * @private
+ * @type {Array<string>}
+ */
+const EDDYSTONE_URL_SCHEMES = ['http://www.', 'https://www.', 'http://', 'https://'];
+
+/**
+ * @private
+ * @type {Array<string>}
+ */
+const EDDYSTONE_URL_EXPANSIONS = [
+  '.com/', '.org/', '.edu/', '.net/', '.info/', '.biz/', '.gov/',
+  '.com', '.org', '.edu', '.net', '.info', '.biz', '.gov'
+];
+
+/**
+ * @enum {string}
+ */
+const BeaconFrameType = exports.BeaconFrameType = {
+  IBeacon: 'iBeacon',
+  EddystoneUid: 'eddystoneUid',
+  EddystoneUrl: 'eddystoneUrl',
+  EddystoneTlm: 'eddystoneTlm'
+};
+
+/**
+ * Registers the iBeacon (manufacturer specific data) and Eddystone (service data) frame decoders
+ * in the specified EIR data type decoders (e.g. `require('h5.bluetooth.hci').decoders.eirDataType`).
+ * Data that isn't a beacon frame is passed to the previously registered decoders.
+ *
+ * @param {Object<EirDataType, function(Buffer, Object): void>} eirDataTypeDecoders
+ * @returns {function(): void} A function that unregisters the decoders.
+ */
+exports.registerBeaconDecoders = function(eirDataTypeDecoders)
+{
+  const unregisterIBeacon = chainDecoder(
+    eirDataTypeDecoders,
+    EirDataType.ManufacturerSpecificData,
+    exports.decodeIBeacon
+  );
+  const unregisterEddystone = chainDecoder(
+    eirDataTypeDecoders,
+    EirDataType.ServiceData16BitUuid,
+    exports.decodeEddystone
+  );
+
+  return function unregister()
+  {
+    unregisterIBeacon();
+    unregisterEddystone();
+  };
+};
+
+/**
+ * @param {Buffer} buffer The manufacturer specific data (starting with the company identifier).
+ * @returns {boolean}
+ */
+exports.isIBeacon = function(buffer)
+{
+  return buffer.length === 25
+    && buffer.readUInt16LE(0) === APPLE_COMPANY_IDENTIFIER
+    && buffer[2] === 0x02
+    && buffer[3] === 0x15;
+};
+
+/**
+ * @param {Buffer} buffer The manufacturer specific data (starting with the company identifier).
+ * @param {Object} eirDataStructure
+ * @returns {boolean} Whether the specified data was an iBeacon frame.
+ */
+exports.decodeIBeacon = function(buffer, eirDataStructure)
+{
+  if (!exports.isIBeacon(buffer))
+  {
+    return false;
+  }
+
+  const uuid = buffer.toString('hex', 4, 20);
+
+  eirDataStructure.companyIdentifier = APPLE_COMPANY_IDENTIFIER;
+  eirDataStructure.frameType = BeaconFrameType.IBeacon;
+  eirDataStructure.uuid = [
+    uuid.substring(0, 8),
+    uuid.substring(8, 12),
+    uuid.substring(12, 16),
+    uuid.substring(16, 20),
+    uuid.substring(20)
+  ].join('-');
+  eirDataStructure.major = buffer.readUInt16BE(20);
+  eirDataStructure.minor = buffer.readUInt16BE(22);
+  eirDataStructure.measuredPower = buffer.readInt8(24);
+
+  return true;
+};
+
+/**
+ * @param {Buffer} buffer The service data (starting with the 16-bit service UUID).
+ * @param {Object} eirDataStructure
+ * @returns {boolean} Whether the specified data was a supported Eddystone frame.
+ */
+exports.decodeEddystone = function(buffer, eirDataStructure)
+{
+  if (buffer.length < 3 || buffer.readUInt16LE(0) !== EDDYSTONE_SERVICE_UUID)
+  {
+    return false;
+  }
+
+  switch (buffer[2])
+  {
+    case 0x00:
+      return decodeEddystoneUid(buffer, eirDataStructure);
+
+    case 0x10:
+      return decodeEddystoneUrl(buffer, eirDataStructure);
+
+    case 0x20:
+      return decodeEddystoneTlm(buffer, eirDataStructure);
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * @private
+ * @param {Object<EirDataType, function(Buffer, Object): void>} eirDataTypeDecoders
+ * @param {number} eirDataType
+ * @param {function(Buffer, Object): boolean} decode
+ * @returns {function(): void}
+ */
+function chainDecoder(eirDataTypeDecoders, eirDataType, decode)
+{
+  const originalDecoder = eirDataTypeDecoders[eirDataType];
+  let registered = true;
+
+  function decoder(buffer, eirDataStructure)
+  {
+    if (registered && decode(buffer, eirDataStructure))
+    {
+      return;
+    }
+
+    if (originalDecoder)
+    {
+      originalDecoder(buffer, eirDataStructure);
+    }
+    else
+    {
+      eirDataStructure.value = buffer;
+    }
+  }
+
+  eirDataTypeDecoders[eirDataType] = decoder;
+
+  return function unregister()
+  {
+    if (!registered)
+    {
+      return;
+    }
+
+    registered = false;
+
+    if (eirDataTypeDecoders[eirDataType] !== decoder)
+    {
+      return;
+    }
+
+    if (originalDecoder)
+    {
+      eirDataTypeDecoders[eirDataType] = originalDecoder;
+    }
+    else
+    {
+      delete eirDataTypeDecoders[eirDataType];
+    }
+  };
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {Object} eirDataStructure
+ * @returns {boolean}
+ */
+function decodeEddystoneUid(buffer, eirDataStructure)
+{
+  if (buffer.length < 20)
+  {
+    return false;
+  }
+
+  eirDataStructure.serviceUuid = EDDYSTONE_SERVICE_UUID;
+  eirDataStructure.frameType = BeaconFrameType.EddystoneUid;
+  eirDataStructure.txPower = buffer.readInt8(3);
+  eirDataStructure.namespace = buffer.toString('hex', 4, 14);
+  eirDataStructure.instance = buffer.toString('hex', 14, 20);
+
+  return true;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {Object} eirDataStructure
+ * @returns {boolean}
+ */
+function decodeEddystoneUrl(buffer, eirDataStructure)
+{
+  if (buffer.length < 5 || buffer[4] >= EDDYSTONE_URL_SCHEMES.length)
+  {
+    return false;
+  }
+
+  let url = EDDYSTONE_URL_SCHEMES[buffer[4]];
+
+  for (let i = 5; i < buffer.length; ++i)
+  {
+    const byte = buffer[i];
+
+    url += byte < EDDYSTONE_URL_EXPANSIONS.length ? EDDYSTONE_URL_EXPANSIONS[byte] : String.fromCharCode(byte);
+  }
+
+  eirDataStructure.serviceUuid = EDDYSTONE_SERVICE_UUID;
+  eirDataStructure.frameType = BeaconFrameType.EddystoneUrl;
+  eirDataStructure.txPower = buffer.readInt8(3);
+  eirDataStructure.url = url;
+
+  return true;
+}
+
+/**
+ * Only the unencrypted (version 0) TLM frames are supported.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {Object} eirDataStructure
+ * @returns {boolean}
+ */
+function decodeEddystoneTlm(buffer, eirDataStructure)
+{
+  if (buffer.length < 16 || buffer[3] !== 0x00)
+  {
+    return false;
+  }
+
+  const batteryVoltage = buffer.readUInt16BE(4);
+  const temperature = buffer.readInt16BE(6);
+
+  eirDataStructure.serviceUuid = EDDYSTONE_SERVICE_UUID;
+  eirDataStructure.frameType = BeaconFrameType.EddystoneTlm;
+  eirDataStructure.version = buffer[3];
+  eirDataStructure.batteryVoltage = batteryVoltage === 0 ? null : batteryVoltage / 1000;
+  eirDataStructure.temperature = temperature === -0x8000 ? null : temperature / 256;
+  eirDataStructure.advertisementCount = buffer.readUInt32BE(8);
+  eirDataStructure.uptime = buffer.readUInt32BE(12) / 10;
+
+  return true;
+}
+
+/**
+ * @typedef {Object} IBeaconFrame
+ * @property {number} companyIdentifier
+ * @property {BeaconFrameType} frameType
+ * @property {string} uuid The proximity UUID.
+ * @property {number} major
+ * @property {number} minor
+ * @property {number} measuredPower The RSSI at 1 m (in dBm).
+ */
+
+/**
+ * @typedef {Object} EddystoneFrame
+ * @property {number} serviceUuid
+ * @property {BeaconFrameType} frameType
+ * @property {number} [txPower] The RSSI at 0 m (in dBm; UID and URL frames only).
+ * @property {string} [namespace] UID frames only.
+ * @property {string} [instance] UID frames only.
+ * @property {string} [url] URL frames only.
+ * @property {number} [version] TLM frames only.
+ * @property {?number} [batteryVoltage] In V (TLM frames only).
+ * @property {?number} [temperature] In °C (TLM frames only).
+ * @property {number} [advertisementCount] TLM frames only.
+ * @property {number} [uptime] In seconds (TLM frames only).
+ */
@@ -0,0 +1,350 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('./index');
+
+/**
+ * @private
+ * @type {string}
+ */
+const BTSNOOP_MAGIC = 'btsnoop\u0000';
+
+/**
+ * @private
+ * @type {number}
+ */
+const BTSNOOP_VERSION = 1;
+
+/**
+ * @private
+ * @type {number}
+ */
+const FILE_HEADER_LENGTH = 16;
+
+/**
+ * @private
+ * @type {number}
+ */
+const PACKET_HEADER_LENGTH = 24;
+
+/**
+ * The timestamps are microseconds since 0000-01-01 00:00:00 UTC. The high and low 32 bits
+ * of the timestamp of 1970-01-01 00:00:00 UTC (0x00DCDDB30F2F8000) are kept separately, because
+ * the timestamps don't fit in the safe integer range.
+ *
+ * @private
+ * @type {{high: number, low: number}}
+ */
+const UNIX_EPOCH_TIMESTAMP = {
+  high: 0x00DCDDB3,
+  low: 0x0F2F8000
+};
+
+/**
+ * @private
+ * @type {number}
+ */
+const HCI_EVENT_PACKET = 0x04;
+
+/**
+ * @private
+ * @type {number}
+ */
+const LE_META_EVENT = 0x3E;
+
+/**
+ * @private
+ * @type {number}
+ */
+const LE_ADVERTISING_REPORT_SUBEVENT = 0x02;
+
+/**
+ * The opcode of the HCI event packets in the Linux monitor (btmon) captures.
+ *
+ * @private
+ * @type {number}
+ */
+const MONITOR_EVENT_PACKET = 0x03;
+
+/**
+ * @enum {number}
+ */
+const BtsnoopDatalinkType = exports.BtsnoopDatalinkType = {
+  H1: 1001,
+  H4: 1002,
+  Bscp: 1003,
+  H5: 1004,
+  LinuxMonitor: 2001
+};
+
+/**
+ * @enum {string}
+ */
+const BtsnoopPacketSkipReason = exports.BtsnoopPacketSkipReason = {
+  Truncated: 'TRUNCATED',
+  DecodeError: 'DECODE_ERROR'
+};
+
+/**
+ * Reads the packets of a BTSnoop capture file (written by `btmon -w` or the Android's Bluetooth HCI snoop log).
+ *
+ * @param {Buffer} buffer The contents of the capture file.
+ * @returns {BtsnoopCapture}
+ * @throws {Error} If the specified buffer is not a BTSnoop capture or its data link type is not supported.
+ */
+exports.readBtsnoopCapture = function(buffer)
+{
+  if (buffer.length < FILE_HEADER_LENGTH || buffer.toString('binary', 0, 8) !== BTSNOOP_MAGIC)
+  {
+    throw new Error('Cannot read BTSnoop capture: the identification pattern is missing!');
+  }
+
+  const version = buffer.readUInt32BE(8);
+  const datalinkType = buffer.readUInt32BE(12);
+
+  if (version !== BTSNOOP_VERSION)
+  {
+    throw new Error(`Cannot read BTSnoop capture: version ${version} is not supported!`);
+  }
+
+  if (datalinkType !== BtsnoopDatalinkType.H1
+    && datalinkType !== BtsnoopDatalinkType.H4
+    && datalinkType !== BtsnoopDatalinkType.LinuxMonitor)
+  {
+    throw new Error(`Cannot read BTSnoop capture: data link type ${datalinkType} is not supported!`);
+  }
+
+  const capture = {
+    version: version,
+    datalinkType: datalinkType,
+    packets: [],
+    truncated: false
+  };
+
+  for (let i = FILE_HEADER_LENGTH; i < buffer.length;)
+  {
+    if (i + PACKET_HEADER_LENGTH > buffer.length)
+    {
+      capture.truncated = true;
+
+      break;
+    }
+
+    const originalLength = buffer.readUInt32BE(i);
+    const includedLength = buffer.readUInt32BE(i + 4);
+    const flags = buffer.readUInt32BE(i + 8);
+    const dataStart = i + PACKET_HEADER_LENGTH;
+
+    if (dataStart + includedLength > buffer.length)
+    {
+      capture.truncated = true;
+
+      break;
+    }
+
+    capture.packets.push({
+      number: capture.packets.length + 1,
+      time: new Date(decodeTimestamp(buffer, i + 16)),
+      originalLength: originalLength,
+      flags: flags,
+      cumulativeDrops: buffer.readUInt32BE(i + 12),
+      data: buffer.slice(dataStart, dataStart + includedLength)
+    });
+
+    i = dataStart + includedLength;
+  }
+
+  return capture;
+};
+
+/**
+ * Decodes the LE Advertising Report events of the specified BTSnoop capture file with h5.bluetooth.hci
+ * (with the iNode MSD decoder registered for the duration of the call).
+ *
+ * @param {Buffer} buffer The contents of the capture file.
+ * @param {?Array<BtsnoopSkippedPacket>} [skippedPackets] If specified, info about every advertising report
+ * event that couldn't be decoded is pushed to it.
+ * @param {BtsnoopReadOptions} [options]
+ * @returns {Array<BtsnoopAdvertisingReport>} The advertising reports with iNode MSD (or all advertising reports,
+ * if the `allReports` option is set) in the capture order.
+ * @throws {Error} If the specified buffer is not a BTSnoop capture or its data link type is not supported.
+ */
+exports.readBtsnoopReports = function(buffer, skippedPackets, options)
+{
+  if (!options)
+  {
+    options = {};
+  }
+
+  const capture = exports.readBtsnoopCapture(buffer);
+  const unregister = iNodeHci.registerManufacturerSpecificDataDecoder(
+    btHci.decoders.eirDataType,
+    options.decodeOptions || null
+  );
+  const reports = [];
+
+  try
+  {
+    capture.packets.forEach(packet =>
+    {
+      const hciEvent = toHciEventPacket(capture.datalinkType, packet);
+
+      if (hciEvent === null || !isAdvertisingReportEvent(hciEvent))
+      {
+        return;
+      }
+
+      if (packet.data.length < packet.originalLength)
+      {
+        pushSkippedPacket(
+          skippedPackets,
+          packet,
+          BtsnoopPacketSkipReason.Truncated,
+          `Expected ${packet.originalLength} bytes of packet data, but got only ${packet.data.length}.`
+        );
+
+        return;
+      }
+
+      let hciPacket;
+
+      try
+      {
+        hciPacket = btHci.decode(hciEvent);
+      }
+      catch (err)
+      {
+        pushSkippedPacket(skippedPackets, packet, BtsnoopPacketSkipReason.DecodeError, err.message);
+
+        return;
+      }
+
+      (hciPacket.parameters && hciPacket.parameters.reports || []).forEach(report =>
+      {
+        if (options.allReports || (report.data || []).some(eirData => !!eirData.modelLabel))
+        {
+          report.time = packet.time;
+          report.packetNumber = packet.number;
+
+          reports.push(report);
+        }
+      });
+    });
+  }
+  finally
+  {
+    unregister();
+  }
+
+  return reports;
+};
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @returns {number} UNIX time in milliseconds.
+ */
+function decodeTimestamp(buffer, i)
+{
+  const high = buffer.readUInt32BE(i) - UNIX_EPOCH_TIMESTAMP.high;
+  const low = buffer.readUInt32BE(i + 4) - UNIX_EPOCH_TIMESTAMP.low;
+
+  return Math.floor((high * 0x100000000 + low) / 1000);
+}
+
+/**
+ * @private
+ * @param {BtsnoopDatalinkType} datalinkType
+ * @param {BtsnoopPacket} packet
+ * @returns {?Buffer} The HCI event packet with the H4 packet type or `null` if the packet is not an HCI event.
+ */
+function toHciEventPacket(datalinkType, packet)
+{
+  if (datalinkType === BtsnoopDatalinkType.H4)
+  {
+    return packet.data[0] === HCI_EVENT_PACKET ? packet.data : null;
+  }
+
+  const isEvent = datalinkType === BtsnoopDatalinkType.LinuxMonitor
+    ? (packet.flags & 0xFFFF) === MONITOR_EVENT_PACKET
+    // H1: bit 0 - received, bit 1 - command/event
+    : (packet.flags & 0x03) === 0x03;
+
+  return isEvent ? Buffer.concat([new Buffer([HCI_EVENT_PACKET]), packet.data]) : null;
+}
+
+/**
+ * @private
+ * @param {Buffer} hciEvent
+ * @returns {boolean}
+ */
+function isAdvertisingReportEvent(hciEvent)
+{
+  return hciEvent.length > 3 && hciEvent[1] === LE_META_EVENT && hciEvent[3] === LE_ADVERTISING_REPORT_SUBEVENT;
+}
+
+/**
+ * @private
+ * @param {?Array<BtsnoopSkippedPacket>} skippedPackets
+ * @param {BtsnoopPacket} packet
+ * @param {BtsnoopPacketSkipReason} reason
+ * @param {string} message
+ */
+function pushSkippedPacket(skippedPackets, packet, reason, message)
+{
+  if (skippedPackets)
+  {
+    skippedPackets.push({
+      packetNumber: packet.number,
+      time: packet.time,
+      data: packet.data,
+      reason: reason,
+      message: message
+    });
+  }
+}
+
+/**
+ * @typedef {Object} BtsnoopCapture
+ * @property {number} version
+ * @property {BtsnoopDatalinkType} datalinkType
+ * @property {Array<BtsnoopPacket>} packets
+ * @property {boolean} truncated Whether the last packet record is incomplete (e.g. the capture is still
+ * being written).
+ */
+
+/**
+ * @typedef {Object} BtsnoopPacket
+ * @property {number} number The 1-based number of the packet in the capture.
+ * @property {Date} time
+ * @property {number} originalLength
+ * @property {number} flags The direction and type flags (or the opcode and adapter index in the Linux monitor
+ * captures).
+ * @property {number} cumulativeDrops
+ * @property {Buffer} data The packet data (without the H4 packet type, except in the H4 captures).
+ */
+
+/**
+ * @typedef {Object} BtsnoopReadOptions
+ * @property {(INodeMsdMatchOptions|MsdDecodeOptions)} [decodeOptions] The options of the registered iNode
+ * MSD decoder.
+ * @property {boolean} [allReports=false] Whether to return the reports without iNode MSD too.
+ */
+
+/**
+ * @typedef {AdvertisingReport} BtsnoopAdvertisingReport
+ * @property {Date} time The timestamp of the packet.
+ * @property {number} packetNumber
+ */
+
+/**
+ * @typedef {Object} BtsnoopSkippedPacket
+ * @property {number} packetNumber
+ * @property {Date} time
+ * @property {Buffer} data
+ * @property {BtsnoopPacketSkipReason} reason
+ * @property {string} message
+ */
@@ -0,0 +1,113 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * @private
+ * @type {Map<string, EnergyMeterOverrides>}
+ */
+const meterOverrides = new Map();
+
+/**
+ * Registers the constant, unit and/or scale used instead of the ones reported by the specified Energy Meter.
+ *
+ * @param {string} address
+ * @param {EnergyMeterOverrides} overrides
+ * @throws {Error} If any of the specified overrides is invalid.
+ */
+exports.registerEnergyMeterOverrides = function(address, overrides)
+{
+  validateOverrides(address, overrides);
+
+  meterOverrides.set(normalizeAddress(address), Object.assign({}, overrides));
+};
+
+/**
+ * @param {string} address
+ * @returns {boolean}
+ */
+exports.unregisterEnergyMeterOverrides = function(address)
+{
+  return meterOverrides.delete(normalizeAddress(address));
+};
+
+exports.unregisterAllEnergyMeterOverrides = function()
+{
+  meterOverrides.clear();
+};
+
+/**
+ * Returns the overrides registered for the specified address merged with the per-call overrides
+ * (which take precedence).
+ *
+ * @param {?string} address
+ * @param {?EnergyMeterOverrides} callOverrides
+ * @returns {?EnergyMeterOverrides}
+ * @throws {Error} If any of the per-call overrides is invalid.
+ */
+exports.resolveEnergyMeterOverrides = function(address, callOverrides)
+{
+  const addressOverrides = address ? meterOverrides.get(normalizeAddress(address)) : null;
+
+  if (!callOverrides)
+  {
+    return addressOverrides || null;
+  }
+
+  validateOverrides(address, callOverrides);
+
+  return Object.assign({}, addressOverrides, callOverrides);
+};
+
+/**
+ * @private
+ * @param {?string} address
+ * @param {EnergyMeterOverrides} overrides
+ * @throws {Error} If any of the specified overrides is invalid.
+ */
+function validateOverrides(address, overrides)
+{
+  const prefix = `Invalid iNode Energy Meter overrides${address ? ` for ${address}` : ''}`;
+
+  if (!overrides || typeof overrides !== 'object')
+  {
+    throw new Error(`${prefix}: expected an object!`);
+  }
+
+  if (overrides.constant != null
+    && (!(overrides.constant > 0) || overrides.constant !== Math.floor(overrides.constant)))
+  {
+    throw new Error(`${prefix}: expected the constant to be a positive integer, got '${overrides.constant}'!`);
+  }
+
+  if (overrides.unit != null && [0, 1, 2, 3].indexOf(overrides.unit) === -1)
+  {
+    throw new Error(`${prefix}: expected the unit to be an integer in range 0-3, got '${overrides.unit}'!`);
+  }
+
+  if (overrides.scale != null
+    && typeof overrides.scale !== 'function'
+    && (typeof overrides.scale !== 'number' || !isFinite(overrides.scale)))
+  {
+    throw new Error(`${prefix}: expected the scale to be a number or a function, got '${overrides.scale}'!`);
+  }
+}
+
+/**
+ * @private
+ * @param {string} address
+ * @returns {string}
+ */
+function normalizeAddress(address)
+{
+  return String(address).toUpperCase();
+}
+
+/**
+ * @typedef {Object} EnergyMeterOverrides
+ * @property {number} [constant] The number of pulses per unit used instead of the reported one.
+ * @property {number} [unit] The unit used instead of the reported one (0 - kWh, 1 - m³, 2 and 3 - counts).
+ * @property {(number|function(number, string, INodeEnergyMeterMsd): number)} [scale] A factor the `average`
+ * and `sum` values are multiplied by or a function called with each of these values, the name of the field
+ * and the decoded MSD that returns the scaled value.
+ */
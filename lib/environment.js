@@ -0,0 +1,125 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * The standard atmospheric pressure at sea level (in hPa).
+ *
+ * @type {number}
+ */
+exports.STANDARD_SEA_LEVEL_PRESSURE = 1013.25;
+
+/**
+ * The temperature of the standard atmosphere at sea level (in °C).
+ *
+ * @private
+ * @type {number}
+ */
+const STANDARD_TEMPERATURE = 15;
+
+/**
+ * The temperature lapse rate of the standard atmosphere (in K/m).
+ *
+ * @private
+ * @type {number}
+ */
+const LAPSE_RATE = 0.0065;
+
+/**
+ * Computes the dew point using the Magnus formula (with the Sonntag constants).
+ *
+ * @param {number} temperature The air temperature (in °C).
+ * @param {number} humidity The relative humidity (in %).
+ * @returns {number} The dew point (in °C).
+ */
+exports.computeDewPoint = function(temperature, humidity)
+{
+  const gamma = Math.log(Math.max(humidity, 0.01) / 100) + 17.62 * temperature / (243.12 + temperature);
+
+  return 243.12 * gamma / (17.62 - gamma);
+};
+
+/**
+ * @param {number} temperature The air temperature (in °C).
+ * @param {number} humidity The relative humidity (in %).
+ * @returns {number} The absolute humidity (in g/m³).
+ */
+exports.computeAbsoluteHumidity = function(temperature, humidity)
+{
+  const saturationVaporPressure = 6.112 * Math.exp(17.67 * temperature / (temperature + 243.5));
+
+  return saturationVaporPressure * humidity * 2.1674 / (273.15 + temperature);
+};
+
+/**
+ * Computes the heat index using the algorithm of the US National Weather Service (the Steadman formula
+ * for low values and the Rothfusz regression with adjustments otherwise).
+ *
+ * @param {number} temperature The air temperature (in °C).
+ * @param {number} humidity The relative humidity (in %).
+ * @returns {number} The heat index (in °C).
+ */
+exports.computeHeatIndex = function(temperature, humidity)
+{
+  const t = temperature * 9 / 5 + 32;
+  const rh = humidity;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((hi + t) / 2 >= 80)
+  {
+    hi = -42.379
+      + 2.04901523 * t
+      + 10.14333127 * rh
+      - 0.22475541 * t * rh
+      - 0.00683783 * t * t
+      - 0.05481717 * rh * rh
+      + 0.00122874 * t * t * rh
+      + 0.00085282 * t * rh * rh
+      - 0.00000199 * t * t * rh * rh;
+
+    if (rh < 13 && t >= 80 && t <= 112)
+    {
+      hi -= (13 - rh) / 4 * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    }
+    else if (rh > 85 && t >= 80 && t <= 87)
+    {
+      hi += (rh - 85) / 10 * (87 - t) / 5;
+    }
+  }
+
+  return (hi - 32) * 5 / 9;
+};
+
+/**
+ * Reduces the station pressure to the sea level using the barometric formula.
+ *
+ * @param {number} pressure The station pressure (in hPa).
+ * @param {number} altitude The station altitude (in m).
+ * @param {?number} [temperature] The air temperature at the station (in °C). If not specified,
+ * the temperature of the standard atmosphere is used.
+ * @returns {number} The sea-level pressure (in hPa).
+ */
+exports.computeSeaLevelPressure = function(pressure, altitude, temperature)
+{
+  const kelvins = (typeof temperature === 'number' ? temperature : STANDARD_TEMPERATURE - LAPSE_RATE * altitude)
+    + 273.15;
+
+  return pressure * Math.pow(1 - LAPSE_RATE * altitude / (kelvins + LAPSE_RATE * altitude), -5.257);
+};
+
+/**
+ * Computes the altitude from the pressure using the barometric formula of the standard atmosphere.
+ *
+ * @param {number} pressure The pressure (in hPa).
+ * @param {number} [seaLevelPressure=1013.25] The reference pressure at sea level (in hPa).
+ * @returns {number} The altitude (in m).
+ */
+exports.computeAltitude = function(pressure, seaLevelPressure)
+{
+  if (typeof seaLevelPressure !== 'number')
+  {
+    seaLevelPressure = exports.STANDARD_SEA_LEVEL_PRESSURE;
+  }
+
+  return 44330 * (1 - Math.pow(pressure / seaLevelPressure, 1 / 5.255));
+};
@@ -0,0 +1,121 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const inherits = require('util').inherits;
+
+exports.INodeMsdError = INodeMsdError;
+exports.UnknownDeviceModelError = UnknownDeviceModelError;
+exports.TruncatedMsdError = TruncatedMsdError;
+exports.TrailingMsdBytesError = TrailingMsdBytesError;
+
+/**
+ * @constructor
+ * @extends {Error}
+ * @param {string} message
+ * @param {number} model
+ */
+function INodeMsdError(message, model)
+{
+  Error.captureStackTrace(this, this.constructor);
+
+  /**
+   * @type {string}
+   */
+  this.name = this.constructor.name;
+
+  /**
+   * @type {string}
+   */
+  this.message = message;
+
+  /**
+   * @type {number}
+   */
+  this.model = model;
+}
+
+inherits(INodeMsdError, Error);
+
+/**
+ * @constructor
+ * @extends {INodeMsdError}
+ * @param {number} model
+ */
+function UnknownDeviceModelError(model)
+{
+  INodeMsdError.call(this, `Cannot decode iNode MSD: '${model}' is not a valid device model!`, model);
+}
+
+inherits(UnknownDeviceModelError, INodeMsdError);
+
+/**
+ * @constructor
+ * @extends {INodeMsdError}
+ * @param {number} model
+ * @param {number} length
+ * @param {number} expectedLength
+ */
+function TruncatedMsdError(model, length, expectedLength)
+{
+  INodeMsdError.call(
+    this,
+    `Cannot decode iNode MSD: expected at least ${expectedLength} bytes for model '${model}', but got ${length}!`,
+    model
+  );
+
+  /**
+   * @type {number}
+   */
+  this.length = length;
+
+  /**
+   * @type {number}
+   */
+  this.expectedLength = expectedLength;
+
+  /**
+   * The offset of the first missing byte.
+   *
+   * @type {number}
+   */
+  this.offset = length;
+}
+
+inherits(TruncatedMsdError, INodeMsdError);
+
+/**
+ * @constructor
+ * @extends {INodeMsdError}
+ * @param {number} model
+ * @param {number} length
+ * @param {number} expectedLength
+ */
+function TrailingMsdBytesError(model, length, expectedLength)
+{
+  INodeMsdError.call(
+    this,
+    `Cannot decode iNode MSD: expected ${expectedLength} bytes for model '${model}', `
+      + `but got ${length - expectedLength} unexpected trailing bytes!`,
+    model
+  );
+
+  /**
+   * @type {number}
+   */
+  this.length = length;
+
+  /**
+   * @type {number}
+   */
+  this.expectedLength = expectedLength;
+
+  /**
+   * The offset of the first unexpected byte.
+   *
+   * @type {number}
+   */
+  this.offset = expectedLength;
+}
+
+inherits(TrailingMsdBytesError, INodeMsdError);
@@ -3,10 +3,67 @@
 'use strict';
 
 const btHci = require('h5.bluetooth.hci');
+const errors = require('./errors');
+const security = require('./security');
+const energyMeter = require('./energyMeter');
+const orientation = require('./orientation');
+const environment = require('./environment');
+const units = require('./units');
+const beacon = require('./beacon');
+const proximity = require('./proximity');
+const btsnoop = require('./btsnoop');
+const timeSeries = require('./timeSeries');
 
 const AdvertisingReportEventType = btHci.AdvertisingReportEventType;
 const AdvertisingReportAddressType = btHci.AdvertisingReportAddressType;
 const EirDataType = btHci.EirDataType;
+const UnknownDeviceModelError = errors.UnknownDeviceModelError;
+const TruncatedMsdError = errors.TruncatedMsdError;
+const TrailingMsdBytesError = errors.TrailingMsdBytesError;
+
+exports.INodeMsdError = errors.INodeMsdError;
+exports.UnknownDeviceModelError = UnknownDeviceModelError;
+exports.TruncatedMsdError = TruncatedMsdError;
+exports.TrailingMsdBytesError = TrailingMsdBytesError;
+exports.registerDeviceKey = security.registerDeviceKey;
+exports.unregisterDeviceKey = security.unregisterDeviceKey;
+exports.unregisterAllDeviceKeys = security.unregisterAllDeviceKeys;
+exports.signMsd = security.signMsd;
+exports.setMsdSecurityScheme = security.setMsdSecurityScheme;
+exports.registerEnergyMeterOverrides = energyMeter.registerEnergyMeterOverrides;
+exports.unregisterEnergyMeterOverrides = energyMeter.unregisterEnergyMeterOverrides;
+exports.unregisterAllEnergyMeterOverrides = energyMeter.unregisterAllEnergyMeterOverrides;
+exports.Orientation = orientation.Orientation;
+exports.registerReferenceOrientation = orientation.registerReferenceOrientation;
+exports.unregisterReferenceOrientation = orientation.unregisterReferenceOrientation;
+exports.unregisterAllReferenceOrientations = orientation.unregisterAllReferenceOrientations;
+exports.TemperatureUnit = units.TemperatureUnit;
+exports.PressureUnit = units.PressureUnit;
+exports.EnergyUnit = units.EnergyUnit;
+exports.PowerUnit = units.PowerUnit;
+exports.VolumeUnit = units.VolumeUnit;
+exports.VoltageUnit = units.VoltageUnit;
+exports.BeaconFrameType = beacon.BeaconFrameType;
+exports.registerBeaconDecoders = beacon.registerBeaconDecoders;
+exports.decodeIBeacon = beacon.decodeIBeacon;
+exports.decodeEddystone = beacon.decodeEddystone;
+exports.RssiFilterType = proximity.RssiFilterType;
+exports.ProximityZone = proximity.ProximityZone;
+exports.LocationMethod = proximity.LocationMethod;
+exports.createRssiFilter = proximity.createRssiFilter;
+exports.estimateDistance = proximity.estimateDistance;
+exports.computeDewPoint = environment.computeDewPoint;
+exports.computeAbsoluteHumidity = environment.computeAbsoluteHumidity;
+exports.computeHeatIndex = environment.computeHeatIndex;
+exports.computeSeaLevelPressure = environment.computeSeaLevelPressure;
+exports.computeAltitude = environment.computeAltitude;
+exports.BtsnoopDatalinkType = btsnoop.BtsnoopDatalinkType;
+exports.BtsnoopPacketSkipReason = btsnoop.BtsnoopPacketSkipReason;
+exports.readBtsnoopCapture = btsnoop.readBtsnoopCapture;
+exports.readBtsnoopReports = btsnoop.readBtsnoopReports;
+exports.flattenMsdFields = timeSeries.flattenMsdFields;
+exports.formatInfluxLineProtocol = timeSeries.formatInfluxLineProtocol;
+exports.formatPrometheusMetrics = timeSeries.formatPrometheusMetrics;
 
 /**
  * @enum {number}
@@ -34,44 +91,324 @@ const DeviceModel = exports.DeviceModel = {
 };
 
 /**
+ * The default range of the clamped temperature values (in °C).
+ *
+ * @private
+ * @type {Array<number>}
+ */
+const TEMPERATURE_RANGE = [-30, 70];
+
+/**
+ * The default range of the clamped humidity values (in %).
+ *
+ * @private
+ * @type {Array<number>}
+ */
+const HUMIDITY_RANGE = [1, 100];
+
+/**
+ * The default acceleration (in g) of a single step of the 5-bit signed accelerometer components.
+ * iNode doesn't document the range of the accelerometer, so ±2 g mapped to ±15 is an assumption
+ * (a device at rest reports a magnitude of about 1 g with it). Use the `accelerometerScale` option
+ * to calibrate it.
+ *
+ * @private
+ * @type {number}
+ */
+const ACCELEROMETER_SCALE = 2 / 15;
+
+/**
+ * @enum {string}
+ */
+const DeviceLayout = exports.DeviceLayout = {
+  Device: 'device',
+  EnergyMeter: 'energyMeter',
+  CareSensor: 'careSensor'
+};
+
+/**
+ * @private
+ * @type {Object<DeviceLayout, DeviceLayoutCodec>}
+ */
+const deviceLayoutCodecs = {
+  [DeviceLayout.Device]: {
+    fields: ['alarms'],
+    signed: false,
+    valueSlots: false,
+    msdLength: {minLength: 2, expectedLength: -1},
+    gsmData: {start: 2, end: 2},
+    decodeMsd: function(buffer, values, msd)
+    {
+      decodeAlarms(buffer, 0, -1, msd);
+    },
+    decodeGsm: function(buffer, values, time, msd)
+    {
+      decodeAlarms(buffer, 0, -1, msd);
+    },
+    encodeMsd: function(buffer, values, msd)
+    {
+      encodeAlarms(buffer, 0, -1, msd);
+    }
+  },
+  [DeviceLayout.EnergyMeter]: {
+    fields: [
+      'alarms',
+      'averageUnit',
+      'sumUnit',
+      'unit',
+      'constant',
+      'reportedUnit',
+      'reportedConstant',
+      'scale',
+      'overridden',
+      'average',
+      'sum',
+      'batteryLevel',
+      'batteryVoltage',
+      'lightLevel',
+      'weekDay',
+      'weekDayTotal'
+    ],
+    signed: false,
+    valueSlots: false,
+    msdLength: {minLength: 10, expectedLength: 13},
+    gsmData: {start: 2, end: 13},
+    decodeMsd: function(buffer, values, msd, options)
+    {
+      decodeAlarms(buffer, 0, -1, msd);
+      decodeEnergyMeter(buffer, 2, msd, options);
+    },
+    decodeGsm: function(buffer, values, time, msd, options)
+    {
+      decodeAlarms(buffer, -1, -1, msd);
+      decodeEnergyMeter(buffer.slice(0, -6), 24, msd, options);
+    },
+    encodeMsd: function(buffer, values, msd)
+    {
+      encodeAlarms(buffer, 0, -1, msd);
+      encodeEnergyMeter(buffer, 2, msd);
+    }
+  },
+  [DeviceLayout.CareSensor]: {
+    fields: ['alarms', 'groups', 'batteryLevel', 'batteryVoltage', 'time', 'signature'],
+    signed: true,
+    valueSlots: true,
+    msdLength: {minLength: 24, expectedLength: 24},
+    gsmData: {start: 4, end: 12},
+    decodeMsd: function(buffer, values, msd, options)
+    {
+      decodeMsdCareSensor(
+        buffer,
+        codecDecoder(values[0]),
+        codecDecoder(values[1]),
+        codecDecoder(values[2]),
+        msd,
+        options
+      );
+    },
+    decodeGsm: function(buffer, values, time, msd, options)
+    {
+      decodeGsmCareSensor(
+        buffer,
+        time,
+        codecDecoder(values[0]),
+        codecDecoder(values[1]),
+        codecDecoder(values[2]),
+        msd,
+        options
+      );
+    },
+    encodeMsd: function(buffer, values, msd)
+    {
+      encodeMsdCareSensor(
+        buffer,
+        codecEncoder(values[0]),
+        codecEncoder(values[1]),
+        codecEncoder(values[2]),
+        msd
+      );
+    }
+  }
+};
+
+/**
+ * The meaning of the record type byte isn't documented by the iNode GSM gateway, so records of every type
+ * without a decoder in `gsmRecordDecoders` are decoded as advertising reports and their type is kept
+ * in the `recordType` property of the report.
+ *
+ * @enum {number}
+ */
+const GsmRecordType = exports.GsmRecordType = {
+  /**
+   * The type written by `encodeGsmData()` for reports without the `recordType` property.
+   */
+  AdvertisingReport: 0x01
+};
+
+/**
+ * @enum {string}
+ */
+const GsmRecordSkipReason = exports.GsmRecordSkipReason = {
+  Truncated: 'TRUNCATED',
+  TooShort: 'TOO_SHORT',
+  UnknownDeviceModel: 'UNKNOWN_DEVICE_MODEL',
+  Ignored: 'IGNORED',
+  DecodeError: 'DECODE_ERROR'
+};
+
+/**
+ * Replaces the Manufacturer Specific Data decoder with one that decodes iNode MSD and passes everything else
+ * (including iNode-looking MSD that fails to decode) to the previous decoder.
+ *
  * @param {Object<EirDataType, function(Buffer, INodeDeviceMsd)>} eirDataTypeDecoders
+ * @param {(INodeMsdMatchOptions|MsdDecodeOptions)} [options] The recognition options and the options passed
+ * to the device model decoders. h5.bluetooth.hci doesn't pass the advertising report to the EIR data decoders,
+ * so the `address` (if any) is the same for every MSD: the per-device keys, Energy Meter overrides
+ * and reference orientations can't be used.
+ * @returns {function(): void} A function that unregisters the decoder. If the decoder is still the current one,
+ * the previous decoder is restored. Otherwise, the decoder is disabled and only delegates to the previous one,
+ * so decoders registered later keep working.
  */
-exports.registerManufacturerSpecificDataDecoder = function(eirDataTypeDecoders)
+exports.registerManufacturerSpecificDataDecoder = function(eirDataTypeDecoders, options)
 {
   const originalDecoder = eirDataTypeDecoders[EirDataType.ManufacturerSpecificData];
+  let registered = true;
 
-  eirDataTypeDecoders[EirDataType.ManufacturerSpecificData] = function(buffer, msd)
+  function decoder(buffer, msd)
   {
-    const deviceModel = buffer[1];
-    const deviceModelDecoder = exports.msdDecoders[deviceModel];
-
-    if (deviceModelDecoder)
+    if (registered && exports.isINodeMsd(buffer, options))
     {
-      deviceModelDecoder(buffer, msd);
+      const deviceModelDecoder = exports.msdDecoders[buffer[1]];
+
+      if (tryDecodeDeviceModelMsd(deviceModelDecoder, buffer, msd, options || null))
+      {
+        return;
+      }
     }
-    else if (originalDecoder)
+
+    if (originalDecoder)
     {
       originalDecoder(buffer, msd);
     }
+    else
+    {
+      msd.value = buffer;
+    }
+  }
+
+  eirDataTypeDecoders[EirDataType.ManufacturerSpecificData] = decoder;
+
+  return function unregister()
+  {
+    if (!registered)
+    {
+      return;
+    }
+
+    registered = false;
+
+    if (eirDataTypeDecoders[EirDataType.ManufacturerSpecificData] !== decoder)
+    {
+      return;
+    }
+
+    if (originalDecoder)
+    {
+      eirDataTypeDecoders[EirDataType.ManufacturerSpecificData] = originalDecoder;
+    }
+    else
+    {
+      delete eirDataTypeDecoders[EirDataType.ManufacturerSpecificData];
+    }
   };
 };
 
+/**
+ * Checks whether the specified Manufacturer Specific Data buffer looks like an iNode MSD.
+ *
+ * iNode devices don't use a Bluetooth SIG company identifier: the second byte (the high byte of the company
+ * identifier) is the device model, which is above any assigned company identifier. The buffer must also
+ * have at least the minimum length of its device model (or exactly the expected length, if `strictLength`
+ * is enabled).
+ *
+ * @param {Buffer} buffer
+ * @param {INodeMsdMatchOptions} [options]
+ * @returns {boolean}
+ */
+exports.isINodeMsd = function(buffer, options)
+{
+  if (!options)
+  {
+    options = {};
+  }
+
+  if (buffer.length < 2)
+  {
+    return false;
+  }
+
+  const deviceModel = buffer[1];
+  const msdLength = exports.msdLengths[deviceModel];
+
+  if (!msdLength || !exports.msdDecoders[deviceModel])
+  {
+    return false;
+  }
+
+  if (Array.isArray(options.deviceModels) && options.deviceModels.indexOf(deviceModel) === -1)
+  {
+    return false;
+  }
+
+  if (Array.isArray(options.excludedCompanyIdentifiers)
+    && options.excludedCompanyIdentifiers.indexOf(buffer.readUInt16LE(0)) !== -1)
+  {
+    return false;
+  }
+
+  if (buffer.length < msdLength.minLength)
+  {
+    return false;
+  }
+
+  if (options.strictLength === true
+    && msdLength.expectedLength !== -1
+    && buffer.length !== msdLength.expectedLength)
+  {
+    return false;
+  }
+
+  if (typeof options.filter === 'function' && !options.filter(buffer))
+  {
+    return false;
+  }
+
+  return true;
+};
+
 /**
  * @param {Buffer} buffer
  * @param {Object} [msd]
+ * @param {MsdDecodeOptions} [options]
  * @returns {INodeDeviceMsd}
- * @throws {Error} If the specified buffer is not a valid iNode device MSD buffer.
+ * @throws {UnknownDeviceModelError} If the specified buffer has an unknown device model.
+ * @throws {TruncatedMsdError} If the specified buffer is shorter than required by its device model
+ * (or, in the strict mode, shorter than expected).
+ * @throws {TrailingMsdBytesError} If the specified buffer is longer than expected by its device model
+ * (only in the strict mode).
  */
-exports.decodeMsd = function(buffer, msd)
+exports.decodeMsd = function(buffer, msd, options)
 {
   const deviceModel = buffer[1];
   const deviceModelDecoder = exports.msdDecoders[deviceModel];
 
   if (!deviceModelDecoder)
   {
-    throw new Error(`Cannot decode iNode MSD: '${deviceModel}' is not a valid device model!`);
+    throw new UnknownDeviceModelError(deviceModel);
   }
 
+  validateMsdLength(buffer, deviceModel, !!(options && options.strict));
+
   if (!msd)
   {
     msd = {
@@ -81,327 +418,767 @@ exports.decodeMsd = function(buffer, msd)
     };
   }
 
-  deviceModelDecoder(buffer, msd);
+  decodeDeviceModelMsd(deviceModelDecoder, buffer, msd, options || null);
 
   return msd;
 };
 
 /**
- * @param {number} gsmTime
+ * Encodes the specified MSD object. The `raw` register words (added by the `raw` decode option) are written
+ * as they are, so MSD decoded with the `raw` option is encoded byte for byte. Otherwise, the `precise` values
+ * (if available) or the rounded values are encoded.
+ *
+ * @param {(INodeDeviceMsd|INodeEnergyMeterMsd|INodeCareSensorMsd|INodeCareRelayMsd)} msd
+ * @returns {Buffer}
+ * @throws {Error} If the specified MSD object has an invalid device model.
+ * @throws {RangeError} If any of the sensor values can't be represented by its register.
+ */
+exports.encodeMsd = function(msd)
+{
+  const deviceModel = msd.model;
+  const deviceModelEncoder = exports.msdEncoders[deviceModel];
+
+  if (!deviceModelEncoder)
+  {
+    throw new Error(`Cannot encode iNode MSD: '${deviceModel}' is not a valid device model!`);
+  }
+
+  return deviceModelEncoder(msd);
+};
+
+/**
+ * @param {number} gsmTime The `time` query parameter (UNIX time in seconds). If not a positive number,
+ * the current time is used instead.
  * @param {Buffer} gsmData
- * @returns {Array<AdvertisingReport>}
+ * @param {?Array<GsmSkippedRecord>} [skippedRecords] If specified, info about every record that couldn't
+ * be decoded is pushed to it.
+ * @param {MsdDecodeOptions} [options]
+ * @returns {Array<GsmAdvertisingReport>}
  */
-exports.decodeGsmData = function(gsmTime, gsmData)
+exports.decodeGsmData = function(gsmTime, gsmData, skippedRecords, options)
 {
   const reports = [];
 
   for (let i = 0; i < gsmData.length;)
   {
+    const offset = i;
     const recordType = gsmData[i++];
-    const recordLength = gsmData[i++];
-    const recordData = gsmData.slice(i, i + recordLength);
+    const recordLength = i < gsmData.length ? gsmData[i++] : -1;
+    const recordData = gsmData.slice(i, i + Math.max(recordLength, 0));
 
-    if (recordData.length !== recordLength)
+    if (recordLength === -1 || recordData.length !== recordLength)
     {
+      if (skippedRecords)
+      {
+        skippedRecords.push(createGsmSkippedRecord(
+          offset,
+          recordType,
+          recordLength,
+          recordData,
+          GsmRecordSkipReason.Truncated,
+          recordLength === -1
+            ? 'The record length is missing.'
+            : `Expected ${recordLength} bytes of record data, but got only ${recordData.length}.`
+        ));
+      }
+
       break;
     }
 
     i += recordLength;
 
-    if (recordLength < 24)
-    {
-      continue;
-    }
-
-    tryDecodeGsmDataRecord(gsmTime, recordType, recordData, reports);
+    tryDecodeGsmDataRecord(gsmTime, offset, recordType, recordData, reports, skippedRecords, options || null);
   }
 
   return reports;
 };
 
 /**
- * @type {Object<DeviceModel, function(Buffer, INodeDeviceMsd)>}
+ * @param {Array<(AdvertisingReport|GsmAdvertisingReport)>} reports
+ * @returns {Buffer}
+ * @throws {Error} If any of the specified reports cannot be encoded.
  */
-exports.gsmDecoders = {
-  [DeviceModel.EnergyMeter]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Energy Meter';
+exports.encodeGsmData = function(reports)
+{
+  const records = [];
 
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, -1, -1, msd);
-    decodeEnergyMeter(buffer.slice(0, -6), 24, msd);
-  },
-  [DeviceModel.CareSensor1]: function(buffer, msd)
+  reports.forEach(report =>
   {
-    msd.modelLabel = 'iNode Care Sensor #1';
+    const recordData = encodeGsmDataRecord(report);
 
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, decodeMotionSensor, decodeCsrTemperature, null, msd);
-  },
-  [DeviceModel.CareSensor2]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor #2';
+    if (recordData.length > 0xFF)
+    {
+      throw new Error(`Cannot encode iNode GSM data: record of ${report.address} is too long!`);
+    }
 
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, decodeMotionSensor, decodeMcp9844Temperature, null, msd);
-  },
-  [DeviceModel.CareSensor3]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor #3';
+    const recordType = typeof report.recordType === 'number' ? report.recordType : GsmRecordType.AdvertisingReport;
 
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(
-      buffer,
-      decodeMotionSensor,
-      decodeSi7021Temperature,
-      decodeSi7021Humidity,
-      msd
-    );
-  },
-  [DeviceModel.CareSensor4]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor #4';
+    records.push(new Buffer([recordType, recordData.length]), recordData);
+  });
 
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, decodeMotionSensor, decodeCsrTemperature, null, msd);
-    decodeInput(buffer, 0, msd);
-  },
-  [DeviceModel.CareSensor5]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor #5';
+  return Buffer.concat(records);
+};
 
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, decodeMotionSensor, decodeCsrTemperature, decodeMagneticField, msd);
-    decodeMagneticFieldDirection(buffer, 0, msd);
-  },
-  [DeviceModel.CareSensor6]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor #6';
+/**
+ * The decoders of the GSM records that aren't advertising reports. Records of other types are decoded
+ * as advertising reports.
+ *
+ * @type {Object<number, function(number, Buffer, ?MsdDecodeOptions): ?GsmAdvertisingReport>}
+ */
+exports.gsmRecordDecoders = {};
 
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, decodeMotionSensor, decodeCsrTemperature, null, msd);
-    decodeInput(buffer, 0, msd);
-    decodeOutput(buffer, 0, msd);
+/**
+ * @type {Object<string, ValueCodec>}
+ */
+exports.valueCodecs = {
+  motion: {
+    fields: ['position'],
+    decode: decodeMotionSensor,
+    encode: encodeMotionSensor
   },
-  [DeviceModel.CareSensorT]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor T';
-
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, null, decodeMcp9844Temperature, null, msd);
+  csrTemperature: {
+    fields: ['temperature'],
+    decode: decodeCsrTemperature,
+    encode: encodeCsrTemperature
   },
-  [DeviceModel.CareSensorHT]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor HT';
-
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, null, decodeSi7021Temperature, decodeSi7021Humidity, msd);
+  mcp9844Temperature: {
+    fields: ['temperature'],
+    decode: decodeMcp9844Temperature,
+    encode: encodeMcp9844Temperature
   },
-  [DeviceModel.CareSensorPT]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor PT';
-
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, decodePressure, decodePtTemperature, null, msd);
+  si7021Temperature: {
+    fields: ['temperature'],
+    decode: decodeSi7021Temperature,
+    encode: encodeSi7021Temperature
   },
-  [DeviceModel.CareSensorPHT]: function(buffer, msd)
-  {
-    msd.modelLabel = 'iNode Care Sensor PHT';
+  ptTemperature: {
+    fields: ['temperature'],
+    decode: decodePtTemperature,
+    encode: encodePtTemperature
+  },
+  si7021Humidity: {
+    fields: ['humidity'],
+    decode: decodeSi7021Humidity,
+    encode: encodeSi7021Humidity
+  },
+  pressure: {
+    fields: ['pressure'],
+    decode: decodePressure,
+    encode: encodePressure
+  },
+  magneticField: {
+    fields: ['magneticField'],
+    decode: decodeMagneticField,
+    encode: encodeMagneticField
+  }
+};
 
-    decodeRtto(buffer, 0, msd);
-    decodeGsmCareSensor(buffer, decodePressure, decodeSi7021Temperature, decodeSi7021Humidity, msd);
+/**
+ * @type {Object<string, ValueCodec>}
+ */
+exports.bitCodecs = {
+  input: {
+    fields: ['input'],
+    decode: decodeInput,
+    encode: encodeInput
+  },
+  output: {
+    fields: ['output'],
+    decode: decodeOutput,
+    encode: encodeOutput
+  },
+  magneticFieldDirection: {
+    fields: ['magneticFieldDirection'],
+    decode: decodeMagneticFieldDirection,
+    encode: encodeMagneticFieldDirection
   }
 };
 
 /**
- * @type {Object<DeviceModel, function(Buffer, EirDataStructure)>}
+ * @type {Object<DeviceModel, DeviceModelInfo>}
+ */
+exports.deviceModels = {};
+
+/**
+ * @type {Object<DeviceModel, MsdLength>}
+ */
+exports.msdLengths = {};
+
+/**
+ * @type {Object<DeviceModel, function(Buffer, EirDataStructure, ?MsdDecodeOptions)>}
+ */
+exports.msdDecoders = {};
+
+/**
+ * @type {Object<DeviceModel, function(INodeDeviceMsd): Buffer>}
+ */
+exports.msdEncoders = {};
+
+/**
+ * @type {Object<DeviceModel, function(Buffer, INodeDeviceMsd, Date, ?MsdDecodeOptions)>}
+ */
+exports.gsmDecoders = {};
+
+/**
+ * @type {Object<DeviceModel, function(INodeDeviceMsd): Buffer>}
  */
-exports.msdDecoders = {
-  [DeviceModel.Beacon]: function(buffer, msd)
+exports.gsmEncoders = {};
+
+/**
+ * Registers a new (or replaces an existing) device model and derives its MSD and GSM decoders and encoders.
+ *
+ * @param {DeviceModelDefinition} definition
+ * @returns {DeviceModelInfo}
+ * @throws {Error} If the specified definition is invalid.
+ */
+exports.registerDeviceModel = function(definition)
+{
+  const code = definition.code;
+  const layout = definition.layout || DeviceLayout.Device;
+  const layoutCodec = deviceLayoutCodecs[layout];
+
+  if (typeof code !== 'number' || code < 0 || code > 0xFF || Math.floor(code) !== code)
   {
-    msd.model = DeviceModel.Beacon;
-    msd.modelLabel = 'iNode Beacon';
+    throw new Error(`Cannot register iNode device model: '${code}' is not a valid device model code!`);
+  }
 
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
-  },
-  [DeviceModel.EnergyMeter]: function(buffer, msd)
+  if (!layoutCodec)
   {
-    msd.model = DeviceModel.EnergyMeter;
-    msd.modelLabel = 'iNode Energy Meter';
+    throw new Error(`Cannot register iNode device model: '${layout}' is not a valid device layout!`);
+  }
 
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
-    decodeEnergyMeter(buffer, 2, msd);
-  },
-  [DeviceModel.ControlId]: function(buffer, msd)
+  const name = definition.name || null;
+
+  if (name !== null && typeof DeviceModel[name] === 'number' && DeviceModel[name] !== code)
   {
-    msd.model = DeviceModel.ControlId;
-    msd.modelLabel = 'iNode Control ID';
+    throw new Error(`Cannot register iNode device model: '${name}' is already used by another device model!`);
+  }
 
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
-  },
-  [DeviceModel.Nav]: function(buffer, msd)
+  const fields = definition.fields || {};
+  const values = [fields.value1, fields.value2, fields.value3].map(
+    value => resolveCodec(exports.valueCodecs, value, 'value')
+  );
+  const bits = (fields.bits || []).map(bit => resolveCodec(exports.bitCodecs, bit, 'bit'));
+
+  if (!layoutCodec.valueSlots && values.some(value => value !== null))
   {
-    msd.model = DeviceModel.Nav;
-    msd.modelLabel = 'iNode Nav';
+    throw new Error(`Cannot register iNode device model: the '${layout}' layout doesn't have value slots!`);
+  }
 
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
-  },
-  [DeviceModel.CareSensor1]: function(buffer, msd)
+  const label = definition.label || `iNode 0x${code.toString(16).toUpperCase()}`;
+  const msdLength = layoutCodec.msdLength;
+  const gsmData = layoutCodec.gsmData;
+  const fieldNames = ['rtto'].concat(layoutCodec.fields);
+
+  values.concat(bits).forEach(codec =>
   {
-    msd.model = DeviceModel.CareSensor1;
-    msd.modelLabel = 'iNode Care Sensor #1';
+    if (codec)
+    {
+      fieldNames.push.apply(fieldNames, codec.fields || []);
+    }
+  });
+
+  const deviceModel = {
+    code: code,
+    name: name,
+    label: label,
+    layout: layout,
+    signed: typeof definition.signed === 'boolean' ? definition.signed : layoutCodec.signed,
+    values: values,
+    bits: bits,
+    fieldNames: fieldNames
+  };
 
-    decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, decodeMotionSensor, decodeCsrTemperature, null, msd);
-  },
-  [DeviceModel.CareSensor2]: function(buffer, msd)
+  if (name !== null)
+  {
+    DeviceModel[name] = code;
+  }
+
+  exports.deviceModels[code] = deviceModel;
+  exports.msdLengths[code] = {
+    minLength: msdLength.minLength,
+    expectedLength: msdLength.expectedLength
+  };
+
+  exports.msdDecoders[code] = function(buffer, msd, options)
   {
-    msd.model = DeviceModel.CareSensor2;
-    msd.modelLabel = 'iNode Care Sensor #2';
+    msd.model = code;
+    msd.modelLabel = label;
 
     decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, decodeMotionSensor, decodeMcp9844Temperature, null, msd);
-  },
-  [DeviceModel.CareSensor3]: function(buffer, msd)
+    layoutCodec.decodeMsd(buffer, values, msd, options || null);
+    decodeBits(buffer, bits, msd, options || null);
+    decodeUnits(msd, options || null);
+  };
+
+  exports.gsmDecoders[code] = function(buffer, msd, time, options)
   {
-    msd.model = DeviceModel.CareSensor3;
-    msd.modelLabel = 'iNode Care Sensor #3';
+    msd.modelLabel = label;
 
     decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(
-      buffer,
-      decodeMotionSensor,
-      decodeSi7021Temperature,
-      decodeSi7021Humidity,
+    layoutCodec.decodeGsm(buffer, values, time, msd, options || null);
+    decodeBits(buffer, bits, msd, options || null);
+    decodeUnits(msd, options || null);
+  };
+
+  exports.msdEncoders[code] = function(msd)
+  {
+    const buffer = createMsdBuffer(
+      code,
+      msdLength.expectedLength === -1 ? msdLength.minLength : msdLength.expectedLength,
       msd
     );
-  },
-  [DeviceModel.CareSensor4]: function(buffer, msd)
+
+    encodeRtto(buffer, 0, msd);
+    layoutCodec.encodeMsd(buffer, values, msd);
+    encodeBits(buffer, bits, msd);
+
+    return buffer;
+  };
+
+  exports.gsmEncoders[code] = function(msd)
   {
-    msd.model = DeviceModel.CareSensor4;
-    msd.modelLabel = 'iNode Care Sensor #4';
+    return encodeGsmMsd(msd, gsmData.start, gsmData.end);
+  };
 
-    decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, decodeMotionSensor, decodeCsrTemperature, null, msd);
-    decodeInput(buffer, 0, msd);
+  return deviceModel;
+};
+
+[
+  {
+    code: DeviceModel.Beacon,
+    name: 'Beacon',
+    label: 'iNode Beacon'
   },
-  [DeviceModel.CareSensor5]: function(buffer, msd)
   {
-    msd.model = DeviceModel.CareSensor5;
-    msd.modelLabel = 'iNode Care Sensor #5';
-
-    decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, decodeMotionSensor, decodeCsrTemperature, decodeMagneticField, msd);
-    decodeMagneticFieldDirection(buffer, 0, msd);
+    code: DeviceModel.EnergyMeter,
+    name: 'EnergyMeter',
+    label: 'iNode Energy Meter',
+    layout: DeviceLayout.EnergyMeter
   },
-  [DeviceModel.CareSensor6]: function(buffer, msd)
   {
-    msd.model = DeviceModel.CareSensor6;
-    msd.modelLabel = 'iNode Care Sensor #6';
-
-    decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, decodeMotionSensor, decodeCsrTemperature, null, msd);
-    decodeInput(buffer, 0, msd);
-    decodeOutput(buffer, 0, msd);
+    code: DeviceModel.ControlId,
+    name: 'ControlId',
+    label: 'iNode Control ID'
   },
-  [DeviceModel.CareSensorT]: function(buffer, msd)
   {
-    msd.model = DeviceModel.CareSensorT;
-    msd.modelLabel = 'iNode Care Sensor T';
-
-    decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, null, decodeMcp9844Temperature, null, msd);
+    code: DeviceModel.Nav,
+    name: 'Nav',
+    label: 'iNode Nav'
   },
-  [DeviceModel.CareSensorHT]: function(buffer, msd)
   {
-    msd.model = DeviceModel.CareSensorHT;
-    msd.modelLabel = 'iNode Care Sensor HT';
-
-    decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, null, decodeSi7021Temperature, decodeSi7021Humidity, msd);
+    code: DeviceModel.CareSensor1,
+    name: 'CareSensor1',
+    label: 'iNode Care Sensor #1',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value1: 'motion',
+      value2: 'csrTemperature'
+    }
   },
-  [DeviceModel.CareSensorPT]: function(buffer, msd)
   {
-    msd.model = DeviceModel.CareSensorPT;
-    msd.modelLabel = 'iNode Care Sensor PT';
-
-    decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, decodePressure, decodePtTemperature, null, msd);
+    code: DeviceModel.CareSensor2,
+    name: 'CareSensor2',
+    label: 'iNode Care Sensor #2',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value1: 'motion',
+      value2: 'mcp9844Temperature'
+    }
   },
-  [DeviceModel.CareSensorPHT]: function(buffer, msd)
   {
-    msd.model = DeviceModel.CareSensorPHT;
-    msd.modelLabel = 'iNode Care Sensor PHT';
-
-    decodeRtto(buffer, 0, msd);
-    decodeMsdCareSensor(buffer, decodePressure, decodeSi7021Temperature, decodeSi7021Humidity, msd);
+    code: DeviceModel.CareSensor3,
+    name: 'CareSensor3',
+    label: 'iNode Care Sensor #3',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value1: 'motion',
+      value2: 'si7021Temperature',
+      value3: 'si7021Humidity'
+    }
   },
-  [DeviceModel.ControlPoint]: function(buffer, msd)
   {
-    msd.model = DeviceModel.ControlPoint;
-    msd.modelLabel = 'iNode Control Point';
-
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
+    code: DeviceModel.CareSensor4,
+    name: 'CareSensor4',
+    label: 'iNode Care Sensor #4',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value1: 'motion',
+      value2: 'csrTemperature',
+      bits: ['input']
+    }
   },
-  [DeviceModel.CareRelay]: function(buffer, msd)
   {
-    msd.model = DeviceModel.CareRelay;
-    msd.modelLabel = 'iNode Care Relay';
-
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
-    decodeOutput(buffer, 0, msd);
+    code: DeviceModel.CareSensor5,
+    name: 'CareSensor5',
+    label: 'iNode Care Sensor #5',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value1: 'motion',
+      value2: 'csrTemperature',
+      value3: 'magneticField',
+      bits: ['magneticFieldDirection']
+    }
   },
-  [DeviceModel.TransceiverUart]: function(buffer, msd)
   {
-    msd.model = DeviceModel.TransceiverUart;
-    msd.modelLabel = 'iNode Transceiver UART';
-
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
+    code: DeviceModel.CareSensor6,
+    name: 'CareSensor6',
+    label: 'iNode Care Sensor #6',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value1: 'motion',
+      value2: 'csrTemperature',
+      bits: ['input', 'output']
+    }
   },
-  [DeviceModel.TransceiverUsb]: function(buffer, msd)
   {
-    msd.model = DeviceModel.TransceiverUsb;
-    msd.modelLabel = 'iNode Transceiver USB';
-
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
+    code: DeviceModel.CareSensorT,
+    name: 'CareSensorT',
+    label: 'iNode Care Sensor T',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value2: 'mcp9844Temperature'
+    }
   },
-  [DeviceModel.Gsm]: function(buffer, msd)
   {
-    msd.model = DeviceModel.Gsm;
-    msd.modelLabel = 'iNode GSM';
-
-    decodeRtto(buffer, 0, msd);
-    decodeAlarms(buffer, 0, -1, msd);
-  }
-};
-
-/**
- * @private
+    code: DeviceModel.CareSensorHT,
+    name: 'CareSensorHT',
+    label: 'iNode Care Sensor HT',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value2: 'si7021Temperature',
+      value3: 'si7021Humidity'
+    }
+  },
+  {
+    code: DeviceModel.CareSensorPT,
+    name: 'CareSensorPT',
+    label: 'iNode Care Sensor PT',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value1: 'pressure',
+      value2: 'ptTemperature'
+    }
+  },
+  {
+    code: DeviceModel.CareSensorPHT,
+    name: 'CareSensorPHT',
+    label: 'iNode Care Sensor PHT',
+    layout: DeviceLayout.CareSensor,
+    fields: {
+      value1: 'pressure',
+      value2: 'si7021Temperature',
+      value3: 'si7021Humidity'
+    }
+  },
+  {
+    code: DeviceModel.ControlPoint,
+    name: 'ControlPoint',
+    label: 'iNode Control Point'
+  },
+  {
+    code: DeviceModel.CareRelay,
+    name: 'CareRelay',
+    label: 'iNode Care Relay',
+    fields: {
+      bits: ['output']
+    }
+  },
+  {
+    code: DeviceModel.TransceiverUart,
+    name: 'TransceiverUart',
+    label: 'iNode Transceiver UART'
+  },
+  {
+    code: DeviceModel.TransceiverUsb,
+    name: 'TransceiverUsb',
+    label: 'iNode Transceiver USB'
+  },
+  {
+    code: DeviceModel.Gsm,
+    name: 'Gsm',
+    label: 'iNode GSM'
+  }
+].forEach(definition => exports.registerDeviceModel(definition));
+
+exports.GsmSimulator = require('./GsmSimulator');
+exports.INodeDeviceRegistry = require('./INodeDeviceRegistry');
+exports.EnergyMeterAccumulator = require('./EnergyMeterAccumulator');
+exports.ProximityEstimator = require('./ProximityEstimator');
+exports.PositioningEngine = require('./PositioningEngine');
+exports.TransceiverParser = require('./TransceiverParser');
+exports.GsmRequestHandler = require('./GsmRequestHandler');
+exports.MqttPublisher = require('./MqttPublisher');
+
+/**
+ * @private
+ * @param {function(Buffer, INodeDeviceMsd, ?MsdDecodeOptions)} deviceModelDecoder
+ * @param {Buffer} buffer
+ * @param {INodeDeviceMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeDeviceModelMsd(deviceModelDecoder, buffer, msd, options)
+{
+  const deviceModel = exports.deviceModels[buffer[1]];
+
+  if (!deviceModel || !deviceModel.signed)
+  {
+    deviceModelDecoder(buffer, msd, options);
+
+    return;
+  }
+
+  const unsealed = security.unsealMsd(
+    buffer,
+    options && options.address || null,
+    options && options.now,
+    options && options.verifiedTimes
+  );
+
+  deviceModelDecoder(unsealed.buffer, msd, options);
+
+  if (unsealed.verified !== null)
+  {
+    msd.verified = unsealed.verified;
+  }
+}
+
+/**
+ * @private
+ * @param {function(Buffer, INodeDeviceMsd)} deviceModelDecoder
+ * @param {Buffer} buffer
+ * @param {INodeDeviceMsd} msd
+ * @param {?MsdDecodeOptions} options
+ * @returns {boolean}
+ */
+function tryDecodeDeviceModelMsd(deviceModelDecoder, buffer, msd, options)
+{
+  const originalKeys = Object.keys(msd);
+
+  try
+  {
+    decodeDeviceModelMsd(deviceModelDecoder, buffer, msd, options);
+
+    return true;
+  }
+  catch (err)
+  {
+    Object.keys(msd).forEach(key =>
+    {
+      if (originalKeys.indexOf(key) === -1)
+      {
+        delete msd[key];
+      }
+    });
+
+    return false;
+  }
+}
+
+/**
+ * @private
+ * @param {Object<string, ValueCodec>} codecs
+ * @param {(string|ValueCodec|undefined|null)} codec
+ * @param {string} type
+ * @returns {?ValueCodec}
+ * @throws {Error} If the specified codec is not valid.
+ */
+function resolveCodec(codecs, codec, type)
+{
+  if (codec == null)
+  {
+    return null;
+  }
+
+  if (typeof codec === 'string')
+  {
+    if (!codecs[codec])
+    {
+      throw new Error(`Cannot register iNode device model: '${codec}' is not a valid ${type} codec!`);
+    }
+
+    return codecs[codec];
+  }
+
+  if (typeof codec.decode !== 'function' || typeof codec.encode !== 'function')
+  {
+    throw new Error(`Cannot register iNode device model: ${type} codec must have decode and encode functions!`);
+  }
+
+  return codec;
+}
+
+/**
+ * @private
+ * @param {?ValueCodec} codec
+ * @returns {?function(Buffer, number, INodeCareSensorMsd): void}
+ */
+function codecDecoder(codec)
+{
+  return codec ? codec.decode : null;
+}
+
+/**
+ * @private
+ * @param {?ValueCodec} codec
+ * @returns {?function(Buffer, number, INodeCareSensorMsd): void}
+ */
+function codecEncoder(codec)
+{
+  return codec ? codec.encode : null;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {Array<ValueCodec>} bits
+ * @param {INodeDeviceMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeBits(buffer, bits, msd, options)
+{
+  bits.forEach(bit => bit.decode(buffer, 0, msd, options));
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {Array<ValueCodec>} bits
+ * @param {INodeDeviceMsd} msd
+ */
+function encodeBits(buffer, bits, msd)
+{
+  bits.forEach(bit => bit.encode(buffer, 0, msd));
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {DeviceModel} deviceModel
+ * @param {boolean} strict
+ * @throws {TruncatedMsdError} If the specified buffer is too short.
+ * @throws {TrailingMsdBytesError} If the specified buffer is too long.
+ */
+function validateMsdLength(buffer, deviceModel, strict)
+{
+  const msdLength = exports.msdLengths[deviceModel];
+
+  if (!msdLength)
+  {
+    return;
+  }
+
+  const expectedLength = msdLength.expectedLength;
+
+  if (buffer.length < msdLength.minLength)
+  {
+    throw new TruncatedMsdError(deviceModel, buffer.length, msdLength.minLength);
+  }
+
+  if (!strict || expectedLength === -1)
+  {
+    return;
+  }
+
+  if (buffer.length < expectedLength)
+  {
+    throw new TruncatedMsdError(deviceModel, buffer.length, expectedLength);
+  }
+
+  if (buffer.length > expectedLength)
+  {
+    throw new TrailingMsdBytesError(deviceModel, buffer.length, expectedLength);
+  }
+}
+
+/**
+ * @private
  * @param {number} gsmTime
+ * @param {number} offset
  * @param {number} recordType
  * @param {Buffer} recordData
- * @param {Array<AdvertisingReport>} reports
+ * @param {Array<GsmAdvertisingReport>} reports
+ * @param {?Array<GsmSkippedRecord>} skippedRecords
+ * @param {?MsdDecodeOptions} options
  */
-function tryDecodeGsmDataRecord(gsmTime, recordType, recordData, reports)
+function tryDecodeGsmDataRecord(gsmTime, offset, recordType, recordData, reports, skippedRecords, options)
 {
+  let reason = GsmRecordSkipReason.Ignored;
+  let message = 'The record decoder did not return a report.';
+  let error = null;
+
   try
   {
-    const report = decodeGsmDataRecord(gsmTime, recordType, recordData);
+    const report = decodeGsmDataRecord(gsmTime, recordType, recordData, options);
 
     if (report)
     {
       reports.push(report);
+
+      return;
     }
   }
-  catch (err) {}
+  catch (err)
+  {
+    reason = err.reason || GsmRecordSkipReason.DecodeError;
+    message = err.message;
+    error = err.reason ? null : err;
+  }
+
+  if (skippedRecords)
+  {
+    const skippedRecord = createGsmSkippedRecord(
+      offset,
+      recordType,
+      recordData.length,
+      recordData,
+      reason,
+      message
+    );
+
+    skippedRecord.error = error;
+
+    skippedRecords.push(skippedRecord);
+  }
+}
+
+/**
+ * @private
+ * @param {number} offset
+ * @param {number} recordType
+ * @param {number} recordLength
+ * @param {Buffer} recordData
+ * @param {GsmRecordSkipReason} reason
+ * @param {string} message
+ * @returns {GsmSkippedRecord}
+ */
+function createGsmSkippedRecord(offset, recordType, recordLength, recordData, reason, message)
+{
+  return {
+    offset: offset,
+    recordType: recordType,
+    length: recordLength,
+    deviceModel: recordData.length > 1 ? recordData[1] : -1,
+    data: recordData,
+    reason: reason,
+    message: message,
+    error: null
+  };
+}
+
+/**
+ * @private
+ * @param {GsmRecordSkipReason} reason
+ * @param {string} message
+ * @returns {Error}
+ */
+function createGsmRecordError(reason, message)
+{
+  const err = new Error(message);
+
+  err.reason = reason;
+
+  return err;
 }
 
 /**
@@ -409,17 +1186,50 @@ function tryDecodeGsmDataRecord(gsmTime, recordType, recordData, reports)
  * @param {number} gsmTime
  * @param {number} recordType
  * @param {Buffer} recordData
- * @returns {?AdvertisingReport}
+ * @param {?MsdDecodeOptions} options
+ * @returns {?GsmAdvertisingReport}
+ * @throws {Error} If the specified `recordData` is invalid.
+ */
+function decodeGsmDataRecord(gsmTime, recordType, recordData, options)
+{
+  const recordDecoder = exports.gsmRecordDecoders[recordType] || decodeGsmAdvertisingReportRecord;
+  const report = recordDecoder(gsmTime, recordData, options);
+
+  if (report)
+  {
+    report.recordType = recordType;
+  }
+
+  return report;
+}
+
+/**
+ * @private
+ * @param {number} gsmTime
+ * @param {Buffer} recordData
+ * @param {?MsdDecodeOptions} options
+ * @returns {?GsmAdvertisingReport}
  * @throws {Error} If the specified `recordData` is invalid.
  */
-function decodeGsmDataRecord(gsmTime, recordType, recordData)
+function decodeGsmAdvertisingReportRecord(gsmTime, recordData, options)
 {
+  if (recordData.length < 24)
+  {
+    throw createGsmRecordError(
+      GsmRecordSkipReason.TooShort,
+      `Expected at least 24 bytes of advertising report record data, but got ${recordData.length}.`
+    );
+  }
+
   const deviceModel = recordData[1];
   const deviceModelDecoder = exports.gsmDecoders[deviceModel];
 
   if (!deviceModelDecoder)
   {
-    return null;
+    throw createGsmRecordError(
+      GsmRecordSkipReason.UnknownDeviceModel,
+      `'${deviceModel}' is not a valid device model.`
+    );
   }
 
   const report = {
@@ -439,97 +1249,901 @@ function decodeGsmDataRecord(gsmTime, recordType, recordData)
       model: deviceModel,
       modelLabel: null
     }],
-    rssi: recordData.readInt8(recordData.length - 4)
+    rssi: recordData.readInt8(recordData.length - 4),
+    time: decodeGsmRecordTime(gsmTime)
   };
 
-  deviceModelDecoder(recordData, report.data[1]);
+  deviceModelDecoder(
+    recordData,
+    report.data[1],
+    report.time,
+    Object.assign({}, options, {address: report.address})
+  );
+
+  return report;
+}
+
+/**
+ * The records don't carry their own timestamps, so every record is timed with the `time` query parameter.
+ *
+ * @private
+ * @param {number} gsmTime
+ * @returns {Date}
+ */
+function decodeGsmRecordTime(gsmTime)
+{
+  return new Date(gsmTime > 0 ? gsmTime * 1000 : Date.now());
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeGsmMacAddress(buffer)
+{
+  const macAddress = [];
+
+  for (let i = 7; i >= 2; --i)
+  {
+    macAddress.push((buffer[i] < 0x10 ? '0' : '') + buffer[i].toString(16).toUpperCase());
+  }
+
+  return macAddress.join(':');
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {Date} time
+ * @param {?function(Buffer, number, INodeCareSensorMsd, ?MsdDecodeOptions): void} decodeValue1
+ * @param {?function(Buffer, number, INodeCareSensorMsd, ?MsdDecodeOptions): void} decodeValue2
+ * @param {?function(Buffer, number, INodeCareSensorMsd, ?MsdDecodeOptions): void} decodeValue3
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeGsmCareSensor(buffer, time, decodeValue1, decodeValue2, decodeValue3, msd, options)
+{
+  decodeAlarms(buffer, 0, 24, msd);
+
+  // Not carried by the GSM records
+  msd.groups = null;
+  msd.batteryLevel = null;
+  msd.batteryVoltage = null;
+
+  if (decodeValue1)
+  {
+    decodeValue1(buffer, 26, msd, options);
+  }
+
+  if (decodeValue2)
+  {
+    decodeValue2(buffer, 28, msd, options);
+  }
+
+  if (decodeValue3)
+  {
+    decodeValue3(buffer, 30, msd, options);
+  }
+
+  decodeDerivedMetrics(msd, options);
+
+  msd.time = new Date(time.getTime());
+  msd.signature = null;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {?function(Buffer, number, INodeCareSensorMsd, ?MsdDecodeOptions): void} decodeValue1
+ * @param {?function(Buffer, number, INodeCareSensorMsd, ?MsdDecodeOptions): void} decodeValue2
+ * @param {?function(Buffer, number, INodeCareSensorMsd, ?MsdDecodeOptions): void} decodeValue3
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeMsdCareSensor(buffer, decodeValue1, decodeValue2, decodeValue3, msd, options)
+{
+  decodeAlarms(buffer, 0, 4, msd);
+  decodeGroups(buffer, 2, msd);
+  decodeBatteryLevel(buffer, 2, 12, msd);
+
+  if (decodeValue1)
+  {
+    decodeValue1(buffer, 6, msd, options);
+  }
+
+  if (decodeValue2)
+  {
+    decodeValue2(buffer, 8, msd, options);
+  }
+
+  if (decodeValue3)
+  {
+    decodeValue3(buffer, 10, msd, options);
+  }
+
+  decodeDerivedMetrics(msd, options);
+
+  decodeTime(buffer, 12, msd);
+  decodeSignature(buffer, 16, msd);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ */
+function decodeInput(buffer, i, msd)
+{
+  msd.input = !!(buffer[i] & 0x08);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {(INodeCareSensorMsd|INodeCareRelayMsd)} msd
+ */
+function decodeOutput(buffer, i, msd)
+{
+  msd.output = !!(buffer[i] & 0x01);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeDeviceMsd} msd
+ */
+function decodeRtto(buffer, i, msd)
+{
+  msd.rtto = !!(buffer[i] & 0x02);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ */
+function decodeMagneticFieldDirection(buffer, i, msd)
+{
+  msd.magneticFieldDirection = !!(buffer[i] & 0x08);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} batteryI
+ * @param {number} extendedI
+ * @param {INodeDeviceMsd} msd
+ */
+function decodeAlarms(buffer, batteryI, extendedI, msd)
+{
+  const battery = ((batteryI === -1 ? 0 : buffer[batteryI]) << 13) & 0x8000;
+  const extended = extendedI === -1 ? 0 : buffer.readUInt16LE(extendedI);
+  const alarms = extended | battery;
+
+  msd.alarms = {
+    lowBattery: !!(alarms & 0x8000)
+  };
+
+  if (extendedI !== -1)
+  {
+    Object.assign(msd.alarms, {
+      moveAccelerometer: !!(alarms & 0x01),
+      levelAccelerometer: !!(alarms & 0x02),
+      levelTemperature: !!(alarms & 0x04),
+      levelHumidity: !!(alarms & 0x08),
+      contactChange: !!(alarms & 0x10),
+      moveStopped: !!(alarms & 0x20),
+      moveGTimer: !!(alarms & 0x40),
+      levelAccelerometerChange: !!(alarms & 0x80),
+      levelMagnetChange: !!(alarms & 0x100),
+      levelMagnetTimer: !!(alarms & 0x200)
+    });
+  }
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ */
+function decodeGroups(buffer, i, msd)
+{
+  msd.groups = buffer.readUInt16LE(i) & 0x0FFF;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {number} shift
+ * @param {(INodeCareSensorMsd|INodeEnergyMeterMsd)} msd
+ */
+function decodeBatteryLevel(buffer, i, shift, msd)
+{
+  const value = (buffer.readUInt16LE(i) >> shift) & 0x0F;
+
+  if (value === 1)
+  {
+    msd.batteryLevel = 100;
+  }
+  else
+  {
+    msd.batteryLevel = 10 * (Math.min(value, 11) - 1);
+  }
+
+  msd.batteryVoltage = (msd.batteryLevel - 10) * 1.2 / 100 + 1.8;
+}
+
+/**
+ * The `unit` and `constant` are the effective values (reported by the device or overridden by
+ * `registerEnergyMeterOverrides()` or the `energyMeter` option) and the `reportedUnit` and `reportedConstant`
+ * are the ones broadcast by the device.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeEnergyMeterMsd} msd
+ * @param {MsdDecodeOptions} [options]
+ */
+function decodeEnergyMeter(buffer, i, msd, options)
+{
+  const meterOptions = buffer.readUInt16LE(i + 6);
+  const reportedUnit = (meterOptions >> 14) & 3;
+  const reportedConstant = meterOptions & 0x3FFF;
+  const overrides = energyMeter.resolveEnergyMeterOverrides(
+    options && options.address || null,
+    options && options.energyMeter || null
+  );
+  const unit = overrides && overrides.unit != null ? overrides.unit : reportedUnit;
+  let constant = overrides && overrides.constant != null ? overrides.constant : reportedConstant;
+
+  if (unit === 0)
+  {
+    msd.averageUnit = 'kW';
+    msd.sumUnit = 'kWh';
+
+    if (constant === 0)
+    {
+      constant = 1000;
+    }
+  }
+  else if (unit === 1)
+  {
+    msd.averageUnit = 'm³';
+    msd.sumUnit = 'm³';
+
+    if (constant === 0)
+    {
+      constant = 1000;
+    }
+  }
+  else
+  {
+    msd.averageUnit = 'cnt';
+    msd.sumUnit = 'cnt';
+
+    if (constant === 0)
+    {
+      constant = 1;
+    }
+  }
+
+  msd.reportedUnit = reportedUnit;
+  msd.reportedConstant = reportedConstant;
+  msd.unit = unit;
+  msd.constant = constant;
+  msd.scale = resolveEnergyMeterScale(overrides);
+  msd.overridden = !!overrides && (unit !== reportedUnit || constant !== reportedConstant || !!overrides.scale);
+
+  const rawAverage = buffer.readUInt16LE(i);
+  const rawSum = buffer.readUInt32LE(i + 2);
+  const average = scaleEnergyMeterValue(60 * rawAverage / constant, 'average', overrides, msd);
+  const sum = scaleEnergyMeterValue(rawSum / constant, 'sum', overrides, msd);
+
+  msd.average = Math.round(average * 1000) / 1000;
+  msd.sum = Math.round(sum * 1000) / 1000;
+
+  decodeRawValue(msd, options, 'average', rawAverage, average);
+  decodeRawValue(msd, options, 'sum', rawSum, sum);
+
+  const extraDataLength = i
+    + 2 // Average
+    + 4 // Sum
+    + 2 // Options
+    + 1 // Battery & Light
+    + 2; // Previous day
+
+  if (buffer.length >= extraDataLength)
+  {
+    decodeBatteryLevel(buffer, i + 8, 4, msd);
+
+    msd.lightLevel = Math.round((buffer[i + 8] & 0x0F) * 100 / 15 * 10) / 10;
+
+    const weekDataData = buffer.readUInt16LE(i + 9);
+
+    msd.weekDay = weekDataData >> 13;
+    msd.weekDayTotal = weekDataData & 0x1FFF;
+  }
+  else
+  {
+    msd.batteryLevel = null;
+    msd.batteryVoltage = null;
+    msd.lightLevel = null;
+    msd.weekDay = null;
+    msd.weekDayTotal = null;
+    msd.missingFields = ['batteryLevel', 'batteryVoltage', 'lightLevel', 'weekDay', 'weekDayTotal'];
+  }
+}
+
+/**
+ * @private
+ * @param {?EnergyMeterOverrides} overrides
+ * @returns {?number}
+ */
+function resolveEnergyMeterScale(overrides)
+{
+  if (!overrides || overrides.scale == null)
+  {
+    return 1;
+  }
+
+  return typeof overrides.scale === 'function' ? null : overrides.scale;
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @param {string} field
+ * @param {?EnergyMeterOverrides} overrides
+ * @param {INodeEnergyMeterMsd} msd
+ * @returns {number}
+ */
+function scaleEnergyMeterValue(value, field, overrides, msd)
+{
+  if (!overrides || overrides.scale == null)
+  {
+    return value;
+  }
+
+  if (typeof overrides.scale === 'function')
+  {
+    return overrides.scale(value, field, msd);
+  }
+
+  return value * overrides.scale;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeMotionSensor(buffer, i, msd, options)
+{
+  const value = buffer.readUInt16LE(i);
+  const x = (value >> 10) & 0x1F;
+  const y = (value >> 5) & 0x1F;
+  const z = value & 0x1F;
+
+  const position = msd.position = {
+    motion: !!(value & 0x8000),
+    x: x - (x & 0x10 ? 0x1F : 0),
+    y: y - (y & 0x10 ? 0x1F : 0),
+    z: z - (z & 0x10 ? 0x1F : 0)
+  };
+
+  decodePositionOrientation(position, options);
+  decodeRawValue(msd, options, 'position', value, null);
+}
+
+/**
+ * @private
+ * @param {Object} position
+ * @param {?MsdDecodeOptions} options
+ */
+function decodePositionOrientation(position, options)
+{
+  const scale = options && typeof options.accelerometerScale === 'number'
+    ? options.accelerometerScale
+    : ACCELEROMETER_SCALE;
+  const computed = orientation.computeOrientation(position.x, position.y, position.z);
+
+  position.pitch = roundValue(computed.pitch, options);
+  position.roll = roundValue(computed.roll, options);
+  position.magnitude = roundValue(computed.magnitude * scale, options);
+  position.orientation = computed.orientation;
+
+  const reference = orientation.findReferenceOrientation(options && options.address || null);
+
+  if (!reference)
+  {
+    return;
+  }
+
+  const tilt = orientation.computeTilt(position, reference);
+
+  position.tilt = tilt === null ? null : roundValue(tilt, options);
+  position.tippedOver = tilt !== null && tilt >= reference.tiltThreshold;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeCsrTemperature(buffer, i, msd, options)
+{
+  const raw = buffer.readUInt16LE(i);
+  const value = raw > 127 ? raw - 8192 : raw;
+
+  msd.temperature = clampValue(value, options, 'temperatureRange', TEMPERATURE_RANGE);
+
+  decodeRawValue(msd, options, 'temperature', raw, value);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeMcp9844Temperature(buffer, i, msd, options)
+{
+  const b1 = buffer[i];
+  const b2 = buffer[i + 1];
+  let value = b1 * 0.0625 + 16 * (b2 & 0x0F);
+
+  if (b2 & 0x10)
+  {
+    value -= 256;
+  }
+
+  msd.temperature = roundValue(clampValue(value, options, 'temperatureRange', TEMPERATURE_RANGE), options);
+
+  decodeRawValue(msd, options, 'temperature', buffer.readUInt16LE(i), value);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeSi7021Temperature(buffer, i, msd, options)
+{
+  const raw = buffer.readUInt16LE(i);
+  let value = raw * 175.72 * 4;
+
+  value /= 65536;
+  value -= 46.85;
+
+  msd.temperature = roundValue(clampValue(value, options, 'temperatureRange', TEMPERATURE_RANGE), options);
+
+  decodeRawValue(msd, options, 'temperature', raw, value);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodePtTemperature(buffer, i, msd, options)
+{
+  const raw = buffer.readInt16LE(i);
+  const value = 42.5 + raw / 480;
+
+  msd.temperature = roundValue(value, options);
+
+  decodeRawValue(msd, options, 'temperature', buffer.readUInt16LE(i), value);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeSi7021Humidity(buffer, i, msd, options)
+{
+  const raw = buffer.readUInt16LE(i);
+  let value = raw * 125 * 4;
+
+  value /= 65536;
+  value -= 6;
+
+  msd.humidity = roundValue(clampValue(value, options, 'humidityRange', HUMIDITY_RANGE), options);
+
+  decodeRawValue(msd, options, 'humidity', raw, value);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodePressure(buffer, i, msd, options)
+{
+  const raw = buffer.readUInt16LE(i);
+  const value = raw / 16;
+
+  msd.pressure = roundValue(value, options);
+
+  decodeRawValue(msd, options, 'pressure', raw, value);
+}
+
+/**
+ * Adds the metrics derived from the temperature, humidity and pressure, if the `derivedMetrics` option is set.
+ *
+ * @private
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeDerivedMetrics(msd, options)
+{
+  if (!options || !options.derivedMetrics)
+  {
+    return;
+  }
+
+  const temperature = typeof msd.temperature === 'number' ? msd.temperature : null;
+
+  if (temperature !== null && typeof msd.humidity === 'number')
+  {
+    msd.dewPoint = roundValue(environment.computeDewPoint(temperature, msd.humidity), options);
+    msd.absoluteHumidity = roundValue(environment.computeAbsoluteHumidity(temperature, msd.humidity), options);
+    msd.heatIndex = roundValue(environment.computeHeatIndex(temperature, msd.humidity), options);
+  }
+
+  if (typeof msd.pressure === 'number' && msd.pressure > 0)
+  {
+    if (typeof options.stationAltitude === 'number')
+    {
+      msd.seaLevelPressure = roundValue(
+        environment.computeSeaLevelPressure(msd.pressure, options.stationAltitude, temperature),
+        options
+      );
+    }
+
+    msd.altitude = roundValue(environment.computeAltitude(msd.pressure, options.seaLevelPressure), options);
+  }
+}
+
+/**
+ * Converts the decoded values to the units specified in the `units` option.
+ *
+ * @private
+ * @param {INodeDeviceMsd} msd
+ * @param {?MsdDecodeOptions} options
+ * @throws {Error} If any of the specified units is invalid.
+ */
+function decodeUnits(msd, options)
+{
+  if (!options || !options.units)
+  {
+    return;
+  }
+
+  units.convertUnits(msd, options.units, value => roundValue(value, options));
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ */
+function decodeMagneticField(buffer, i, msd, options)
+{
+  msd.magneticField = buffer.readUInt16LE(i);
+
+  decodeRawValue(msd, options, 'magneticField', msd.magneticField, msd.magneticField);
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @param {?MsdDecodeOptions} options
+ * @param {string} rangeOption
+ * @param {Array<number>} defaultRange
+ * @returns {number}
+ */
+function clampValue(value, options, rangeOption, defaultRange)
+{
+  const range = options && typeof options[rangeOption] !== 'undefined' ? options[rangeOption] : defaultRange;
+
+  if (!range)
+  {
+    return value;
+  }
+
+  if (value < range[0])
+  {
+    return range[0];
+  }
+
+  if (value > range[1])
+  {
+    return range[1];
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @param {?MsdDecodeOptions} options
+ * @returns {number}
+ */
+function roundValue(value, options)
+{
+  const precision = options && typeof options.precision !== 'undefined' ? options.precision : 2;
+
+  if (precision === null)
+  {
+    return value;
+  }
+
+  const multiplier = Math.pow(10, precision);
+
+  return Math.round(value * multiplier) / multiplier;
+}
+
+/**
+ * @private
+ * @param {INodeCareSensorMsd} msd
+ * @param {?MsdDecodeOptions} options
+ * @param {string} field
+ * @param {number} raw The raw register word.
+ * @param {?number} precise The unclamped and unrounded value.
+ */
+function decodeRawValue(msd, options, field, raw, precise)
+{
+  if (!options || !options.raw)
+  {
+    return;
+  }
+
+  if (!msd.raw)
+  {
+    msd.raw = {};
+  }
+
+  msd.raw[field] = raw;
+
+  if (precise === null)
+  {
+    return;
+  }
+
+  if (!msd.precise)
+  {
+    msd.precise = {};
+  }
+
+  msd.precise[field] = precise;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ */
+function decodeTime(buffer, i, msd)
+{
+  const value1 = buffer.readUInt16LE(i) << 16;
+  const value2 = buffer.readUInt16LE(i + 2);
+  const value = value1 | value2;
+
+  msd.time = new Date(value * 1000);
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ */
+function decodeSignature(buffer, i, msd)
+{
+  msd.signature = buffer.slice(i, i + 8);
+}
+
+/**
+ * @private
+ * @param {AdvertisingReport} report
+ * @returns {Buffer}
+ * @throws {Error} If the specified report cannot be encoded.
+ */
+function encodeGsmDataRecord(report)
+{
+  const localName = findEirDataStructure(report, EirDataType.LocalNameComplete)
+    || findEirDataStructure(report, EirDataType.LocalNameShort);
+  const msd = findEirDataStructure(report, EirDataType.ManufacturerSpecificData);
+
+  if (!msd)
+  {
+    throw new Error(`Cannot encode iNode GSM data: report of ${report.address} has no MSD!`);
+  }
+
+  const deviceModelEncoder = exports.gsmEncoders[msd.model];
+
+  if (!deviceModelEncoder)
+  {
+    throw new Error(`Cannot encode iNode GSM data: '${msd.model}' is not a supported device model!`);
+  }
+
+  const recordData = deviceModelEncoder(msd);
+
+  encodeGsmMacAddress(recordData, report.address);
+
+  if (localName && localName.value)
+  {
+    recordData.write(String(localName.value).substring(0, 16), 8, 16);
+  }
+
+  const rssi = Math.min(Math.max(Math.round(report.rssi || 0), -128), 127);
+
+  recordData.writeInt8(rssi, recordData.length - 4);
+
+  return recordData;
+}
+
+/**
+ * @private
+ * @param {AdvertisingReport} report
+ * @param {EirDataType} type
+ * @returns {?EirDataStructure}
+ */
+function findEirDataStructure(report, type)
+{
+  const data = report.data || [];
+
+  for (let i = 0; i < data.length; ++i)
+  {
+    if (data[i].type === type)
+    {
+      return data[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {string} address
+ * @throws {Error} If the specified address is not a valid MAC address.
+ */
+function encodeGsmMacAddress(buffer, address)
+{
+  const bytes = String(address).split(':');
+
+  if (bytes.length !== 6 || bytes.some(byte => !/^[0-9A-Fa-f]{2}$/.test(byte)))
+  {
+    throw new Error(`Cannot encode iNode GSM data: '${address}' is not a valid MAC address!`);
+  }
+
+  for (let i = 0; i < 6; ++i)
+  {
+    buffer[7 - i] = parseInt(bytes[i], 16);
+  }
+}
+
+/**
+ * Builds a GSM record with the specified part of the MSD buffer placed after the address and the local name
+ * and followed by the 6 bytes long trailer (with RSSI at the third byte).
+ *
+ * @private
+ * @param {INodeDeviceMsd} msd
+ * @param {number} start
+ * @param {number} end
+ * @returns {Buffer}
+ */
+function encodeGsmMsd(msd, start, end)
+{
+  const msdBuffer = exports.encodeMsd(msd);
+  const recordData = new Buffer(24 + (end - start) + 6).fill(0);
+
+  recordData[0] = msdBuffer[0];
+  recordData[1] = msdBuffer[1];
 
-  return report;
+  msdBuffer.copy(recordData, 24, start, end);
+
+  return recordData;
 }
 
 /**
  * @private
- * @param {Buffer} buffer
- * @returns {string}
+ * @param {DeviceModel} deviceModel
+ * @param {number} length
+ * @param {INodeDeviceMsd} msd
+ * @returns {Buffer}
  */
-function decodeGsmMacAddress(buffer)
+function createMsdBuffer(deviceModel, length, msd)
 {
-  const macAddress = [];
+  const buffer = new Buffer(length).fill(0);
 
-  for (let i = 7; i >= 2; --i)
+  if (typeof msd.companyIdentifier === 'number')
   {
-    macAddress.push((buffer[i] < 0x10 ? '0' : '') + buffer[i].toString(16).toUpperCase());
+    buffer[0] = msd.companyIdentifier & 0xFF;
   }
 
-  return macAddress.join(':');
+  buffer[1] = deviceModel;
+
+  return buffer;
 }
 
 /**
  * @private
  * @param {Buffer} buffer
- * @param {?function(Buffer, number, INodeCareSensorMsd): void} decodeValue1
- * @param {?function(Buffer, number, INodeCareSensorMsd): void} decodeValue2
- * @param {?function(Buffer, number, INodeCareSensorMsd): void} decodeValue3
- * @param {INodeCareSensorMsd} msd
+ * @param {number} i
+ * @param {number} mask
+ * @param {boolean} value
  */
-function decodeGsmCareSensor(buffer, decodeValue1, decodeValue2, decodeValue3, msd)
+function encodeFlag(buffer, i, mask, value)
 {
-  decodeAlarms(buffer, 0, 24, msd);
-
-  msd.groups = 0;
-  msd.batteryLevel = 100;
-  msd.batteryVoltage = 2.88;
-
-  if (decodeValue1)
-  {
-    decodeValue1(buffer, 26, msd);
-  }
-
-  if (decodeValue2)
+  if (value)
   {
-    decodeValue2(buffer, 28, msd);
+    buffer[i] |= mask;
   }
-
-  if (decodeValue3)
+  else
   {
-    decodeValue3(buffer, 30, msd);
+    buffer[i] &= ~mask;
   }
-
-  msd.time = new Date();
-  msd.signature = new Buffer(8).fill(0);
 }
 
 /**
  * @private
  * @param {Buffer} buffer
- * @param {?function(Buffer, number, INodeCareSensorMsd): void} decodeValue1
- * @param {?function(Buffer, number, INodeCareSensorMsd): void} decodeValue2
- * @param {?function(Buffer, number, INodeCareSensorMsd): void} decodeValue3
+ * @param {?function(Buffer, number, INodeCareSensorMsd): void} encodeValue1
+ * @param {?function(Buffer, number, INodeCareSensorMsd): void} encodeValue2
+ * @param {?function(Buffer, number, INodeCareSensorMsd): void} encodeValue3
  * @param {INodeCareSensorMsd} msd
  */
-function decodeMsdCareSensor(buffer, decodeValue1, decodeValue2, decodeValue3, msd)
+function encodeMsdCareSensor(buffer, encodeValue1, encodeValue2, encodeValue3, msd)
 {
-  decodeAlarms(buffer, 0, 4, msd);
-  decodeGroups(buffer, 2, msd);
-  decodeBatteryLevel(buffer, 2, 12, msd);
+  encodeAlarms(buffer, 0, 4, msd);
+  encodeGroups(buffer, 2, msd);
+  encodeBatteryLevel(buffer, 2, 12, msd);
 
-  if (decodeValue1)
+  if (encodeValue1)
   {
-    decodeValue1(buffer, 6, msd);
+    encodeValue1(buffer, 6, msd);
   }
 
-  if (decodeValue2)
+  if (encodeValue2)
   {
-    decodeValue2(buffer, 8, msd);
+    encodeValue2(buffer, 8, msd);
   }
 
-  if (decodeValue3)
+  if (encodeValue3)
   {
-    decodeValue3(buffer, 10, msd);
+    encodeValue3(buffer, 10, msd);
   }
 
-  decodeTime(buffer, 12, msd);
-  decodeSignature(buffer, 16, msd);
+  encodeTime(buffer, 12, msd);
+  encodeSignature(buffer, 16, msd);
 }
 
 /**
@@ -538,9 +2152,9 @@ function decodeMsdCareSensor(buffer, decodeValue1, decodeValue2, decodeValue3, m
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeInput(buffer, i, msd)
+function encodeInput(buffer, i, msd)
 {
-  msd.input = !!(buffer[i] & 0x08);
+  encodeFlag(buffer, i, 0x08, msd.input);
 }
 
 /**
@@ -549,9 +2163,9 @@ function decodeInput(buffer, i, msd)
  * @param {number} i
  * @param {(INodeCareSensorMsd|INodeCareRelayMsd)} msd
  */
-function decodeOutput(buffer, i, msd)
+function encodeOutput(buffer, i, msd)
 {
-  msd.output = !!(buffer[i] & 0x01);
+  encodeFlag(buffer, i, 0x01, msd.output);
 }
 
 /**
@@ -560,9 +2174,9 @@ function decodeOutput(buffer, i, msd)
  * @param {number} i
  * @param {INodeDeviceMsd} msd
  */
-function decodeRtto(buffer, i, msd)
+function encodeRtto(buffer, i, msd)
 {
-  msd.rtto = !!(buffer[i] & 0x02);
+  encodeFlag(buffer, i, 0x02, msd.rtto);
 }
 
 /**
@@ -571,9 +2185,9 @@ function decodeRtto(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeMagneticFieldDirection(buffer, i, msd)
+function encodeMagneticFieldDirection(buffer, i, msd)
 {
-  msd.magneticFieldDirection = !!(buffer[i] & 0x08);
+  encodeFlag(buffer, i, 0x08, msd.magneticFieldDirection);
 }
 
 /**
@@ -583,31 +2197,73 @@ function decodeMagneticFieldDirection(buffer, i, msd)
  * @param {number} extendedI
  * @param {INodeDeviceMsd} msd
  */
-function decodeAlarms(buffer, batteryI, extendedI, msd)
+function encodeAlarms(buffer, batteryI, extendedI, msd)
 {
-  const battery = ((batteryI === -1 ? 0 : buffer[batteryI]) << 13) & 0x8000;
-  const extended = extendedI === -1 ? 0 : buffer.readUInt16LE(extendedI);
-  const alarms = extended | battery;
+  const alarms = msd.alarms || {};
 
-  msd.alarms = {
-    lowBattery: !!(alarms & 0x8000)
-  };
+  if (batteryI !== -1)
+  {
+    encodeFlag(buffer, batteryI, 0x04, alarms.lowBattery);
+  }
 
-  if (extendedI !== -1)
+  if (extendedI === -1)
   {
-    Object.assign(msd.alarms, {
-      moveAccelerometer: !!(alarms & 0x01),
-      levelAccelerometer: !!(alarms & 0x02),
-      levelTemperature: !!(alarms & 0x04),
-      levelHumidity: !!(alarms & 0x08),
-      contactChange: !!(alarms & 0x10),
-      moveStopped: !!(alarms & 0x20),
-      moveGTimer: !!(alarms & 0x40),
-      levelAccelerometerChange: !!(alarms & 0x80),
-      levelMagnetChange: !!(alarms & 0x100),
-      levelMagnetTimer: !!(alarms & 0x200)
-    });
+    return;
   }
+
+  let extended = 0;
+
+  if (alarms.moveAccelerometer)
+  {
+    extended |= 0x01;
+  }
+
+  if (alarms.levelAccelerometer)
+  {
+    extended |= 0x02;
+  }
+
+  if (alarms.levelTemperature)
+  {
+    extended |= 0x04;
+  }
+
+  if (alarms.levelHumidity)
+  {
+    extended |= 0x08;
+  }
+
+  if (alarms.contactChange)
+  {
+    extended |= 0x10;
+  }
+
+  if (alarms.moveStopped)
+  {
+    extended |= 0x20;
+  }
+
+  if (alarms.moveGTimer)
+  {
+    extended |= 0x40;
+  }
+
+  if (alarms.levelAccelerometerChange)
+  {
+    extended |= 0x80;
+  }
+
+  if (alarms.levelMagnetChange)
+  {
+    extended |= 0x100;
+  }
+
+  if (alarms.levelMagnetTimer)
+  {
+    extended |= 0x200;
+  }
+
+  buffer.writeUInt16LE(extended, extendedI);
 }
 
 /**
@@ -616,9 +2272,11 @@ function decodeAlarms(buffer, batteryI, extendedI, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeGroups(buffer, i, msd)
+function encodeGroups(buffer, i, msd)
 {
-  msd.groups = buffer.readUInt16LE(i) & 0x0FFF;
+  const value = buffer.readUInt16LE(i) & 0xF000;
+
+  buffer.writeUInt16LE(value | ((msd.groups || 0) & 0x0FFF), i);
 }
 
 /**
@@ -628,20 +2286,20 @@ function decodeGroups(buffer, i, msd)
  * @param {number} shift
  * @param {(INodeCareSensorMsd|INodeEnergyMeterMsd)} msd
  */
-function decodeBatteryLevel(buffer, i, shift, msd)
+function encodeBatteryLevel(buffer, i, shift, msd)
 {
-  const value = (buffer.readUInt16LE(i) >> shift) & 0x0F;
+  const batteryLevel = typeof msd.batteryLevel === 'number' ? msd.batteryLevel : 100;
+  let nibble = Math.min(Math.round(batteryLevel / 10) + 1, 11);
 
-  if (value === 1)
-  {
-    msd.batteryLevel = 100;
-  }
-  else
+  // 1 is decoded as 100%, so anything below 10% must use the 0 nibble.
+  if (nibble < 2)
   {
-    msd.batteryLevel = 10 * (Math.min(value, 11) - 1);
+    nibble = 0;
   }
 
-  msd.batteryVoltage = (msd.batteryLevel - 10) * 1.2 / 100 + 1.8;
+  const value = buffer.readUInt16LE(i) & ~(0x0F << shift);
+
+  buffer.writeUInt16LE((value | (nibble << shift)) & 0xFFFF, i);
 }
 
 /**
@@ -650,74 +2308,69 @@ function decodeBatteryLevel(buffer, i, shift, msd)
  * @param {number} i
  * @param {INodeEnergyMeterMsd} msd
  */
-function decodeEnergyMeter(buffer, i, msd)
+function encodeEnergyMeter(buffer, i, msd)
 {
-  const options = buffer.readUInt16LE(i + 6);
-  const unit = (options >> 14) & 3;
-  let constant = options & 0x3FFF;
+  const unit = (msd.unit || 0) & 3;
+  const constant = msd.constant || (unit < 2 ? 1000 : 1);
+  const average = encodeRawValue(msd, 'average', value => value * constant / 60, 0, 0xFFFF);
+  const sum = encodeRawValue(msd, 'sum', value => value * constant, 0, 0xFFFFFFFF);
 
-  if (unit === 0)
-  {
-    msd.averageUnit = 'kWh';
-    msd.sumUnit = 'kW';
+  buffer.writeUInt16LE(average, i);
+  buffer.writeUInt32LE(sum, i + 2);
+  buffer.writeUInt16LE((unit << 14) | (constant & 0x3FFF), i + 6);
 
-    if (constant === 0)
-    {
-      constant = 1000;
-    }
-  }
-  else if (unit === 1)
-  {
-    msd.averageUnit = 'm³';
-    msd.sumUnit = 'm³';
+  encodeBatteryLevel(buffer, i + 8, 4, msd);
 
-    if (constant === 0)
-    {
-      constant = 1000;
-    }
-  }
-  else
-  {
-    msd.averageUnit = 'cnt';
-    msd.sumUnit = 'cnt';
+  const lightLevel = Math.round((msd.lightLevel || 0) * 15 / 100);
 
-    if (constant === 0)
-    {
-      constant = 1;
-    }
-  }
+  buffer[i + 8] = (buffer[i + 8] & 0xF0) | Math.min(Math.max(lightLevel, 0), 0x0F);
 
-  msd.unit = unit;
-  msd.constant = constant;
-  msd.average = Math.round(60 * buffer.readUInt16LE(i) / constant * 1000) / 1000;
-  msd.sum = Math.round(buffer.readUInt32LE(i + 2) / constant * 1000) / 1000;
+  const weekDay = (msd.weekDay || 0) & 7;
+  const weekDayTotal = (msd.weekDayTotal || 0) & 0x1FFF;
 
-  const extraDataLength = i
-    + 2 // Average
-    + 4 // Sum
-    + 2 // Options
-    + 1 // Battery & Light
-    + 2; // Previous day
+  buffer.writeUInt16LE((weekDay << 13) | weekDayTotal, i + 9);
+}
 
-  if (buffer.length >= extraDataLength)
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} i
+ * @param {INodeCareSensorMsd} msd
+ */
+function encodeMotionSensor(buffer, i, msd)
+{
+  if (msd.raw && typeof msd.raw.position === 'number')
   {
-    decodeBatteryLevel(buffer, i + 8, 4, msd);
+    buffer.writeUInt16LE(msd.raw.position, i);
 
-    msd.lightLevel = Math.round((buffer[i + 8] & 0x0F) * 100 / 15 * 10) / 10;
+    return;
+  }
 
-    const weekDataData = buffer.readUInt16LE(i + 9);
+  const position = msd.position || {};
+  let value = position.motion ? 0x8000 : 0;
 
-    msd.weekDay = weekDataData >> 13;
-    msd.weekDayTotal = weekDataData & 0x1FFF;
-  }
-  else
+  value |= encodeMotionAxis(position.x) << 10;
+  value |= encodeMotionAxis(position.y) << 5;
+  value |= encodeMotionAxis(position.z);
+
+  buffer.writeUInt16LE(value, i);
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @returns {number}
+ */
+function encodeMotionAxis(value)
+{
+  value = Math.round(value || 0);
+
+  if (value < -15 || value > 15)
   {
-    msd.batteryLevel = 100;
-    msd.batteryVoltage = 2.88;
-    msd.lightLevel = 0;
-    msd.weekDay = new Date(Date.now() - 24 * 3600 * 1000).getDay();
-    msd.weekDayTotal = 0;
+    throw new RangeError(`Cannot encode iNode MSD: position axis ${value} is out of range [-15, 15]!`);
   }
+
+  return value < 0 ? value + 0x1F : value;
 }
 
 /**
@@ -726,19 +2379,12 @@ function decodeEnergyMeter(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeMotionSensor(buffer, i, msd)
+function encodeCsrTemperature(buffer, i, msd)
 {
-  const value = buffer.readUInt16LE(i);
-  const x = (value >> 10) & 0x1F;
-  const y = (value >> 5) & 0x1F;
-  const z = value & 0x1F;
+  // The raw value is already unsigned
+  const value = encodeRawValue(msd, 'temperature', temperature => temperature, -8064, 127);
 
-  msd.position = {
-    motion: !!(value & 0x8000),
-    x: x - (x & 0x10 ? 0x1F : 0),
-    y: y - (y & 0x10 ? 0x1F : 0),
-    z: z - (z & 0x10 ? 0x1F : 0)
-  };
+  buffer.writeUInt16LE(value < 0 ? value + 8192 : value, i);
 }
 
 /**
@@ -747,25 +2393,19 @@ function decodeMotionSensor(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeCsrTemperature(buffer, i, msd)
+function encodeMcp9844Temperature(buffer, i, msd)
 {
-  let value = buffer.readUInt16LE(i);
-
-  if (value > 127)
+  if (msd.raw && typeof msd.raw.temperature === 'number')
   {
-    value -= 8192;
-  }
+    buffer.writeUInt16LE(msd.raw.temperature, i);
 
-  if (value < -30)
-  {
-    value = -30;
-  }
-  else if (value > 70)
-  {
-    value = 70;
+    return;
   }
 
-  msd.temperature = value;
+  const value = encodeRawValue(msd, 'temperature', temperature => temperature * 16, -4096, 4095) & 0x1FFF;
+
+  buffer[i] = value & 0xFF;
+  buffer[i + 1] = value >> 8;
 }
 
 /**
@@ -774,27 +2414,11 @@ function decodeCsrTemperature(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeMcp9844Temperature(buffer, i, msd)
+function encodeSi7021Temperature(buffer, i, msd)
 {
-  const b1 = buffer[i];
-  const b2 = buffer[i + 1];
-  let value = b1 * 0.0625 + 16 * (b2 & 0x0F);
-
-  if (b2 & 0x10)
-  {
-    value -= 256;
-  }
+  const encode = temperature => (temperature + 46.85) * 65536 / (175.72 * 4);
 
-  if (value < -30)
-  {
-    value = -30;
-  }
-  else if (value > 70)
-  {
-    value = 70;
-  }
-
-  msd.temperature = Math.round(value * 100) / 100;
+  buffer.writeUInt16LE(encodeRawValue(msd, 'temperature', encode, 0, 0xFFFF), i);
 }
 
 /**
@@ -803,22 +2427,18 @@ function decodeMcp9844Temperature(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeSi7021Temperature(buffer, i, msd)
+function encodePtTemperature(buffer, i, msd)
 {
-  let value = buffer.readUInt16LE(i) * 175.72 * 4;
-  value /= 65536;
-  value -= 46.85;
-
-  if (value < -30)
+  if (msd.raw && typeof msd.raw.temperature === 'number')
   {
-    value = -30;
-  }
-  else if (value > 70)
-  {
-    value = 70;
+    buffer.writeUInt16LE(msd.raw.temperature, i);
+
+    return;
   }
 
-  msd.temperature = Math.round(value * 100) / 100;
+  const encode = temperature => (temperature - 42.5) * 480;
+
+  buffer.writeInt16LE(encodeRawValue(msd, 'temperature', encode, -0x8000, 0x7FFF), i);
 }
 
 /**
@@ -827,11 +2447,11 @@ function decodeSi7021Temperature(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodePtTemperature(buffer, i, msd)
+function encodeSi7021Humidity(buffer, i, msd)
 {
-  const value = 42.5 + buffer.readInt16LE(i) / 480;
+  const encode = humidity => (humidity + 6) * 65536 / (125 * 4);
 
-  msd.temperature = Math.round(value * 100) / 100;
+  buffer.writeUInt16LE(encodeRawValue(msd, 'humidity', encode, 0, 0xFFFF), i);
 }
 
 /**
@@ -840,22 +2460,40 @@ function decodePtTemperature(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeSi7021Humidity(buffer, i, msd)
+function encodePressure(buffer, i, msd)
 {
-  let value = buffer.readUInt16LE(i) * 125 * 4;
-  value /= 65536;
-  value -= 6;
+  buffer.writeUInt16LE(encodeRawValue(msd, 'pressure', pressure => pressure * 16, 0, 0xFFFF), i);
+}
 
-  if (value < 1)
+/**
+ * Returns the `raw` register value of the specified field or computes it from the `precise` (or the rounded)
+ * value.
+ *
+ * @private
+ * @param {INodeDeviceMsd} msd
+ * @param {string} field
+ * @param {function(number): number} encode
+ * @param {number} min The minimum register value.
+ * @param {number} max The maximum register value.
+ * @returns {number}
+ * @throws {RangeError} If the computed register value is out of the specified range.
+ */
+function encodeRawValue(msd, field, encode, min, max)
+{
+  if (msd.raw && typeof msd.raw[field] === 'number')
   {
-    value = 1;
+    return msd.raw[field];
   }
-  else if (value > 100)
+
+  const value = msd.precise && typeof msd.precise[field] === 'number' ? msd.precise[field] : (msd[field] || 0);
+  const raw = Math.round(encode(value));
+
+  if (!(raw >= min && raw <= max))
   {
-    value = 100;
+    throw new RangeError(`Cannot encode iNode MSD: ${field} ${value} is out of the range of its register!`);
   }
 
-  msd.humidity = Math.round(value * 100) / 100;
+  return raw;
 }
 
 /**
@@ -864,9 +2502,9 @@ function decodeSi7021Humidity(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodePressure(buffer, i, msd)
+function encodeMagneticField(buffer, i, msd)
 {
-  msd.pressure = Math.round(buffer.readUInt16LE(i) / 16 * 100) / 100;
+  buffer.writeUInt16LE((msd.magneticField || 0) & 0xFFFF, i);
 }
 
 /**
@@ -875,9 +2513,12 @@ function decodePressure(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeMagneticField(buffer, i, msd)
+function encodeTime(buffer, i, msd)
 {
-  msd.magneticField = buffer.readUInt16LE(i);
+  const value = msd.time ? Math.floor(msd.time.getTime() / 1000) : 0;
+
+  buffer.writeUInt16LE((value >>> 16) & 0xFFFF, i);
+  buffer.writeUInt16LE(value & 0xFFFF, i + 2);
 }
 
 /**
@@ -886,25 +2527,127 @@ function decodeMagneticField(buffer, i, msd)
  * @param {number} i
  * @param {INodeCareSensorMsd} msd
  */
-function decodeTime(buffer, i, msd)
+function encodeSignature(buffer, i, msd)
 {
-  const value1 = buffer.readUInt16LE(i) << 16;
-  const value2 = buffer.readUInt16LE(i + 2);
-  const value = value1 | value2;
-
-  msd.time = new Date(value * 1000);
+  if (msd.signature)
+  {
+    msd.signature.copy(buffer, i, 0, 8);
+  }
 }
 
 /**
- * @private
- * @param {Buffer} buffer
- * @param {number} i
- * @param {INodeCareSensorMsd} msd
+ * @typedef {Object} ValueCodec
+ * @property {Array<string>} [fields] Names of the MSD properties set by the codec.
+ * @property {function(Buffer, number, INodeDeviceMsd, ?MsdDecodeOptions): void} decode
+ * @property {function(Buffer, number, INodeDeviceMsd): void} encode
+ */
+
+/**
+ * @typedef {Object} DeviceModelDefinition
+ * @property {number} code The device model byte.
+ * @property {string} [name] The `DeviceModel` enum key.
+ * @property {string} [label]
+ * @property {DeviceLayout} [layout=DeviceLayout.Device]
+ * @property {boolean} [signed] Defaults to `true` for the Care Sensor layout.
+ * @property {Object} [fields]
+ * @property {(string|ValueCodec)} [fields.value1] Only in the Care Sensor layout.
+ * @property {(string|ValueCodec)} [fields.value2] Only in the Care Sensor layout.
+ * @property {(string|ValueCodec)} [fields.value3] Only in the Care Sensor layout.
+ * @property {Array<(string|ValueCodec)>} [fields.bits] Codecs of the bits of the first MSD byte.
+ */
+
+/**
+ * @typedef {Object} DeviceModelInfo
+ * @property {number} code
+ * @property {?string} name
+ * @property {string} label
+ * @property {DeviceLayout} layout
+ * @property {boolean} signed
+ * @property {Array<?ValueCodec>} values
+ * @property {Array<ValueCodec>} bits
+ * @property {Array<string>} fieldNames
+ */
+
+/**
+ * @typedef {Object} DeviceLayoutCodec
+ * @property {Array<string>} fields
+ * @property {boolean} signed
+ * @property {boolean} valueSlots
+ * @property {MsdLength} msdLength
+ * @property {{start: number, end: number}} gsmData The part of the MSD that is sent in the GSM records.
+ * @property {function(Buffer, Array<?ValueCodec>, INodeDeviceMsd, ?MsdDecodeOptions): void} decodeMsd
+ * @property {function(Buffer, Array<?ValueCodec>, Date, INodeDeviceMsd, ?MsdDecodeOptions): void} decodeGsm
+ * @property {function(Buffer, Array<?ValueCodec>, INodeDeviceMsd): void} encodeMsd
+ */
+
+/**
+ * @typedef {Object} INodeMsdMatchOptions
+ * @property {Array<DeviceModel>} [deviceModels] Only MSD of the specified device models is recognized.
+ * @property {Array<number>} [excludedCompanyIdentifiers] MSD starting with any of the specified company identifiers
+ * is never recognized.
+ * @property {boolean} [strictLength=false] Whether the MSD must have exactly the length expected by its device model
+ * (if the device model has a fixed length). If `false`, only the minimum length is checked.
+ * @property {function(Buffer): boolean} [filter] An additional check.
+ */
+
+/**
+ * @typedef {Object} MsdDecodeOptions
+ * @property {boolean} [strict=false] Whether to throw if the MSD buffer is not exactly as long as expected.
+ * @property {string} [address] The MAC address of the device used to find its key, Energy Meter overrides
+ * and reference orientation (GSM records always use the address of the record).
+ * If not specified, signed MSD are not verified.
+ * @property {function(): number} [now=Date.now] Returns the current time (in milliseconds) the signed device time
+ * is compared to.
+ * @property {Map<string, number>} [verifiedTimes] The signed device times of the last verified MSD by address.
+ * Pass the same Map to every call of one receiver to reject the signed MSD older than the last verified one
+ * (replayed MSD are not detected if not specified). Use a separate Map for every receiver.
+ * @property {boolean} [raw=false] Whether to add the `raw` (raw register words) and `precise` (unclamped
+ * and unrounded values) objects to the decoded MSD.
+ * @property {?Array<number>} [temperatureRange=[-30, 70]] The range the temperature is clamped to
+ * (`null` to disable clamping).
+ * @property {?Array<number>} [humidityRange=[1, 100]] The range the humidity is clamped to
+ * (`null` to disable clamping).
+ * @property {?number} [precision=2] The number of decimal places the sensor values are rounded to
+ * (`null` to disable rounding).
+ * @property {number} [accelerometerScale=2/15] The acceleration (in g) of a single step of the accelerometer
+ * components. The default is not documented by iNode: for better `magnitude`, set it to `1` divided by
+ * the length of the `x`, `y`, `z` vector reported by the device at rest.
+ * @property {boolean} [derivedMetrics=false] Whether to add the dew point, absolute humidity and heat index
+ * (for models with temperature and humidity) and the altitude and sea-level pressure (for models with pressure)
+ * to the decoded Care Sensor MSD.
+ * @property {number} [stationAltitude] The altitude of the sensor (in m) used to compute the sea-level pressure
+ * (not computed if not specified).
+ * @property {number} [seaLevelPressure=1013.25] The reference pressure at sea level (in hPa) used to compute
+ * the altitude.
+ * @property {UnitOptions} [units] The units the decoded values are converted to. If specified, the unit
+ * of every field with a unit is recorded in the `units` object of the decoded MSD.
+ * @property {EnergyMeterOverrides} [energyMeter] The Energy Meter constant, unit and/or scale overrides
+ * (merged with the ones registered for the `address`).
+ */
+
+/**
+ * @typedef {Object} MsdLength
+ * @property {number} minLength
+ * @property {number} expectedLength
+ */
+
+/**
+ * @typedef {AdvertisingReport} GsmAdvertisingReport
+ * @property {Date} time The time computed from the `time` query parameter.
+ * @property {number} recordType The type byte of the GSM record.
+ */
+
+/**
+ * @typedef {Object} GsmSkippedRecord
+ * @property {number} offset The offset of the record header in the GSM data buffer.
+ * @property {number} recordType
+ * @property {number} length The record length from the record header (`-1` if missing).
+ * @property {number} deviceModel The device model byte (`-1` if missing).
+ * @property {Buffer} data The raw record data.
+ * @property {GsmRecordSkipReason} reason
+ * @property {string} message
+ * @property {?Error} error The unexpected error thrown by the record decoder.
  */
-function decodeSignature(buffer, i, msd)
-{
-  msd.signature = buffer.slice(i, i + 8);
-}
 
 /**
  * @typedef {Object} INodeDeviceMsd
@@ -922,15 +2665,22 @@ function decodeSignature(buffer, i, msd)
  * @property {boolean} alarms.lowBattery
  * @property {string} averageUnit
  * @property {string} sumUnit
- * @property {number} unit
- * @property {number} constant
+ * @property {number} unit The effective unit.
+ * @property {number} constant The effective constant.
+ * @property {number} reportedUnit The unit broadcast by the device.
+ * @property {number} reportedConstant The constant broadcast by the device (`0` if not set).
+ * @property {?number} scale The effective scale factor (`1` if not scaled, `null` if scaled by a function).
+ * @property {boolean} overridden Whether the effective unit, constant or scale differ from the reported ones.
  * @property {number} average
  * @property {number} sum
- * @property {number} batteryLevel
- * @property {number} batteryVoltage
- * @property {number} lightLevel
- * @property {number} weekDay
- * @property {number} weekDayTotal
+ * @property {?number} batteryLevel
+ * @property {?number} batteryVoltage
+ * @property {?number} lightLevel
+ * @property {?number} weekDay
+ * @property {?number} weekDayTotal
+ * @property {Array<string>} [missingFields] Names of the fields that were not broadcast by the device
+ * (and are set to `null`).
+ * @property {Object<string, string>} [units] Units of the fields (only with the `units` option).
  */
 
 /**
@@ -950,10 +2700,12 @@ function decodeSignature(buffer, i, msd)
  * @property {boolean} alarms.levelMagnetChange
  * @property {boolean} alarms.levelMagnetTimer
  * @property {Date} time
- * @property {number} groups
- * @property {number} batteryLevel
- * @property {number} batteryVoltage
- * @property {Buffer} signature
+ * @property {?number} groups `null` if decoded from GSM data.
+ * @property {?number} batteryLevel `null` if decoded from GSM data.
+ * @property {?number} batteryVoltage `null` if decoded from GSM data.
+ * @property {?Buffer} signature `null` if decoded from GSM data.
+ * @property {boolean} [verified] Whether the signature was verified using the key registered for the `address`
+ * (not set if the address is not known or no key is registered for it).
  * @property {boolean} [input]
  * @property {boolean} [output]
  * @property {Object} [position]
@@ -961,11 +2713,27 @@ function decodeSignature(buffer, i, msd)
  * @property {number} position.x
  * @property {number} position.y
  * @property {number} position.z
+ * @property {number} position.pitch The pitch angle (in degrees).
+ * @property {number} position.roll The roll angle (in degrees).
+ * @property {number} position.magnitude The magnitude of the acceleration (in g).
+ * @property {Orientation} position.orientation
+ * @property {?number} [position.tilt] The angle (in degrees) between the reference orientation registered
+ * for the device and the current one.
+ * @property {boolean} [position.tippedOver] Whether the `tilt` reached the threshold of the reference orientation.
  * @property {number} [temperature]
  * @property {number} [humidity]
  * @property {number} [pressure]
+ * @property {number} [dewPoint] The dew point (in °C; only with the `derivedMetrics` option).
+ * @property {number} [absoluteHumidity] The absolute humidity (in g/m³; only with the `derivedMetrics` option).
+ * @property {number} [heatIndex] The heat index (in °C; only with the `derivedMetrics` option).
+ * @property {number} [seaLevelPressure] The sea-level pressure (in hPa; only with the `derivedMetrics`
+ * and `stationAltitude` options).
+ * @property {number} [altitude] The barometric altitude (in m; only with the `derivedMetrics` option).
  * @property {boolean} [magneticFieldDirection]
  * @property {number} [magneticField]
+ * @property {Object<string, number>} [raw] Raw register words of the sensor values.
+ * @property {Object<string, number>} [precise] Unclamped and unrounded sensor values.
+ * @property {Object<string, string>} [units] Units of the fields (only with the `units` option).
  */
 
 /**
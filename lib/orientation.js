@@ -0,0 +1,227 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * The minimum ratio of the dominant axis component to the magnitude of the acceleration for the position
+ * to be classified as lying on one of the sides (cos 30°).
+ *
+ * @private
+ * @type {number}
+ */
+const DOMINANT_AXIS_RATIO = Math.cos(Math.PI / 6);
+
+/**
+ * @private
+ * @type {number}
+ */
+const DEFAULT_TILT_THRESHOLD = 45;
+
+/**
+ * The orientation of the device derived from the direction of gravity. The Z axis points up when
+ * the device is upright, the X axis points to the right side and the Y axis points to the back side.
+ *
+ * @enum {string}
+ */
+const Orientation = exports.Orientation = {
+  Upright: 'upright',
+  UpsideDown: 'upsideDown',
+  OnLeftSide: 'onLeftSide',
+  OnRightSide: 'onRightSide',
+  OnFront: 'onFront',
+  OnBack: 'onBack',
+  Tilted: 'tilted',
+  Unknown: 'unknown'
+};
+
+/**
+ * @private
+ * @type {Map<string, ReferenceOrientation>}
+ */
+const referenceOrientations = new Map();
+
+/**
+ * Registers the orientation the specified device was installed in, so that the `tilt` and `tippedOver`
+ * properties are added to the `position` of its decoded MSD.
+ *
+ * @param {string} address
+ * @param {{x: number, y: number, z: number}} reference The accelerometer components (e.g. the `position`
+ * of the MSD decoded right after the installation).
+ * @param {ReferenceOrientationOptions} [options]
+ * @throws {Error} If the specified reference orientation is invalid.
+ */
+exports.registerReferenceOrientation = function(address, reference, options)
+{
+  if (!reference || computeMagnitude(reference.x, reference.y, reference.z) === 0)
+  {
+    throw new Error(`Cannot register iNode reference orientation: expected non-zero x, y, z of ${address}!`);
+  }
+
+  const tiltThreshold = options && typeof options.tiltThreshold === 'number'
+    ? options.tiltThreshold
+    : DEFAULT_TILT_THRESHOLD;
+
+  referenceOrientations.set(normalizeAddress(address), {
+    x: reference.x,
+    y: reference.y,
+    z: reference.z,
+    tiltThreshold: tiltThreshold
+  });
+};
+
+/**
+ * @param {string} address
+ * @returns {boolean}
+ */
+exports.unregisterReferenceOrientation = function(address)
+{
+  return referenceOrientations.delete(normalizeAddress(address));
+};
+
+exports.unregisterAllReferenceOrientations = function()
+{
+  referenceOrientations.clear();
+};
+
+/**
+ * @param {?string} address
+ * @returns {?ReferenceOrientation}
+ */
+exports.findReferenceOrientation = function(address)
+{
+  return address ? referenceOrientations.get(normalizeAddress(address)) || null : null;
+};
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {{pitch: number, roll: number, magnitude: number, orientation: Orientation}} Angles are in degrees
+ * and the magnitude is in the units of the components.
+ */
+exports.computeOrientation = function(x, y, z)
+{
+  return {
+    pitch: toDegrees(Math.atan2(-x, Math.sqrt(y * y + z * z))),
+    roll: toDegrees(Math.atan2(y, z)),
+    magnitude: computeMagnitude(x, y, z),
+    orientation: classifyOrientation(x, y, z)
+  };
+};
+
+/**
+ * @param {{x: number, y: number, z: number}} position
+ * @param {{x: number, y: number, z: number}} reference
+ * @returns {?number} The angle between the specified vectors in degrees or `null` if any of them is zero.
+ */
+exports.computeTilt = function(position, reference)
+{
+  const magnitude = computeMagnitude(position.x, position.y, position.z)
+    * computeMagnitude(reference.x, reference.y, reference.z);
+
+  if (magnitude === 0)
+  {
+    return null;
+  }
+
+  const cos = (position.x * reference.x + position.y * reference.y + position.z * reference.z) / magnitude;
+
+  return toDegrees(Math.acos(Math.min(Math.max(cos, -1), 1)));
+};
+
+/**
+ * @private
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {Orientation}
+ */
+function classifyOrientation(x, y, z)
+{
+  const magnitude = computeMagnitude(x, y, z);
+
+  if (magnitude === 0)
+  {
+    return Orientation.Unknown;
+  }
+
+  const threshold = magnitude * DOMINANT_AXIS_RATIO;
+
+  if (z >= threshold)
+  {
+    return Orientation.Upright;
+  }
+
+  if (-z >= threshold)
+  {
+    return Orientation.UpsideDown;
+  }
+
+  if (x >= threshold)
+  {
+    return Orientation.OnLeftSide;
+  }
+
+  if (-x >= threshold)
+  {
+    return Orientation.OnRightSide;
+  }
+
+  if (y >= threshold)
+  {
+    return Orientation.OnFront;
+  }
+
+  if (-y >= threshold)
+  {
+    return Orientation.OnBack;
+  }
+
+  return Orientation.Tilted;
+}
+
+/**
+ * @private
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number}
+ */
+function computeMagnitude(x, y, z)
+{
+  return Math.sqrt(x * x + y * y + z * z) || 0;
+}
+
+/**
+ * @private
+ * @param {number} radians
+ * @returns {number}
+ */
+function toDegrees(radians)
+{
+  return radians * 180 / Math.PI || 0;
+}
+
+/**
+ * @private
+ * @param {string} address
+ * @returns {string}
+ */
+function normalizeAddress(address)
+{
+  return String(address).toUpperCase();
+}
+
+/**
+ * @typedef {Object} ReferenceOrientationOptions
+ * @property {number} [tiltThreshold=45] The angle (in degrees) between the reference and the current
+ * orientation at which the device is considered tipped over.
+ */
+
+/**
+ * @typedef {Object} ReferenceOrientation
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ * @property {number} tiltThreshold
+ */
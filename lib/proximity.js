@@ -0,0 +1,217 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * The RSSI (in dBm) at 1 m used if neither a calibration nor a beacon frame with the measured power
+ * is available.
+ *
+ * @type {number}
+ */
+exports.DEFAULT_MEASURED_POWER = -59;
+
+/**
+ * Eddystone frames contain the RSSI at 0 m, which is about 41 dB higher than the RSSI at 1 m.
+ *
+ * @private
+ * @type {number}
+ */
+const EDDYSTONE_TX_POWER_LOSS_AT_1M = 41;
+
+/**
+ * @enum {string}
+ */
+const RssiFilterType = exports.RssiFilterType = {
+  MovingAverage: 'movingAverage',
+  Kalman: 'kalman'
+};
+
+/**
+ * @enum {string}
+ */
+const ProximityZone = exports.ProximityZone = {
+  Immediate: 'immediate',
+  Near: 'near',
+  Far: 'far'
+};
+
+/**
+ * @enum {string}
+ */
+exports.LocationMethod = {
+  Trilateration: 'trilateration',
+  Centroid: 'centroid'
+};
+
+/**
+ * @param {RssiFilterOptions} [options]
+ * @returns {RssiFilter}
+ * @throws {Error} If the specified filter type is invalid.
+ */
+exports.createRssiFilter = function(options)
+{
+  if (!options)
+  {
+    options = {};
+  }
+
+  const type = options.type || RssiFilterType.MovingAverage;
+
+  if (type === RssiFilterType.MovingAverage)
+  {
+    return createMovingAverageFilter(options.windowSize > 0 ? options.windowSize : 10);
+  }
+
+  if (type === RssiFilterType.Kalman)
+  {
+    return createKalmanFilter(
+      options.processNoise > 0 ? options.processNoise : 0.008,
+      options.measurementNoise > 0 ? options.measurementNoise : 4
+    );
+  }
+
+  throw new Error(`Cannot create RSSI filter: '${type}' is not a valid filter type!`);
+};
+
+/**
+ * Estimates the distance using the log-distance path loss model.
+ *
+ * @param {number} rssi The (smoothed) RSSI (in dBm).
+ * @param {number} measuredPower The RSSI at 1 m (in dBm).
+ * @param {number} [pathLossExponent=2] 2 in free space, 2.7-4 indoors.
+ * @returns {number} The distance (in m).
+ */
+exports.estimateDistance = function(rssi, measuredPower, pathLossExponent)
+{
+  if (!(pathLossExponent > 0))
+  {
+    pathLossExponent = 2;
+  }
+
+  return Math.pow(10, (measuredPower - rssi) / (10 * pathLossExponent));
+};
+
+/**
+ * @param {number} distance The distance (in m).
+ * @param {ProximityZoneThresholds} [thresholds]
+ * @returns {ProximityZone}
+ */
+exports.classifyProximityZone = function(distance, thresholds)
+{
+  const immediate = thresholds && thresholds.immediate > 0 ? thresholds.immediate : 0.5;
+  const near = thresholds && thresholds.near > 0 ? thresholds.near : 3;
+
+  if (distance < immediate)
+  {
+    return ProximityZone.Immediate;
+  }
+
+  if (distance < near)
+  {
+    return ProximityZone.Near;
+  }
+
+  return ProximityZone.Far;
+};
+
+/**
+ * Returns the RSSI at 1 m broadcast in the specified beacon frame.
+ *
+ * @param {Object} frame An iBeacon or Eddystone UID/URL frame decoded by the beacon decoders.
+ * @returns {?number}
+ */
+exports.getBeaconMeasuredPower = function(frame)
+{
+  if (typeof frame.measuredPower === 'number')
+  {
+    return frame.measuredPower;
+  }
+
+  if (typeof frame.txPower === 'number')
+  {
+    return frame.txPower - EDDYSTONE_TX_POWER_LOSS_AT_1M;
+  }
+
+  return null;
+};
+
+/**
+ * @private
+ * @param {number} windowSize
+ * @returns {RssiFilter}
+ */
+function createMovingAverageFilter(windowSize)
+{
+  const samples = [];
+  let sum = 0;
+
+  return {
+    update: function(rssi)
+    {
+      samples.push(rssi);
+      sum += rssi;
+
+      if (samples.length > windowSize)
+      {
+        sum -= samples.shift();
+      }
+
+      return sum / samples.length;
+    }
+  };
+}
+
+/**
+ * A one-dimensional Kalman filter of a (nearly) constant signal.
+ *
+ * @private
+ * @param {number} processNoise
+ * @param {number} measurementNoise
+ * @returns {RssiFilter}
+ */
+function createKalmanFilter(processNoise, measurementNoise)
+{
+  let estimate = null;
+  let errorCovariance = 1;
+
+  return {
+    update: function(rssi)
+    {
+      if (estimate === null)
+      {
+        estimate = rssi;
+        errorCovariance = measurementNoise;
+
+        return estimate;
+      }
+
+      errorCovariance += processNoise;
+
+      const gain = errorCovariance / (errorCovariance + measurementNoise);
+
+      estimate += gain * (rssi - estimate);
+      errorCovariance *= 1 - gain;
+
+      return estimate;
+    }
+  };
+}
+
+/**
+ * @typedef {Object} RssiFilter
+ * @property {function(number): number} update Adds the specified RSSI sample and returns the smoothed RSSI.
+ */
+
+/**
+ * @typedef {Object} RssiFilterOptions
+ * @property {RssiFilterType} [type=movingAverage]
+ * @property {number} [windowSize=10] The number of samples averaged by the moving average filter.
+ * @property {number} [processNoise=0.008] The process noise of the Kalman filter.
+ * @property {number} [measurementNoise=4] The measurement noise of the Kalman filter.
+ */
+
+/**
+ * @typedef {Object} ProximityZoneThresholds
+ * @property {number} [immediate=0.5] The distance (in m) below which the device is in the immediate zone.
+ * @property {number} [near=3] The distance (in m) below which the device is in the near zone.
+ */
@@ -0,0 +1,255 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * The device time (UNIX time in seconds; the high word first) of the Care Sensor MSD.
+ *
+ * @private
+ * @type {number}
+ */
+const TIME_OFFSET = 12;
+
+/**
+ * @private
+ * @type {{start: number, end: number}}
+ */
+const SIGNATURE = {start: 16, end: 24};
+
+/**
+ * The default maximum difference (in milliseconds) between the signed device time and the current time.
+ *
+ * @private
+ * @type {number}
+ */
+const DEFAULT_MAX_TIME_SKEW = 5 * 60 * 1000;
+
+/**
+ * The signature and encryption scheme of the iNode firmware isn't publicly documented, so there is no default
+ * scheme: it must be set with `setMsdSecurityScheme()` before MSD can be signed or verified.
+ *
+ * @private
+ * @type {?MsdSecurityScheme}
+ */
+let securityScheme = null;
+
+/**
+ * @private
+ * @type {Map<string, DeviceKey>}
+ */
+const deviceKeys = new Map();
+
+/**
+ * @param {?MsdSecurityScheme} scheme `null` removes the current scheme, so MSD are no longer verified.
+ * @throws {Error} If the specified scheme is invalid.
+ */
+exports.setMsdSecurityScheme = function(scheme)
+{
+  if (scheme === null)
+  {
+    securityScheme = null;
+
+    return;
+  }
+
+  if (!scheme || typeof scheme.sign !== 'function' || typeof scheme.decrypt !== 'function')
+  {
+    throw new Error('Cannot set iNode MSD security scheme: the sign() and decrypt() functions are required!');
+  }
+
+  securityScheme = scheme;
+};
+
+/**
+ * @param {string} address
+ * @param {(Buffer|string)} key A 16 bytes long AES-128 key (or a hex string).
+ * @param {DeviceKeyOptions} [options]
+ * @throws {Error} If the security scheme is not set or the specified key is not a valid AES-128 key.
+ */
+exports.registerDeviceKey = function(address, key, options)
+{
+  if (securityScheme === null)
+  {
+    throw new Error(
+      `Cannot register iNode device key of ${address}: set the security scheme with setMsdSecurityScheme() first!`
+    );
+  }
+
+  if (typeof key === 'string')
+  {
+    key = new Buffer(key, 'hex');
+  }
+
+  if (!Buffer.isBuffer(key) || key.length !== 16)
+  {
+    throw new Error(`Cannot register iNode device key: expected 16 bytes long AES-128 key for ${address}!`);
+  }
+
+  address = normalizeAddress(address);
+
+  deviceKeys.set(address, {
+    key: key,
+    encrypted: !!(options && options.encrypted),
+    maxTimeSkew: options && options.maxTimeSkew >= 0 ? options.maxTimeSkew : DEFAULT_MAX_TIME_SKEW
+  });
+};
+
+/**
+ * @param {string} address
+ * @returns {boolean}
+ */
+exports.unregisterDeviceKey = function(address)
+{
+  return deviceKeys.delete(normalizeAddress(address));
+};
+
+exports.unregisterAllDeviceKeys = function()
+{
+  deviceKeys.clear();
+};
+
+/**
+ * Encrypts (if requested) and signs the specified Care Sensor MSD buffer in place using the current
+ * security scheme.
+ *
+ * @param {Buffer} buffer
+ * @param {(Buffer|string)} key
+ * @param {DeviceKeyOptions} [options]
+ * @returns {Buffer}
+ * @throws {Error} If the security scheme is not set or encryption is requested, but the scheme can't encrypt.
+ */
+exports.signMsd = function(buffer, key, options)
+{
+  if (securityScheme === null)
+  {
+    throw new Error('Cannot sign iNode MSD: set the security scheme with setMsdSecurityScheme() first!');
+  }
+
+  if (typeof key === 'string')
+  {
+    key = new Buffer(key, 'hex');
+  }
+
+  if (options && options.encrypted)
+  {
+    if (typeof securityScheme.encrypt !== 'function')
+    {
+      throw new Error('Cannot sign iNode MSD: the current security scheme does not support encryption!');
+    }
+
+    securityScheme.encrypt(buffer, key);
+  }
+
+  securityScheme.sign(buffer, key).copy(buffer, SIGNATURE.start);
+
+  return buffer;
+};
+
+/**
+ * Verifies the signature of the specified Care Sensor MSD buffer using the key registered for the sender's
+ * address and decrypts the sensor values if needed. A correctly signed MSD is rejected if its device time
+ * differs from the current time by more than the `maxTimeSkew` of the key or if it's older than the last
+ * MSD of the device verified with the same `verifiedTimes` (MSD of the same second are accepted, because
+ * the same MSD may be received more than once and the values may change within a second).
+ *
+ * @param {Buffer} buffer
+ * @param {?string} address
+ * @param {function(): number} [now=Date.now]
+ * @param {?Map<string, number>} [verifiedTimes] The signed device times of the last verified MSD by address.
+ * Replayed MSD are detected only if specified.
+ * @returns {{verified: ?boolean, buffer: Buffer}} `verified` is `null` if the address is not known, no key
+ * is registered for it or the security scheme is not set.
+ */
+exports.unsealMsd = function(buffer, address, now, verifiedTimes)
+{
+  const deviceKey = address ? deviceKeys.get(normalizeAddress(address)) : null;
+
+  if (!deviceKey || securityScheme === null)
+  {
+    return {verified: null, buffer: buffer};
+  }
+
+  if (buffer.length < SIGNATURE.end || !verifySignature(buffer, deviceKey.key))
+  {
+    return {verified: false, buffer: buffer};
+  }
+
+  address = normalizeAddress(address);
+
+  const time = ((buffer.readUInt16LE(TIME_OFFSET) << 16) | buffer.readUInt16LE(TIME_OFFSET + 2)) >>> 0;
+
+  if (Math.abs((now || Date.now)() - time * 1000) > deviceKey.maxTimeSkew)
+  {
+    return {verified: false, buffer: buffer};
+  }
+
+  if (verifiedTimes)
+  {
+    if (verifiedTimes.has(address) && time < verifiedTimes.get(address))
+    {
+      return {verified: false, buffer: buffer};
+    }
+
+    verifiedTimes.set(address, time);
+  }
+
+  if (deviceKey.encrypted)
+  {
+    buffer = securityScheme.decrypt(new Buffer(buffer), deviceKey.key);
+  }
+
+  return {verified: true, buffer: buffer};
+};
+
+/**
+ * @private
+ * @param {string} address
+ * @returns {string}
+ */
+function normalizeAddress(address)
+{
+  return String(address).toUpperCase();
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {Buffer} key
+ * @returns {boolean}
+ */
+function verifySignature(buffer, key)
+{
+  const expected = securityScheme.sign(buffer, key);
+  let diff = expected.length === SIGNATURE.end - SIGNATURE.start ? 0 : 1;
+
+  for (let i = 0; i < expected.length; ++i)
+  {
+    diff |= expected[i] ^ buffer[SIGNATURE.start + i];
+  }
+
+  return diff === 0;
+}
+
+/**
+ * @typedef {Object} DeviceKey
+ * @property {Buffer} key
+ * @property {boolean} encrypted
+ * @property {number} maxTimeSkew
+ */
+
+/**
+ * @typedef {Object} DeviceKeyOptions
+ * @property {boolean} [encrypted=false] Whether the device encrypts its sensor values.
+ * @property {number} [maxTimeSkew=300000] The maximum difference (in milliseconds) between the signed device
+ * time and the current time (`Infinity` disables the check, e.g. when decoding old captures).
+ */
+
+/**
+ * @typedef {Object} MsdSecurityScheme
+ * @property {function(Buffer, Buffer): Buffer} sign Returns the 8 bytes long signature of the specified
+ * MSD buffer computed with the specified key.
+ * @property {function(Buffer, Buffer): Buffer} decrypt Decrypts the sensor values of the specified MSD buffer
+ * in place and returns it.
+ * @property {function(Buffer, Buffer): Buffer} [encrypt] Encrypts the sensor values of the specified MSD buffer
+ * in place and returns it (used only by `signMsd()`).
+ */
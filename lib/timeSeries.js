@@ -0,0 +1,367 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('./index');
+
+const EirDataType = btHci.EirDataType;
+
+/**
+ * MSD properties that describe the MSD itself or duplicate other fields.
+ *
+ * @private
+ * @type {Array<string>}
+ */
+const EXCLUDED_MSD_PROPERTIES = [
+  'type',
+  'typeLabel',
+  'companyIdentifier',
+  'model',
+  'modelLabel',
+  'raw',
+  'precise',
+  'units'
+];
+
+/**
+ * Flattens the numeric and boolean fields of the specified iNode MSD. The fields listed in the device model
+ * definition come first, followed by the other fields (e.g. the derived metrics). Nested fields are joined
+ * with `_` and all names are converted to snake_case (e.g. `alarms.lowBattery` to `alarms_low_battery`),
+ * so that every exporter uses the same names. `Date`, `Buffer`, string and non-finite values are skipped.
+ *
+ * @param {INodeDeviceMsd} msd
+ * @returns {Array<TimeSeriesField>}
+ */
+exports.flattenMsdFields = function(msd)
+{
+  const deviceModel = iNodeHci.deviceModels[msd.model];
+  const propertyNames = deviceModel ? deviceModel.fieldNames.slice() : [];
+
+  Object.keys(msd).forEach(propertyName =>
+  {
+    if (propertyNames.indexOf(propertyName) === -1)
+    {
+      propertyNames.push(propertyName);
+    }
+  });
+
+  const fields = [];
+
+  propertyNames.forEach(propertyName =>
+  {
+    if (EXCLUDED_MSD_PROPERTIES.indexOf(propertyName) === -1)
+    {
+      flattenValue(fields, toSnakeCase(propertyName), msd[propertyName]);
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Formats every iNode MSD of the specified advertising reports (or the specified iNode MSD objects) as a line
+ * of the InfluxDB line protocol. The measurement is named after the device model (e.g. `inode_care_sensor_ht`),
+ * the address, device model and local name (if advertised) are tags and the MSD fields (and the RSSI)
+ * are fields. Lines are timestamped (in nanoseconds) with the `time` of the report, if available.
+ *
+ * @param {(AdvertisingReport|INodeDeviceMsd|Array<(AdvertisingReport|INodeDeviceMsd)>)} reports
+ * @param {InfluxLineProtocolOptions} [options]
+ * @returns {string}
+ */
+exports.formatInfluxLineProtocol = function(reports, options)
+{
+  if (!options)
+  {
+    options = {};
+  }
+
+  const prefix = typeof options.prefix === 'string' ? options.prefix : 'inode_';
+  const lines = [];
+
+  collectSamples(reports).forEach(sample =>
+  {
+    const fields = sample.fields
+      .map(field => `${escapeInfluxKey(field.name)}=${formatInfluxFieldValue(field.value)}`)
+      .join(',');
+
+    if (fields === '')
+    {
+      return;
+    }
+
+    const tags = Object.keys(options.tags || {})
+      .map(tagKey => ({key: tagKey, value: options.tags[tagKey]}))
+      .concat(sample.tags)
+      .filter(tag => tag.value != null && tag.value !== '')
+      .map(tag => `,${escapeInfluxKey(tag.key)}=${escapeInfluxKey(String(tag.value))}`)
+      .join('');
+    let line = `${escapeInfluxMeasurement(prefix + sample.modelName)}${tags} ${fields}`;
+
+    if (sample.time !== null)
+    {
+      // Nanoseconds don't fit in the safe integer range
+      line += sample.time === 0 ? ' 0' : ` ${sample.time}000000`;
+    }
+
+    lines.push(line);
+  });
+
+  return lines.map(line => `${line}\n`).join('');
+};
+
+/**
+ * Formats the latest values of every device (the address and device model pair) of the specified advertising
+ * reports (or iNode MSD objects) in the Prometheus text exposition format. Every MSD field is a gauge named
+ * `inode_<field>` (e.g. `inode_battery_level`) with the `address`, `model` and `name` (if advertised) labels.
+ * Booleans are exposed as `0` and `1`.
+ *
+ * @param {(AdvertisingReport|INodeDeviceMsd|Array<(AdvertisingReport|INodeDeviceMsd)>)} reports
+ * @param {PrometheusMetricsOptions} [options]
+ * @returns {string}
+ */
+exports.formatPrometheusMetrics = function(reports, options)
+{
+  if (!options)
+  {
+    options = {};
+  }
+
+  const prefix = typeof options.prefix === 'string' ? options.prefix : 'inode_';
+  const latestSamples = new Map();
+
+  collectSamples(reports).forEach(sample =>
+  {
+    const deviceKey = `${sample.address}#${sample.modelName}`;
+    const latestSample = latestSamples.get(deviceKey);
+
+    if (!latestSample || sample.time === null || latestSample.time === null || sample.time >= latestSample.time)
+    {
+      latestSamples.set(deviceKey, sample);
+    }
+  });
+
+  const metrics = new Map();
+
+  latestSamples.forEach(sample =>
+  {
+    const labels = Object.keys(options.labels || {})
+      .map(labelName => ({key: labelName, value: options.labels[labelName]}))
+      .concat(sample.tags)
+      .filter(label => label.value != null && label.value !== '')
+      .map(label => `${label.key}="${escapePrometheusLabelValue(String(label.value))}"`)
+      .join(',');
+    const timestamp = options.timestamps && sample.time !== null ? ` ${sample.time}` : '';
+
+    sample.fields.forEach(field =>
+    {
+      const metricName = prefix + field.name;
+
+      if (!metrics.has(metricName))
+      {
+        metrics.set(metricName, []);
+      }
+
+      metrics.get(metricName).push(`${metricName}{${labels}} ${+field.value}${timestamp}`);
+    });
+  });
+
+  const lines = [];
+
+  metrics.forEach((samples, metricName) =>
+  {
+    lines.push(`# TYPE ${metricName} gauge`);
+    lines.push.apply(lines, samples);
+  });
+
+  return lines.map(line => `${line}\n`).join('');
+};
+
+/**
+ * @private
+ * @param {(AdvertisingReport|INodeDeviceMsd|Array<(AdvertisingReport|INodeDeviceMsd)>)} reports
+ * @returns {Array<TimeSeriesSample>}
+ */
+function collectSamples(reports)
+{
+  const samples = [];
+
+  (Array.isArray(reports) ? reports : [reports]).forEach(report =>
+  {
+    if (!Array.isArray(report.data))
+    {
+      if (typeof report.model === 'number')
+      {
+        samples.push(createSample(null, report));
+      }
+
+      return;
+    }
+
+    report.data.forEach(eirData =>
+    {
+      if (eirData.type === EirDataType.ManufacturerSpecificData && typeof eirData.model === 'number')
+      {
+        samples.push(createSample(report, eirData));
+      }
+    });
+  });
+
+  return samples;
+}
+
+/**
+ * @private
+ * @param {?AdvertisingReport} report
+ * @param {INodeDeviceMsd} msd
+ * @returns {TimeSeriesSample}
+ */
+function createSample(report, msd)
+{
+  const deviceModel = iNodeHci.deviceModels[msd.model];
+  const modelName = deviceModel && deviceModel.name
+    ? toSnakeCase(deviceModel.name)
+    : `0x${(msd.model < 0x10 ? '0' : '') + msd.model.toString(16)}`;
+  const address = report && report.address ? report.address.toUpperCase() : null;
+  const fields = exports.flattenMsdFields(msd);
+
+  if (report && typeof report.rssi === 'number' && report.rssi < 127)
+  {
+    fields.push({name: 'rssi', value: report.rssi});
+  }
+
+  return {
+    address: address,
+    modelName: modelName,
+    time: report && report.time instanceof Date ? report.time.getTime() : null,
+    tags: [
+      {key: 'address', value: address},
+      {key: 'model', value: deviceModel && deviceModel.name ? deviceModel.name : modelName},
+      {key: 'name', value: report ? findLocalName(report) : null}
+    ],
+    fields: fields
+  };
+}
+
+/**
+ * @private
+ * @param {AdvertisingReport} report
+ * @returns {?string}
+ */
+function findLocalName(report)
+{
+  for (let i = 0; i < report.data.length; ++i)
+  {
+    const eirData = report.data[i];
+
+    if ((eirData.type === EirDataType.LocalNameComplete || eirData.type === EirDataType.LocalNameShort)
+      && typeof eirData.value === 'string'
+      && eirData.value !== '')
+    {
+      return eirData.value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param {Array<TimeSeriesField>} fields
+ * @param {string} name
+ * @param {*} value
+ */
+function flattenValue(fields, name, value)
+{
+  if (typeof value === 'boolean' || (typeof value === 'number' && isFinite(value)))
+  {
+    fields.push({name: name, value: value});
+  }
+  else if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date))
+  {
+    Object.keys(value).forEach(key => flattenValue(fields, `${name}_${toSnakeCase(key)}`, value[key]));
+  }
+}
+
+/**
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function toSnakeCase(name)
+{
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9_]+/g, '_')
+    .toLowerCase();
+}
+
+/**
+ * @private
+ * @param {(number|boolean)} value
+ * @returns {string}
+ */
+function formatInfluxFieldValue(value)
+{
+  return typeof value === 'boolean' ? String(value) : String(+value);
+}
+
+/**
+ * @private
+ * @param {string} measurement
+ * @returns {string}
+ */
+function escapeInfluxMeasurement(measurement)
+{
+  return measurement.replace(/([, ])/g, '\\$1');
+}
+
+/**
+ * @private
+ * @param {string} key
+ * @returns {string}
+ */
+function escapeInfluxKey(key)
+{
+  return key.replace(/([,= ])/g, '\\$1');
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+function escapePrometheusLabelValue(value)
+{
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * @typedef {Object} TimeSeriesField
+ * @property {string} name
+ * @property {(number|boolean)} value
+ */
+
+/**
+ * @private
+ * @typedef {Object} TimeSeriesSample
+ * @property {?string} address
+ * @property {string} modelName
+ * @property {?number} time UNIX time in milliseconds.
+ * @property {Array<{key: string, value: ?string}>} tags
+ * @property {Array<TimeSeriesField>} fields
+ */
+
+/**
+ * @typedef {Object} InfluxLineProtocolOptions
+ * @property {string} [prefix=inode_] The prefix of the measurement names.
+ * @property {Object<string, string>} [tags] Additional tags of every line (e.g. the gateway ID).
+ */
+
+/**
+ * @typedef {Object} PrometheusMetricsOptions
+ * @property {string} [prefix=inode_] The prefix of the metric names.
+ * @property {Object<string, string>} [labels] Additional labels of every sample (e.g. the gateway ID).
+ * @property {boolean} [timestamps=false] Whether to add the `time` of the report to every sample.
+ */
@@ -0,0 +1,294 @@
+// Part of <https://miracle.systems/p/h5.bluetooth.hci.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * @enum {string}
+ */
+const TemperatureUnit = exports.TemperatureUnit = {
+  Celsius: '°C',
+  Fahrenheit: '°F',
+  Kelvin: 'K'
+};
+
+/**
+ * @enum {string}
+ */
+const PressureUnit = exports.PressureUnit = {
+  Hectopascal: 'hPa',
+  InchOfMercury: 'inHg',
+  MillimetreOfMercury: 'mmHg'
+};
+
+/**
+ * @enum {string}
+ */
+const EnergyUnit = exports.EnergyUnit = {
+  WattHour: 'Wh',
+  KilowattHour: 'kWh',
+  MegawattHour: 'MWh'
+};
+
+/**
+ * @enum {string}
+ */
+const PowerUnit = exports.PowerUnit = {
+  Watt: 'W',
+  Kilowatt: 'kW',
+  Megawatt: 'MW'
+};
+
+/**
+ * @enum {string}
+ */
+const VolumeUnit = exports.VolumeUnit = {
+  CubicMetre: 'm³',
+  Litre: 'l'
+};
+
+/**
+ * @enum {string}
+ */
+const VoltageUnit = exports.VoltageUnit = {
+  Volt: 'V',
+  Millivolt: 'mV'
+};
+
+/**
+ * Converters from the units used by the decoders (the first unit of each quantity) to the other units.
+ *
+ * @private
+ * @type {Object<string, Object<string, function(number): number>>}
+ */
+const converters = {
+  temperature: {
+    [TemperatureUnit.Celsius]: value => value,
+    [TemperatureUnit.Fahrenheit]: value => value * 9 / 5 + 32,
+    [TemperatureUnit.Kelvin]: value => value + 273.15
+  },
+  pressure: {
+    [PressureUnit.Hectopascal]: value => value,
+    [PressureUnit.InchOfMercury]: value => value / 33.8639,
+    [PressureUnit.MillimetreOfMercury]: value => value / 1.333224
+  },
+  energy: {
+    [EnergyUnit.KilowattHour]: value => value,
+    [EnergyUnit.WattHour]: value => value * 1000,
+    [EnergyUnit.MegawattHour]: value => value / 1000
+  },
+  power: {
+    [PowerUnit.Kilowatt]: value => value,
+    [PowerUnit.Watt]: value => value * 1000,
+    [PowerUnit.Megawatt]: value => value / 1000
+  },
+  volume: {
+    [VolumeUnit.CubicMetre]: value => value,
+    [VolumeUnit.Litre]: value => value * 1000
+  },
+  voltage: {
+    [VoltageUnit.Volt]: value => value,
+    [VoltageUnit.Millivolt]: value => value * 1000
+  }
+};
+
+/**
+ * @private
+ * @type {Object<string, Array<string>>}
+ */
+const quantityFields = {
+  temperature: ['temperature', 'dewPoint', 'heatIndex'],
+  pressure: ['pressure', 'seaLevelPressure'],
+  voltage: ['batteryVoltage']
+};
+
+/**
+ * The units of the fields that are not convertible.
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const fixedUnits = {
+  humidity: '%',
+  absoluteHumidity: 'g/m³',
+  altitude: 'm',
+  batteryLevel: '%',
+  lightLevel: '%'
+};
+
+/**
+ * Converts the values of the decoded MSD to the specified units (in place) and records the unit of every
+ * field with a unit in the `units` object of the MSD. The `precise` and `raw` values are left in the units
+ * used by the decoder, so the converted MSD can still be encoded.
+ *
+ * @param {Object} msd
+ * @param {UnitOptions} units
+ * @param {function(number): number} round
+ * @throws {Error} If any of the specified units is invalid.
+ */
+exports.convertUnits = function(msd, units, round)
+{
+  const msdUnits = {};
+
+  Object.keys(quantityFields).forEach(quantity =>
+  {
+    const unit = resolveUnit(units, quantity);
+
+    quantityFields[quantity].forEach(field =>
+    {
+      if (typeof msd[field] !== 'number')
+      {
+        return;
+      }
+
+      convertField(msd, field, converters[quantity][unit], round);
+
+      msdUnits[field] = unit;
+    });
+  });
+
+  Object.keys(fixedUnits).forEach(field =>
+  {
+    if (typeof msd[field] === 'number')
+    {
+      msdUnits[field] = fixedUnits[field];
+    }
+  });
+
+  if (typeof msd.sum === 'number')
+  {
+    convertEnergyMeterFields(msd, units, msdUnits);
+  }
+
+  msd.units = msdUnits;
+};
+
+/**
+ * Converts the specified Energy Meter `sum` back from the specified unit (recorded in `msd.units.sum`)
+ * to the unit used by the decoder (kWh, m³ or counts).
+ *
+ * @param {number} value
+ * @param {string} unit
+ * @returns {number}
+ * @throws {Error} If the specified unit is not a valid Energy Meter `sum` unit.
+ */
+exports.revertEnergyMeterSum = function(value, unit)
+{
+  if (unit === 'cnt')
+  {
+    return value;
+  }
+
+  const convert = converters.energy[unit] || converters.volume[unit];
+
+  if (!convert)
+  {
+    throw new Error(`Cannot revert iNode Energy Meter sum: '${unit}' is not a valid energy or volume unit!`);
+  }
+
+  // Energy and volume conversions only scale the value
+  return value / convert(1);
+};
+
+/**
+ * @private
+ * @param {Object} msd
+ * @param {UnitOptions} units
+ * @param {Object<string, string>} msdUnits
+ */
+function convertEnergyMeterFields(msd, units, msdUnits)
+{
+  if (msd.unit === 0)
+  {
+    const powerUnit = resolveUnit(units, 'power');
+    const energyUnit = resolveUnit(units, 'energy');
+    const convertPower = converters.power[powerUnit];
+    const convertEnergy = converters.energy[energyUnit];
+
+    convertField(msd, 'average', convertPower, createEnergyMeterRound(convertPower));
+    convertField(msd, 'sum', convertEnergy, createEnergyMeterRound(convertEnergy));
+
+    msd.averageUnit = powerUnit;
+    msd.sumUnit = energyUnit;
+  }
+  else if (msd.unit === 1)
+  {
+    const unit = resolveUnit(units, 'volume');
+    const convertVolume = converters.volume[unit];
+    const round = createEnergyMeterRound(convertVolume);
+
+    convertField(msd, 'average', convertVolume, round);
+    convertField(msd, 'sum', convertVolume, round);
+
+    msd.averageUnit = unit;
+    msd.sumUnit = unit;
+  }
+
+  msdUnits.average = msd.averageUnit;
+  msdUnits.sum = msd.sumUnit;
+}
+
+/**
+ * @private
+ * @param {Object} msd
+ * @param {string} field
+ * @param {function(number): number} convert
+ * @param {function(number): number} round
+ */
+function convertField(msd, field, convert, round)
+{
+  if (typeof msd[field] === 'number')
+  {
+    msd[field] = round(convert(msd[field]));
+  }
+}
+
+/**
+ * Energy Meter values are decoded with 3 decimal places, so the converted values are rounded to the same
+ * absolute precision (e.g. 0 decimal places for Wh and 6 for MWh) instead of the `precision` option.
+ *
+ * @private
+ * @param {function(number): number} convert
+ * @returns {function(number): number}
+ */
+function createEnergyMeterRound(convert)
+{
+  const decimalPlaces = Math.max(0, 3 - Math.round(Math.log10(convert(1))));
+  const multiplier = Math.pow(10, decimalPlaces);
+
+  return value => Math.round(value * multiplier) / multiplier;
+}
+
+/**
+ * @private
+ * @param {UnitOptions} units
+ * @param {string} quantity
+ * @returns {string}
+ * @throws {Error} If the unit of the specified quantity is invalid.
+ */
+function resolveUnit(units, quantity)
+{
+  const unitConverters = converters[quantity];
+  const unit = units[quantity];
+
+  if (unit == null)
+  {
+    return Object.keys(unitConverters)[0];
+  }
+
+  if (!unitConverters[unit])
+  {
+    throw new Error(`Cannot convert iNode MSD: '${unit}' is not a valid ${quantity} unit!`);
+  }
+
+  return unit;
+}
+
+/**
+ * @typedef {Object} UnitOptions
+ * @property {TemperatureUnit} [temperature=°C] The unit of `temperature`, `dewPoint` and `heatIndex`.
+ * @property {PressureUnit} [pressure=hPa] The unit of `pressure` and `seaLevelPressure`.
+ * @property {PowerUnit} [power=kW] The unit of `average` of Energy Meters measuring electricity.
+ * @property {EnergyUnit} [energy=kWh] The unit of `sum` of Energy Meters measuring electricity.
+ * @property {VolumeUnit} [volume=m³] The unit of `average` and `sum` of Energy Meters measuring gas or water.
+ * @property {VoltageUnit} [voltage=V] The unit of `batteryVoltage`.
+ */
@@ -0,0 +1,165 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const ADDRESS = '00:12:6F:00:00:01';
+
+function createMsd(counter, options)
+{
+  const buffer = iNodeHci.encodeMsd({
+    model: iNodeHci.DeviceModel.EnergyMeter,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    unit: 0,
+    constant: 1000,
+    sum: counter / 1000
+  });
+
+  return iNodeHci.decodeMsd(buffer, null, Object.assign({raw: true}, options));
+}
+
+test('EnergyMeterAccumulator accumulates the deltas of the counter', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator();
+
+  accumulator.updateMsd(ADDRESS, createMsd(1000), 0);
+  accumulator.updateMsd(ADDRESS, createMsd(2500), 60000);
+
+  const reading = accumulator.updateMsd(ADDRESS, createMsd(4000), 120000);
+
+  t.equal(reading.delta, 1.5);
+  t.equal(accumulator.getMeter(ADDRESS).total, 3);
+  t.equal(accumulator.getMeter(ADDRESS).unitLabel, 'kWh');
+  t.equal(accumulator.getConsumption(ADDRESS, 30000, 90000), 1.5);
+  t.end();
+});
+
+test('EnergyMeterAccumulator handles counter rollovers', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator();
+  const events = [];
+
+  accumulator.on('rollover', () => events.push('rollover'));
+  accumulator.on('reset', () => events.push('reset'));
+
+  accumulator.updateMsd(ADDRESS, createMsd(0xFFFFFFFF - 499), 0);
+
+  const reading = accumulator.updateMsd(ADDRESS, createMsd(500), 60000);
+
+  t.equal(reading.rollover, true);
+  t.equal(reading.delta, 1);
+  t.equal(accumulator.getMeter(ADDRESS).rollovers, 1);
+  t.deepEqual(events, ['rollover']);
+  t.end();
+});
+
+test('EnergyMeterAccumulator handles counter resets', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator();
+  const events = [];
+
+  accumulator.on('rollover', () => events.push('rollover'));
+  accumulator.on('reset', () => events.push('reset'));
+
+  accumulator.updateMsd(ADDRESS, createMsd(5000000), 0);
+
+  const reading = accumulator.updateMsd(ADDRESS, createMsd(2000), 60000);
+
+  t.equal(reading.reset, true);
+  t.equal(reading.delta, 2);
+  t.equal(accumulator.getMeter(ADDRESS).resets, 1);
+  t.deepEqual(events, ['reset']);
+  t.end();
+});
+
+test('EnergyMeterAccumulator treats a drop of a counter above 2^31 to a small value as a reset', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator();
+
+  accumulator.updateMsd(ADDRESS, createMsd(0x90000000), 0);
+
+  const reading = accumulator.updateMsd(ADDRESS, createMsd(2000), 60000);
+
+  t.equal(reading.reset, true);
+  t.equal(reading.rollover, false);
+  t.equal(reading.delta, 2);
+  t.end();
+});
+
+test('EnergyMeterAccumulator honors the maxRolloverDelta option', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator({maxRolloverDelta: 100});
+
+  accumulator.updateMsd(ADDRESS, createMsd(0xFFFFFFFF - 49), 0);
+
+  t.equal(accumulator.updateMsd(ADDRESS, createMsd(50), 60000).rollover, true);
+  t.equal(accumulator.updateMsd(ADDRESS, createMsd(0), 120000).reset, true);
+  t.end();
+});
+
+test('EnergyMeterAccumulator ignores readings older than the last one', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator();
+
+  accumulator.updateMsd(ADDRESS, createMsd(2000), 60000);
+
+  t.equal(accumulator.updateMsd(ADDRESS, createMsd(1000), 0), null);
+  t.equal(accumulator.getMeter(ADDRESS).counter, 2000);
+  t.end();
+});
+
+test('EnergyMeterAccumulator ignores the previous-day totals of invalid week days', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator();
+  const msd = createMsd(1000);
+
+  msd.weekDay = 7;
+
+  accumulator.updateMsd(ADDRESS, msd, 0);
+
+  t.deepEqual(accumulator.getDailyTotals(ADDRESS), []);
+  t.end();
+});
+
+test('EnergyMeterAccumulator uses the raw counter of meters scaled by a function', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator();
+  const options = {energyMeter: {scale: value => value * 2 + 1}};
+  const first = createMsd(1000, options);
+  const second = createMsd(2500, options);
+
+  t.equal(first.scale, null);
+
+  accumulator.updateMsd(ADDRESS, first, 0);
+
+  t.equal(accumulator.updateMsd(ADDRESS, second, 60000).delta, 1.5);
+
+  delete second.raw;
+
+  t.throws(() => accumulator.updateMsd(ADDRESS, second, 120000), /raw option/);
+  t.end();
+});
+
+test('EnergyMeterAccumulator converts the sum decoded with the units option back', t =>
+{
+  const accumulator = new iNodeHci.EnergyMeterAccumulator();
+  const units = {units: {energy: iNodeHci.EnergyUnit.MegawattHour}};
+  const convertedMsd = counter =>
+  {
+    const msd = createMsd(counter, units);
+
+    delete msd.raw;
+
+    return msd;
+  };
+
+  accumulator.updateMsd(ADDRESS, convertedMsd(1000), 0);
+
+  const reading = accumulator.updateMsd(ADDRESS, convertedMsd(2500), 60000);
+
+  t.equal(reading.counter, 2500);
+  t.equal(reading.delta, 1.5);
+  t.end();
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+const PassThrough = require('stream').PassThrough;
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const GSM_TIME = 1514764800;
+
+function createGsmData()
+{
+  const buffer = iNodeHci.encodeMsd({
+    model: DeviceModel.CareSensorHT,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    temperature: 21.5,
+    humidity: 40,
+    time: new Date(GSM_TIME * 1000)
+  });
+
+  return iNodeHci.encodeGsmData([{address: '00:12:6F:00:00:01', rssi: -70, data: [iNodeHci.decodeMsd(buffer)]}]);
+}
+
+function createRequest(method, url, headers)
+{
+  const req = new PassThrough();
+
+  req.method = method;
+  req.url = url;
+  req.headers = headers || {};
+  req.socket = {remoteAddress: '127.0.0.1'};
+
+  return req;
+}
+
+function request(handler, req, chunks, done)
+{
+  const res = {
+    statusCode: 0,
+    headers: {},
+    body: null,
+    setHeader: (name, value) => { res.headers[name] = value; },
+    end: body =>
+    {
+      res.body = body;
+
+      setImmediate(done, res);
+    }
+  };
+
+  handler.handle(req, res);
+
+  chunks.forEach(chunk => req.write(chunk));
+  req.end();
+}
+
+test('GsmRequestHandler decodes valid uploads', t =>
+{
+  const handler = new iNodeHci.GsmRequestHandler({path: '/inode'});
+  const gsmData = createGsmData();
+  const req = createRequest('POST', `/inode?time=${GSM_TIME}&imei=1&imei=2`, {
+    'content-length': String(gsmData.length)
+  });
+  const uploads = [];
+  const reports = [];
+
+  handler.on('upload', upload => uploads.push(upload));
+  handler.on('report', report => reports.push(report));
+
+  request(handler, req, [gsmData.slice(0, 5), gsmData.slice(5)], res =>
+  {
+    t.equal(res.statusCode, 200);
+    t.equal(res.body, 'OK');
+    t.equal(uploads.length, 1);
+    t.deepEqual(uploads[0].query, {time: String(GSM_TIME), imei: '1'});
+    t.equal(uploads[0].gsmTime, GSM_TIME);
+    t.equal(uploads[0].remoteAddress, '127.0.0.1');
+    t.deepEqual(uploads[0].gsmData, gsmData);
+    t.equal(reports.length, 1);
+    t.equal(reports[0].address, '00:12:6F:00:00:01');
+    t.end();
+  });
+});
+
+test('GsmRequestHandler rejects invalid requests', t =>
+{
+  const handler = new iNodeHci.GsmRequestHandler({path: '/inode', maxContentLength: 10, requireContentLength: true});
+  const rejections = [];
+  const cases = [
+    [createRequest('POST', '/other'), 404],
+    [createRequest('GET', '/inode'), 405],
+    [createRequest('POST', '/inode?time=abc'), 400],
+    [createRequest('POST', `/inode?time=${GSM_TIME}`, {'content-length': '1x'}), 400],
+    [createRequest('POST', `/inode?time=${GSM_TIME}`), 411],
+    [createRequest('POST', `/inode?time=${GSM_TIME}`, {'content-length': '11'}), 413]
+  ];
+
+  handler.on('requestRejected', statusCode => rejections.push(statusCode));
+
+  let i = 0;
+
+  function next()
+  {
+    if (i === cases.length)
+    {
+      t.deepEqual(rejections, cases.map(c => c[1]));
+      t.end();
+
+      return;
+    }
+
+    const req = cases[i][0];
+    const expectedStatusCode = cases[i][1];
+
+    ++i;
+
+    request(handler, req, [new Buffer(20)], res =>
+    {
+      t.equal(res.statusCode, expectedStatusCode, `${req.method} ${req.url}`);
+      t.equal(res.headers.Connection, 'close');
+      next();
+    });
+  }
+
+  next();
+});
+
+test('GsmRequestHandler passes the requests to other paths to next', t =>
+{
+  const handler = new iNodeHci.GsmRequestHandler({path: '/inode'});
+
+  handler.handle(createRequest('POST', '/other?time=1'), {}, () =>
+  {
+    t.pass('next() was called');
+    t.end();
+  });
+});
+
+test('GsmRequestHandler discards the body after rejecting a too long request', t =>
+{
+  const handler = new iNodeHci.GsmRequestHandler({maxContentLength: 10});
+  const req = createRequest('POST', `/?time=${GSM_TIME}`);
+  let rejected = 0;
+  let statusCode = 0;
+
+  handler.on('requestRejected', () => ++rejected);
+  handler.on('upload', () => t.fail('the upload was decoded'));
+
+  req.on('end', () => setImmediate(() =>
+  {
+    t.equal(statusCode, 413);
+    t.equal(rejected, 1);
+    t.equal(req.listenerCount('data'), 0);
+    t.end();
+  }));
+
+  request(handler, req, [new Buffer(8), new Buffer(8), new Buffer(8)], res =>
+  {
+    statusCode = res.statusCode;
+  });
+});
+
+test('GsmRequestHandler discards the body of a request rejected before reading it', t =>
+{
+  const handler = new iNodeHci.GsmRequestHandler({maxContentLength: 10});
+  const req = createRequest('POST', `/?time=${GSM_TIME}`, {'content-length': '24'});
+
+  t.plan(2);
+
+  // The body is read to the end only if it's discarded
+  req.on('end', () => t.pass('the body was discarded'));
+
+  request(handler, req, [new Buffer(24)], res => t.equal(res.statusCode, 413));
+});
+
+test('GsmRequestHandler emits the errors thrown by the upload listeners', t =>
+{
+  const handler = new iNodeHci.GsmRequestHandler();
+  const gsmData = createGsmData();
+  const errors = [];
+
+  handler.on('upload', () => { throw new Error('Listener failed.'); });
+  handler.on('error', err => errors.push(err.message));
+
+  request(handler, createRequest('POST', `/?time=${GSM_TIME}`), [gsmData], res =>
+  {
+    t.equal(res.statusCode, 200);
+    t.deepEqual(errors, ['Listener failed.']);
+    t.end();
+  });
+});
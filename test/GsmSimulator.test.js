@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const GSM_TIME = 1514764800;
+
+test('GsmSimulator timestamps every upload with the current time', t =>
+{
+  let now = GSM_TIME * 1000;
+  const simulator = new iNodeHci.GsmSimulator({
+    now: () => now,
+    devices: [{
+      address: '00:12:6F:00:00:01',
+      rssi: -65,
+      msd: {model: DeviceModel.CareSensorT, temperature: -18},
+      update: msd => { msd.temperature += 1; }
+    }]
+  });
+  const times = [];
+  const temperatures = [];
+
+  for (let i = 0; i < 3; ++i)
+  {
+    const upload = simulator.generate();
+    const report = iNodeHci.decodeGsmData(upload.gsmTime, upload.gsmData)[0];
+    const msd = report.data.find(eirData => eirData.model === DeviceModel.CareSensorT);
+
+    t.equal(report.rssi, -65);
+
+    times.push(msd.time.getTime());
+    temperatures.push(msd.temperature);
+
+    now += 60000;
+  }
+
+  t.deepEqual(times, [0, 60000, 120000].map(offset => GSM_TIME * 1000 + offset));
+  t.deepEqual(temperatures, [-17, -16, -15]);
+  t.end();
+});
+
+test('GsmSimulator emits the uploads of the added devices', t =>
+{
+  const simulator = new iNodeHci.GsmSimulator({now: () => GSM_TIME * 1000});
+  const uploads = [];
+
+  simulator.on('data', (gsmTime, gsmData) => uploads.push(iNodeHci.decodeGsmData(gsmTime, gsmData)));
+
+  simulator.addDevice({address: '00:12:6F:00:00:01', msd: {model: DeviceModel.CareSensorT, temperature: 5}});
+  simulator.addDevice({address: '00:12:6F:00:00:02', msd: {model: DeviceModel.CareSensorT, temperature: 6}});
+  simulator.upload();
+
+  t.equal(simulator.removeDevice('00:12:6F:00:00:01'), true);
+  t.equal(simulator.removeDevice('00:12:6F:00:00:01'), false);
+
+  simulator.upload();
+
+  t.deepEqual(uploads.map(reports => reports.map(report => report.address)), [
+    ['00:12:6F:00:00:01', '00:12:6F:00:00:02'],
+    ['00:12:6F:00:00:02']
+  ]);
+  t.end();
+});
+
+test('GsmSimulator emits the error event if a reading cannot be encoded', t =>
+{
+  const simulator = new iNodeHci.GsmSimulator({
+    devices: [{
+      address: '00:12:6F:00:00:01',
+      msd: {model: DeviceModel.CareSensorPT, temperature: 0},
+      update: msd => { msd.temperature -= 100; }
+    }]
+  });
+  const errors = [];
+
+  simulator.on('data', () => t.fail('data emitted'));
+  simulator.on('error', err => errors.push(err));
+
+  t.equal(simulator.upload(), null);
+  t.equal(errors.length, 1);
+  t.ok(errors[0] instanceof RangeError);
+  t.end();
+});
+
+test('GsmSimulator keeps the RSSI of 0', t =>
+{
+  const simulator = new iNodeHci.GsmSimulator({
+    devices: [{address: '00:12:6F:00:00:01', rssi: 0, msd: {model: DeviceModel.CareSensorT, temperature: 5}}]
+  });
+  const upload = simulator.generate();
+
+  t.equal(iNodeHci.decodeGsmData(upload.gsmTime, upload.gsmData)[0].rssi, 0);
+  t.end();
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const ADDRESS = '00:12:6F:00:00:01';
+
+function createReport(time, values)
+{
+  const buffer = iNodeHci.encodeMsd(Object.assign({
+    model: DeviceModel.CareSensor1,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    position: {motion: false, x: 0, y: 0, z: 15},
+    time: new Date(time)
+  }, values));
+
+  return {
+    address: ADDRESS,
+    rssi: -70,
+    time: new Date(time),
+    data: [{type: 0x09, value: 'Freezer'}, iNodeHci.decodeMsd(buffer)]
+  };
+}
+
+function recordEvents(registry)
+{
+  const events = [];
+
+  [
+    'deviceSeen', 'deviceLost', 'alarmRaised', 'alarmCleared', 'motionStarted', 'motionStopped', 'batteryLevelDropped'
+  ].forEach(eventName =>
+  {
+    registry.on(eventName, function(device, value)
+    {
+      events.push(arguments.length > 1 ? `${eventName}:${value}` : eventName);
+    });
+  });
+
+  return events;
+}
+
+test('INodeDeviceRegistry emits the changes of the device state', t =>
+{
+  const registry = new iNodeHci.INodeDeviceRegistry({now: () => 0});
+  const events = recordEvents(registry);
+
+  registry.update(createReport(1000, {}));
+  registry.update(createReport(2000, {
+    alarms: {lowBattery: true},
+    batteryLevel: 50,
+    position: {motion: true, x: 1, y: 0, z: 15}
+  }));
+  registry.update(createReport(3000, {batteryLevel: 50}));
+
+  const device = registry.getDevice(ADDRESS.toLowerCase());
+
+  t.deepEqual(events, [
+    'deviceSeen',
+    'alarmRaised:lowBattery',
+    'motionStarted',
+    'batteryLevelDropped:50',
+    'alarmCleared:lowBattery',
+    'motionStopped'
+  ]);
+  t.equal(device.name, 'Freezer');
+  t.equal(device.rssi, -70);
+  t.equal(device.firstSeenAt, 1000);
+  t.equal(device.lastSeenAt, 3000);
+  t.equal(registry.getDevices().length, 1);
+  t.end();
+});
+
+test('INodeDeviceRegistry does not roll the state back for reports older than the last one', t =>
+{
+  let now = 0;
+  const registry = new iNodeHci.INodeDeviceRegistry({now: () => now});
+  const events = recordEvents(registry);
+
+  registry.update(createReport(2000, {alarms: {lowBattery: true}}));
+
+  now = 5000;
+
+  const device = registry.update(createReport(1000, {}));
+
+  t.deepEqual(events, ['deviceSeen', 'alarmRaised:lowBattery']);
+  t.equal(device.lastSeenAt, 2000);
+  t.equal(device.lastReceivedAt, 5000);
+  t.equal(device.msd.alarms.lowBattery, true);
+  t.end();
+});
+
+test('INodeDeviceRegistry detects lost devices by the time the reports were received', t =>
+{
+  let now = 0;
+  const registry = new iNodeHci.INodeDeviceRegistry({now: () => now, lostTimeout: 60000});
+  const events = recordEvents(registry);
+
+  // A delayed upload of an old report still marks the device as received
+  registry.update(createReport(-3600000, {}));
+
+  now = 59999;
+
+  t.deepEqual(registry.checkLostDevices(), []);
+
+  now = 60000;
+
+  t.deepEqual(registry.checkLostDevices().map(device => device.address), [ADDRESS]);
+  t.deepEqual(events, ['deviceSeen', 'deviceLost']);
+  t.equal(registry.getDevice(ADDRESS), null);
+  t.end();
+});
+
+test('INodeDeviceRegistry ignores reports without iNode MSD', t =>
+{
+  const registry = new iNodeHci.INodeDeviceRegistry();
+
+  t.equal(registry.update({address: ADDRESS, rssi: -70, data: [{type: 0x09, value: 'Phone'}]}), null);
+  t.deepEqual(registry.getDevices(), []);
+  t.end();
+});
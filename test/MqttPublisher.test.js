@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const ADDRESS = '00:12:6F:00:00:01';
+const REPORT_TIME = new Date(1514764800000);
+
+function createClient()
+{
+  const messages = [];
+
+  return {
+    messages: messages,
+    publish: (topic, payload, options) => messages.push({topic: topic, payload: JSON.parse(payload), options: options})
+  };
+}
+
+function createReport(msdValues, decodeOptions)
+{
+  const buffer = iNodeHci.encodeMsd(Object.assign({
+    model: DeviceModel.CareSensorHT,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    temperature: 21.5,
+    humidity: 40,
+    time: new Date(0)
+  }, msdValues));
+
+  return {
+    address: ADDRESS,
+    rssi: -70,
+    time: REPORT_TIME,
+    data: [{type: 0x09, value: 'Fridge'}, iNodeHci.decodeMsd(buffer, null, decodeOptions)]
+  };
+}
+
+function findMessage(client, topic)
+{
+  return client.messages.filter(message => message.topic === topic)[0] || null;
+}
+
+test('MqttPublisher publishes the discovery configs before the first state', t =>
+{
+  const client = createClient();
+  const publisher = new iNodeHci.MqttPublisher({client: client, expireAfter: 300});
+
+  publisher.publishReport(createReport({}));
+
+  const state = client.messages[client.messages.length - 1];
+  const temperature = findMessage(client, 'homeassistant/sensor/inode_00126f000001/temperature/config');
+  const lowBattery = findMessage(client, 'homeassistant/binary_sensor/inode_00126f000001/alarms_low_battery/config');
+
+  t.equal(state.topic, 'inode/00126f000001/state');
+  t.equal(state.payload.temperature, 21.5);
+  t.equal(state.payload.rssi, -70);
+  t.equal(state.payload.time, REPORT_TIME.toISOString());
+  t.deepEqual(state.options, {qos: 0, retain: false});
+  t.deepEqual(Object.keys(temperature.payload), [
+    'name',
+    'unique_id',
+    'object_id',
+    'state_topic',
+    'value_template',
+    'device',
+    'device_class',
+    'unit_of_measurement',
+    'state_class',
+    'expire_after'
+  ]);
+  t.equal(temperature.payload.unique_id, 'inode_00126f000001_temperature');
+  t.equal(temperature.payload.state_topic, 'inode/00126f000001/state');
+  t.equal(temperature.payload.value_template, '{{ value_json.temperature }}');
+  t.deepEqual(temperature.payload.device, {
+    identifiers: ['inode_00126f000001'],
+    connections: [['mac', ADDRESS]],
+    name: 'Fridge',
+    manufacturer: 'iNode',
+    model: 'iNode Care Sensor HT'
+  });
+  t.equal(temperature.payload.unit_of_measurement, '°C');
+  t.equal(temperature.payload.state_class, 'measurement');
+  t.equal(temperature.payload.expire_after, 300);
+  t.deepEqual(temperature.options, {qos: 0, retain: true});
+  t.equal(lowBattery.payload.device_class, 'battery');
+  t.equal(lowBattery.payload.value_template, "{{ 'ON' if value_json.alarms_low_battery else 'OFF' }}");
+  t.end();
+});
+
+test('MqttPublisher publishes the discovery configs again only if needed', t =>
+{
+  const client = createClient();
+  const publisher = new iNodeHci.MqttPublisher({client: client});
+  const configCount = () => client.messages.filter(message => /\/config$/.test(message.topic)).length;
+
+  publisher.publishReport(createReport({}));
+
+  const initialConfigCount = configCount();
+
+  publisher.publishReport(createReport({}));
+
+  t.equal(configCount(), initialConfigCount);
+
+  publisher.publishReport(createReport({}, {units: {temperature: iNodeHci.TemperatureUnit.Fahrenheit}}));
+
+  t.equal(configCount(), initialConfigCount + 1);
+  t.equal(client.messages[client.messages.length - 2].payload.unit_of_measurement, '°F');
+
+  publisher.resetDiscovery();
+  publisher.publishReport(createReport({}));
+
+  t.equal(configCount(), initialConfigCount * 2 + 1);
+  t.end();
+});
+
+test('MqttPublisher publishes the Energy Meter entities by the unit of the meter', t =>
+{
+  const client = createClient();
+  const publisher = new iNodeHci.MqttPublisher({client: client, discoveryPrefix: 'ha', baseTopic: 'meters'});
+  const createEnergyMeterReport = unit => ({
+    address: ADDRESS,
+    rssi: 127,
+    data: [iNodeHci.decodeMsd(iNodeHci.encodeMsd({
+      model: DeviceModel.EnergyMeter,
+      alarms: {},
+      groups: 0,
+      batteryLevel: 100,
+      unit: unit,
+      constant: 1000,
+      sum: 1.5
+    }), null, {units: {}})]
+  });
+
+  publisher.publishReport(createEnergyMeterReport(0));
+
+  const energy = findMessage(client, 'ha/sensor/inode_00126f000001/sum/config').payload;
+  const power = findMessage(client, 'ha/sensor/inode_00126f000001/average/config').payload;
+
+  t.equal(energy.device_class, 'energy');
+  t.equal(energy.unit_of_measurement, 'kWh');
+  t.equal(energy.state_class, 'total_increasing');
+  t.equal(power.device_class, 'power');
+  t.equal(power.unit_of_measurement, 'kW');
+  t.equal(energy.device.name, `iNode Energy Meter ${ADDRESS}`);
+  t.equal('rssi' in findMessage(client, 'meters/00126f000001/state').payload, false);
+
+  publisher.resetDiscovery();
+  client.messages.length = 0;
+  publisher.publishReport(createEnergyMeterReport(1));
+
+  t.equal(findMessage(client, 'ha/sensor/inode_00126f000001/sum/config').payload.unit_of_measurement, 'm³');
+  t.equal(findMessage(client, 'ha/sensor/inode_00126f000001/average/config'), null);
+  t.end();
+});
+
+test('MqttPublisher publishes only the state if the discovery is disabled', t =>
+{
+  const client = createClient();
+  const publisher = new iNodeHci.MqttPublisher({client: client, discovery: false, qos: 1, retainState: true});
+
+  publisher.publishReports([createReport({}), {data: []}]);
+
+  t.deepEqual(client.messages.map(message => message.topic), ['inode/00126f000001/state']);
+  t.deepEqual(client.messages[0].options, {qos: 1, retain: true});
+  t.throws(() => new iNodeHci.MqttPublisher({client: {}}), /publish\(\) method is required/);
+  t.end();
+});
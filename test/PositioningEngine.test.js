@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const LocationMethod = iNodeHci.LocationMethod;
+
+const ADDRESS = '00:12:6F:00:00:01';
+
+function rssiAt(distance)
+{
+  return -59 - 20 * Math.log10(distance);
+}
+
+function createEngine(receivers, options)
+{
+  return new iNodeHci.PositioningEngine(Object.assign({
+    receivers: receivers,
+    filter: {windowSize: 1},
+    now: () => 0
+  }, options));
+}
+
+test('PositioningEngine assigns the tag to the strongest zone with hysteresis', t =>
+{
+  const engine = createEngine([{id: 'a', zone: 'A'}, {id: 'b', zone: 'B'}], {hysteresis: 5});
+  const zoneChanges = [];
+
+  engine.on('zoneChanged', (position, previousZone) => zoneChanges.push([previousZone, position.zone]));
+
+  engine.updateRssi('a', ADDRESS, -60, 1000);
+  engine.updateRssi('b', ADDRESS, -57, 1100);
+
+  t.equal(engine.getPosition(ADDRESS).zone, 'A');
+
+  const position = engine.updateRssi('b', ADDRESS, -50, 1200);
+
+  t.equal(position.zone, 'B');
+  t.equal(position.receiverId, 'b');
+  t.equal(position.rssi, -50);
+  t.equal(position.time, 1200);
+  t.deepEqual(position.measurements.map(m => m.receiverId), ['b', 'a']);
+  t.equal(position.location, null);
+  t.deepEqual(zoneChanges, [[null, 'A'], ['A', 'B']]);
+  t.end();
+});
+
+test('PositioningEngine trilaterates the location from three receivers', t =>
+{
+  const engine = createEngine([{id: 'a', x: 0, y: 0}, {id: 'b', x: 10, y: 0}, {id: 'c', x: 0, y: 10}]);
+
+  engine.updateRssi('a', ADDRESS, rssiAt(5), 1000);
+  engine.updateRssi('b', ADDRESS, rssiAt(Math.sqrt(65)), 1000);
+
+  const location = engine.updateRssi('c', ADDRESS, rssiAt(Math.sqrt(45)), 1000).location;
+
+  t.equal(location.method, LocationMethod.Trilateration);
+  t.ok(Math.abs(location.x - 3) < 0.001, `x: ${location.x}`);
+  t.ok(Math.abs(location.y - 4) < 0.001, `y: ${location.y}`);
+  t.ok(location.accuracy < 0.001, `accuracy: ${location.accuracy}`);
+  t.ok(location.confidence > 0.99, `confidence: ${location.confidence}`);
+  t.end();
+});
+
+test('PositioningEngine computes a weighted centroid from less than three receivers', t =>
+{
+  const engine = createEngine([{id: 'a', x: 0, y: 0}, {id: 'b', x: 10, y: 0}]);
+
+  engine.updateRssi('a', ADDRESS, rssiAt(5), 1000);
+
+  const location = engine.updateRssi('b', ADDRESS, rssiAt(5), 1000).location;
+
+  t.equal(location.method, LocationMethod.Centroid);
+  t.equal(location.x, 5);
+  t.equal(location.y, 0);
+  t.end();
+});
+
+test('PositioningEngine ignores the samples outside the window', t =>
+{
+  const engine = createEngine([{id: 'a'}, {id: 'b'}], {window: 10000});
+
+  engine.updateRssi('a', ADDRESS, -50, 1000);
+
+  const position = engine.updateRssi('b', ADDRESS, -70, 12000);
+
+  t.equal(position.zone, 'b');
+  t.deepEqual(position.measurements.map(m => m.receiverId), ['b']);
+  t.equal(engine.updateRssi('a', ADDRESS, -50, 1500), null);
+  t.end();
+});
+
+test('PositioningEngine ignores the delayed samples older than the last sample of the receiver', t =>
+{
+  const engine = createEngine([{id: 'A'}]);
+
+  engine.updateRssi('A', ADDRESS, -60, 1000000);
+
+  t.equal(engine.updateRssi('A', ADDRESS, -60, 1), null);
+  t.equal(engine.updateRssi('A', ADDRESS, -80, 999999), null);
+  t.equal(engine.getPosition(ADDRESS).time, 1000000);
+  t.equal(engine.getPosition(ADDRESS).rssi, -60);
+  t.end();
+});
+
+test('PositioningEngine reads the measured power from the receiver, the beacon frames or the options', t =>
+{
+  const engine = createEngine([{id: 'a'}, {id: 'b', measuredPower: -70}], {measuredPower: -65});
+  const report = {
+    address: ADDRESS,
+    rssi: -61,
+    time: new Date(1000),
+    data: [{frameType: iNodeHci.BeaconFrameType.IBeacon, measuredPower: -61}]
+  };
+
+  t.equal(engine.updateRssi('a', '00:12:6F:00:00:02', -65, 1000).measurements[0].distance, 1);
+  t.equal(engine.update('a', report).measurements[0].distance, 1);
+  t.equal(engine.updateRssi('b', ADDRESS, -70, 1000).measurements[0].distance, 1);
+  t.equal(engine.update('unknown', report), null);
+  t.end();
+});
+
+test('PositioningEngine manages the receivers and the tags', t =>
+{
+  const engine = createEngine([{id: 1}]);
+
+  engine.updateRssi('1', ADDRESS, -60, 1000);
+
+  t.deepEqual(engine.getReceivers(), [{id: '1'}]);
+  t.equal(engine.getPositions().length, 1);
+  t.equal(engine.removeReceiver(1), true);
+  t.equal(engine.updateRssi('1', ADDRESS, -60, 2000), null);
+  t.equal(engine.removeTag(ADDRESS.toLowerCase()), true);
+  t.equal(engine.getPosition(ADDRESS), null);
+  t.throws(() => engine.addReceiver({zone: 'A'}), /receiver ID is required/);
+  t.end();
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const ProximityZone = iNodeHci.ProximityZone;
+
+const ADDRESS = '00:12:6F:00:00:01';
+
+test('estimateDistance() uses the log-distance path loss model', t =>
+{
+  t.equal(iNodeHci.estimateDistance(-59, -59), 1);
+  t.equal(iNodeHci.estimateDistance(-79, -59), 10);
+  t.equal(iNodeHci.estimateDistance(-99, -59, 4), 10);
+  t.end();
+});
+
+test('createRssiFilter() creates the moving average and Kalman filters', t =>
+{
+  const movingAverage = iNodeHci.createRssiFilter({windowSize: 2});
+  const kalman = iNodeHci.createRssiFilter({type: iNodeHci.RssiFilterType.Kalman});
+
+  t.equal(movingAverage.update(-60), -60);
+  t.equal(movingAverage.update(-70), -65);
+  t.equal(movingAverage.update(-80), -75);
+  t.equal(kalman.update(-60), -60);
+
+  const smoothed = kalman.update(-80);
+
+  t.ok(smoothed < -60 && smoothed > -80, `the Kalman filter smooths the RSSI: ${smoothed}`);
+  t.throws(() => iNodeHci.createRssiFilter({type: 'median'}), /'median' is not a valid filter type/);
+  t.end();
+});
+
+test('ProximityEstimator estimates the distance and emits the zone changes', t =>
+{
+  const estimator = new iNodeHci.ProximityEstimator({filter: {windowSize: 1}, now: () => 1000});
+  const zoneChanges = [];
+
+  estimator.on('zoneChanged', (estimate, previousZone) => zoneChanges.push([previousZone, estimate.zone]));
+
+  const first = estimator.updateRssi(ADDRESS.toLowerCase(), -59);
+
+  estimator.updateRssi(ADDRESS, -60);
+  estimator.updateRssi(ADDRESS, -79);
+
+  t.deepEqual(first, {
+    address: ADDRESS,
+    time: 1000,
+    rssi: -59,
+    smoothedRssi: -59,
+    measuredPower: -59,
+    measuredPowerSource: 'default',
+    distance: 1,
+    zone: ProximityZone.Near
+  });
+  t.deepEqual(zoneChanges, [[null, ProximityZone.Near], [ProximityZone.Near, ProximityZone.Far]]);
+  t.equal(estimator.getEstimate(ADDRESS).distance, 10);
+  t.equal(estimator.getEstimates().length, 1);
+  t.equal(estimator.updateRssi(ADDRESS, 127), null);
+  t.equal(estimator.remove(ADDRESS), true);
+  t.equal(estimator.getEstimate(ADDRESS), null);
+  t.end();
+});
+
+test('ProximityEstimator prefers the calibration over the beacon measured power', t =>
+{
+  const estimator = new iNodeHci.ProximityEstimator({measuredPower: -65});
+  const report = {
+    address: ADDRESS,
+    rssi: -70,
+    time: new Date(5000),
+    data: [{frameType: iNodeHci.BeaconFrameType.EddystoneUid, txPower: -20}]
+  };
+
+  t.equal(estimator.updateRssi(ADDRESS, -70).measuredPowerSource, 'default');
+
+  const fromBeacon = estimator.update(report);
+
+  t.equal(fromBeacon.measuredPower, -61);
+  t.equal(fromBeacon.measuredPowerSource, 'beacon');
+  t.equal(fromBeacon.time, 5000);
+
+  estimator.setCalibration(ADDRESS, {measuredPower: -50, pathLossExponent: 3});
+
+  const fromCalibration = estimator.updateRssi(ADDRESS, -70);
+
+  t.equal(fromCalibration.measuredPower, -50);
+  t.equal(fromCalibration.measuredPowerSource, 'calibration');
+  t.equal(fromCalibration.distance, iNodeHci.estimateDistance(-70, -50, 3));
+  t.equal(estimator.removeCalibration(ADDRESS), true);
+  t.equal(estimator.updateRssi(ADDRESS, -70).measuredPowerSource, 'beacon');
+  t.end();
+});
+
+test('ProximityEstimator throws for invalid filter options', t =>
+{
+  t.throws(() => new iNodeHci.ProximityEstimator({filter: {type: 'median'}}), /not a valid filter type/);
+  t.end();
+});
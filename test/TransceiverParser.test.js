@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('tape');
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('../lib');
+
+const CARE_SENSOR_3_MSD = new Buffer('929301b000001700a819e8180400f4bbce6e77a00b97d1b5', 'hex');
+const COMMAND_COMPLETE_EVENT = new Buffer('040e0401030c00', 'hex');
+
+function createAdvertisingReportEvent(msd, extraEirData)
+{
+  const eirData = Buffer.concat([new Buffer([msd.length + 1, 0xFF]), msd, extraEirData || new Buffer(0)]);
+  const parameters = Buffer.concat([
+    // Subevent code, number of reports, event type, address type, address, data length
+    new Buffer([0x02, 1, 0x00, 0x00, 0x01, 0x00, 0x00, 0x6F, 0x12, 0x00, eirData.length]),
+    eirData,
+    // RSSI
+    new Buffer([0xBA])
+  ]);
+
+  return Buffer.concat([new Buffer([0x04, 0x3E, parameters.length]), parameters]);
+}
+
+function parse(chunks, done, options)
+{
+  const parser = new iNodeHci.TransceiverParser(Object.assign({now: () => 0}, options));
+  const result = {reports: [], skipped: [], skippedFrames: [], parser: parser};
+
+  parser.on('data', report => result.reports.push(report));
+  parser.on('skipped', count => result.skipped.push(count));
+  parser.on('skippedFrame', eventCode => result.skippedFrames.push(eventCode));
+  parser.on('end', () => done(result));
+
+  chunks.forEach(chunk => parser.write(chunk));
+  parser.end();
+}
+
+test('TransceiverParser pushes the advertising reports split across chunks', t =>
+{
+  const event = createAdvertisingReportEvent(CARE_SENSOR_3_MSD);
+
+  parse([event.slice(0, 5), event.slice(5), event], result =>
+  {
+    t.equal(result.reports.length, 2);
+    t.equal(result.reports[0].address, '00:12:6F:00:00:01');
+    t.equal(result.reports[0].rssi, -70);
+    t.equal(result.reports[0].data[0].temperature, 23.59);
+    t.deepEqual(result.skipped, []);
+    t.end();
+  });
+});
+
+test('TransceiverParser skips other HCI events as frames and garbage as bytes', t =>
+{
+  const event = createAdvertisingReportEvent(CARE_SENSOR_3_MSD);
+
+  parse([new Buffer('aabb', 'hex'), COMMAND_COMPLETE_EVENT, event, COMMAND_COMPLETE_EVENT], result =>
+  {
+    t.equal(result.reports.length, 1);
+    t.deepEqual(result.skipped, [2]);
+    t.deepEqual(result.skippedFrames, [0x0E, 0x0E]);
+    t.equal(result.parser.skippedBytes, 2);
+    t.equal(result.parser.skippedFrames, 2);
+    t.end();
+  });
+});
+
+test('TransceiverParser resynchronizes after a corrupted frame', t =>
+{
+  const event = createAdvertisingReportEvent(CARE_SENSOR_3_MSD);
+  const corrupted = new Buffer(event);
+
+  // The data length points past the end of the parameters
+  corrupted[13] = 0xF0;
+
+  parse([corrupted, event], result =>
+  {
+    t.equal(result.reports.length, 1);
+    t.equal(result.parser.skippedBytes, corrupted.length);
+    t.end();
+  });
+});
+
+test('TransceiverParser decodes the events with the decoders registered in h5.bluetooth.hci', t =>
+{
+  const decoders = btHci.decoders.eirDataType;
+  const originalDecoders = Object.assign({}, decoders);
+  const event = createAdvertisingReportEvent(CARE_SENSOR_3_MSD, new Buffer('050946726964', 'hex'));
+
+  decoders[btHci.EirDataType.LocalNameComplete] = (buffer, eirDataStructure) =>
+  {
+    eirDataStructure.name = buffer.toString();
+  };
+
+  iNodeHci.registerReferenceOrientation('00:12:6F:00:00:01', {x: 0, y: 0, z: 15});
+
+  parse([event], result =>
+  {
+    const data = result.reports[0].data;
+
+    iNodeHci.unregisterAllReferenceOrientations();
+    delete decoders[btHci.EirDataType.LocalNameComplete];
+
+    t.equal(data[0].model, iNodeHci.DeviceModel.CareSensor3);
+    t.equal(typeof data[0].position.tilt, 'number');
+    t.equal(data[1].name, 'Frid');
+    t.deepEqual(decoders, originalDecoders);
+    t.end();
+  });
+});
+
+test('TransceiverParser decodes the beacon frames of all reports', t =>
+{
+  const iBeacon = new Buffer('4c000215e2c56db5dffb48d2b060d0f5a71096e00001000ac5', 'hex');
+
+  parse([createAdvertisingReportEvent(iBeacon)], result =>
+  {
+    t.equal(result.reports.length, 1);
+    t.equal(result.reports[0].data[0].frameType, iNodeHci.BeaconFrameType.IBeacon);
+    t.end();
+  }, {allReports: true});
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const BeaconFrameType = iNodeHci.BeaconFrameType;
+
+const IBEACON = new Buffer('4c000215e2c56db5dffb48d2b060d0f5a71096e00001000ac5', 'hex');
+const EDDYSTONE_UID = new Buffer('aafe00e800112233445566778899aabbccddeeff', 'hex');
+const EDDYSTONE_URL = new Buffer('aafe10eb03696e6f64652e6578616d706c6500', 'hex');
+const EDDYSTONE_TLM = new Buffer('aafe20000bb8198000000064000004b0', 'hex');
+
+test('decodeIBeacon() decodes iBeacon frames', t =>
+{
+  const frame = {};
+
+  t.equal(iNodeHci.decodeIBeacon(IBEACON, frame), true);
+  t.deepEqual(frame, {
+    companyIdentifier: 0x004C,
+    frameType: BeaconFrameType.IBeacon,
+    uuid: 'e2c56db5-dffb-48d2-b060-d0f5a71096e0',
+    major: 1,
+    minor: 10,
+    measuredPower: -59
+  });
+  t.equal(iNodeHci.decodeIBeacon(IBEACON.slice(0, 24), {}), false);
+  t.end();
+});
+
+test('decodeEddystone() decodes Eddystone UID, URL and TLM frames', t =>
+{
+  const uid = {};
+  const url = {};
+  const tlm = {};
+
+  t.equal(iNodeHci.decodeEddystone(EDDYSTONE_UID, uid), true);
+  t.equal(iNodeHci.decodeEddystone(EDDYSTONE_URL, url), true);
+  t.equal(iNodeHci.decodeEddystone(EDDYSTONE_TLM, tlm), true);
+  t.deepEqual(uid, {
+    serviceUuid: 0xFEAA,
+    frameType: BeaconFrameType.EddystoneUid,
+    txPower: -24,
+    namespace: '00112233445566778899',
+    instance: 'aabbccddeeff'
+  });
+  t.equal(url.frameType, BeaconFrameType.EddystoneUrl);
+  t.equal(url.txPower, -21);
+  t.equal(url.url, 'https://inode.example.com/');
+  t.deepEqual(tlm, {
+    serviceUuid: 0xFEAA,
+    frameType: BeaconFrameType.EddystoneTlm,
+    version: 0,
+    batteryVoltage: 3,
+    temperature: 25.5,
+    advertisementCount: 100,
+    uptime: 120
+  });
+  t.end();
+});
+
+test('decodeEddystone() rejects unsupported frames', t =>
+{
+  // Encrypted TLM, EID and a URL with an invalid scheme
+  t.equal(iNodeHci.decodeEddystone(new Buffer('aafe20010000000000000000000000000000', 'hex'), {}), false);
+  t.equal(iNodeHci.decodeEddystone(new Buffer('aafe30e80011223344556677', 'hex'), {}), false);
+  t.equal(iNodeHci.decodeEddystone(new Buffer('aafe10eb0461', 'hex'), {}), false);
+  t.equal(iNodeHci.decodeEddystone(new Buffer('0918', 'hex'), {}), false);
+  t.end();
+});
+
+test('registerBeaconDecoders() decodes beacon frames and passes other data on', t =>
+{
+  const decoders = {};
+  const unregister = iNodeHci.registerBeaconDecoders(decoders);
+  const iBeacon = {};
+  const eddystone = {};
+  const otherServiceData = {};
+  const otherServiceDataBuffer = new Buffer('0f1864', 'hex');
+
+  decoders[0xFF](IBEACON, iBeacon);
+  decoders[0x16](EDDYSTONE_UID, eddystone);
+  decoders[0x16](otherServiceDataBuffer, otherServiceData);
+
+  t.equal(iBeacon.frameType, BeaconFrameType.IBeacon);
+  t.equal(eddystone.frameType, BeaconFrameType.EddystoneUid);
+  t.deepEqual(otherServiceData, {value: otherServiceDataBuffer});
+
+  unregister();
+
+  t.deepEqual(decoders, {});
+  t.end();
+});
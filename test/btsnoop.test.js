@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const CARE_SENSOR_3_MSD = new Buffer('929301b000001700a819e8180400f4bbce6e77a00b97d1b5', 'hex');
+const COMMAND_COMPLETE_EVENT = new Buffer('040e0401030c00', 'hex');
+const PACKET_TIME = Date.UTC(2018, 0, 1);
+
+function createAdvertisingReportEvent(msd)
+{
+  const eirData = Buffer.concat([new Buffer([msd.length + 1, 0xFF]), msd]);
+  const parameters = Buffer.concat([
+    new Buffer([0x02, 1, 0x00, 0x00, 0x01, 0x00, 0x00, 0x6F, 0x12, 0x00, eirData.length]),
+    eirData,
+    new Buffer([0xBA])
+  ]);
+
+  return Buffer.concat([new Buffer([0x04, 0x3E, parameters.length]), parameters]);
+}
+
+function createCapture(packets)
+{
+  const header = new Buffer(16);
+
+  header.write('btsnoop\u0000', 0, 8, 'binary');
+  header.writeUInt32BE(1, 8);
+  header.writeUInt32BE(iNodeHci.BtsnoopDatalinkType.H4, 12);
+
+  // Milliseconds since 0000-01-01 00:00:00 UTC of the packet time (multiples of 8 µs are exact doubles)
+  const timestamp = 0x00DCDDB30F2F8000 / 1000 + PACKET_TIME;
+
+  return Buffer.concat([header].concat(packets.map(data =>
+  {
+    const packetHeader = new Buffer(24);
+
+    packetHeader.writeUInt32BE(data.length, 0);
+    packetHeader.writeUInt32BE(data.length, 4);
+    packetHeader.writeUInt32BE(0x03, 8);
+    packetHeader.writeUInt32BE(0, 12);
+    packetHeader.writeUInt32BE(Math.floor(timestamp * 1000 / 0x100000000), 16);
+    packetHeader.writeUInt32BE((timestamp * 1000) % 0x100000000, 20);
+
+    return Buffer.concat([packetHeader, data]);
+  })));
+}
+
+test('readBtsnoopCapture() reads the packets of an H4 capture', t =>
+{
+  const capture = iNodeHci.readBtsnoopCapture(createCapture([
+    COMMAND_COMPLETE_EVENT,
+    createAdvertisingReportEvent(CARE_SENSOR_3_MSD)
+  ]));
+
+  t.equal(capture.datalinkType, iNodeHci.BtsnoopDatalinkType.H4);
+  t.equal(capture.truncated, false);
+  t.deepEqual(capture.packets.map(packet => packet.number), [1, 2]);
+  t.deepEqual(capture.packets[0].data, COMMAND_COMPLETE_EVENT);
+  t.equal(capture.packets[1].time.getTime(), PACKET_TIME);
+  t.end();
+});
+
+test('readBtsnoopCapture() marks truncated captures', t =>
+{
+  const buffer = createCapture([COMMAND_COMPLETE_EVENT, COMMAND_COMPLETE_EVENT]);
+  const capture = iNodeHci.readBtsnoopCapture(buffer.slice(0, buffer.length - 1));
+
+  t.equal(capture.truncated, true);
+  t.equal(capture.packets.length, 1);
+  t.end();
+});
+
+test('readBtsnoopCapture() throws if the buffer is not a BTSnoop capture', t =>
+{
+  t.throws(() => iNodeHci.readBtsnoopCapture(new Buffer(16).fill(0)), /identification pattern/);
+  t.end();
+});
+
+test('readBtsnoopReports() extracts the advertising reports with iNode MSD', t =>
+{
+  const reports = iNodeHci.readBtsnoopReports(createCapture([
+    COMMAND_COMPLETE_EVENT,
+    createAdvertisingReportEvent(CARE_SENSOR_3_MSD)
+  ]));
+
+  t.equal(reports.length, 1);
+  t.equal(reports[0].packetNumber, 2);
+  t.equal(reports[0].time.getTime(), PACKET_TIME);
+  t.ok(reports[0].data.some(eirData => eirData.model === iNodeHci.DeviceModel.CareSensor3));
+  t.end();
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const CARE_SENSOR_3_MSD = new Buffer('929301b000001700a819e8180400f4bbce6e77a00b97d1b5', 'hex');
+
+test('decodeMsd() decodes a Care Sensor MSD', t =>
+{
+  const msd = iNodeHci.decodeMsd(CARE_SENSOR_3_MSD);
+
+  t.equal(msd.model, DeviceModel.CareSensor3);
+  t.equal(msd.temperature, 23.59);
+  t.equal(msd.humidity, 42.65);
+  t.end();
+});
+
+test('decodeMsd() throws UnknownDeviceModelError for unknown device models', t =>
+{
+  t.throws(
+    () => iNodeHci.decodeMsd(new Buffer('0001', 'hex')),
+    err => err instanceof iNodeHci.UnknownDeviceModelError
+      && err instanceof iNodeHci.INodeMsdError
+      && err.model === 0x01
+  );
+  t.end();
+});
+
+test('decodeMsd() throws TruncatedMsdError for too short MSD', t =>
+{
+  t.throws(
+    () => iNodeHci.decodeMsd(CARE_SENSOR_3_MSD.slice(0, 6)),
+    err => err instanceof iNodeHci.TruncatedMsdError
+      && err.model === DeviceModel.CareSensor3
+      && err.length === 6
+  );
+  t.end();
+});
+
+test('decodeMsd() throws TrailingMsdBytesError for too long MSD only in the strict mode', t =>
+{
+  const buffer = Buffer.concat([CARE_SENSOR_3_MSD, new Buffer([0])]);
+
+  t.equal(iNodeHci.decodeMsd(buffer).temperature, 23.59);
+  t.throws(
+    () => iNodeHci.decodeMsd(buffer, null, {strict: true}),
+    err => err instanceof iNodeHci.TrailingMsdBytesError && err.model === DeviceModel.CareSensor3
+  );
+  t.end();
+});
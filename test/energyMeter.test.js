@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const ADDRESS = '00:12:6F:00:00:01';
+
+function createBuffer(unit, constant, sum)
+{
+  return iNodeHci.encodeMsd({
+    model: DeviceModel.EnergyMeter,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    unit: unit,
+    constant: constant,
+    average: 0,
+    sum: sum
+  });
+}
+
+function overridesTest(name, run)
+{
+  test(name, t =>
+  {
+    t.teardown(() => iNodeHci.unregisterAllEnergyMeterOverrides());
+
+    run(t);
+    t.end();
+  });
+}
+
+overridesTest('decodeMsd() applies the overrides registered for the address', t =>
+{
+  iNodeHci.registerEnergyMeterOverrides(ADDRESS.toLowerCase(), {constant: 500, unit: 1});
+
+  const buffer = createBuffer(0, 1000, 2);
+  const msd = iNodeHci.decodeMsd(buffer, null, {address: ADDRESS});
+
+  t.equal(msd.unit, 1);
+  t.equal(msd.reportedUnit, 0);
+  t.equal(msd.constant, 500);
+  t.equal(msd.reportedConstant, 1000);
+  t.equal(msd.sum, 4);
+  t.equal(msd.sumUnit, 'm³');
+  t.equal(msd.overridden, true);
+  t.equal(iNodeHci.decodeMsd(buffer, null, {address: '00:12:6F:00:00:02'}).overridden, false);
+});
+
+overridesTest('decodeMsd() merges the per-call overrides over the registered ones', t =>
+{
+  iNodeHci.registerEnergyMeterOverrides(ADDRESS, {constant: 500});
+
+  const msd = iNodeHci.decodeMsd(createBuffer(0, 1000, 2), null, {
+    address: ADDRESS,
+    energyMeter: {scale: 0.5}
+  });
+
+  t.equal(msd.constant, 500);
+  t.equal(msd.scale, 0.5);
+  t.equal(msd.sum, 2);
+});
+
+overridesTest('decodeMsd() calls the scale function with every value', t =>
+{
+  const calls = [];
+  const msd = iNodeHci.decodeMsd(createBuffer(0, 1000, 2), null, {
+    energyMeter: {
+      scale: (value, field) =>
+      {
+        calls.push(field);
+
+        return value + 1;
+      }
+    }
+  });
+
+  t.deepEqual(calls, ['average', 'sum']);
+  t.equal(msd.scale, null);
+  t.equal(msd.sum, 3);
+  t.equal(msd.overridden, true);
+});
+
+overridesTest('unregisterEnergyMeterOverrides() removes the overrides of the address', t =>
+{
+  iNodeHci.registerEnergyMeterOverrides(ADDRESS, {constant: 500});
+
+  t.equal(iNodeHci.unregisterEnergyMeterOverrides(ADDRESS), true);
+  t.equal(iNodeHci.unregisterEnergyMeterOverrides(ADDRESS), false);
+  t.equal(iNodeHci.decodeMsd(createBuffer(0, 1000, 2), null, {address: ADDRESS}).constant, 1000);
+});
+
+overridesTest('registerEnergyMeterOverrides() throws for invalid overrides', t =>
+{
+  t.throws(() => iNodeHci.registerEnergyMeterOverrides(ADDRESS, {constant: 1.5}), /positive integer/);
+  t.throws(() => iNodeHci.registerEnergyMeterOverrides(ADDRESS, {unit: 4}), /range 0-3/);
+  t.throws(() => iNodeHci.registerEnergyMeterOverrides(ADDRESS, {scale: 'x'}), /number or a function/);
+  t.throws(() => iNodeHci.decodeMsd(createBuffer(0, 1000, 2), null, {energyMeter: {unit: -1}}), /range 0-3/);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+function near(t, actual, expected, tolerance, message)
+{
+  t.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} ≈ ${expected}`);
+}
+
+test('computeDewPoint() and computeAbsoluteHumidity() match the reference values', t =>
+{
+  near(t, iNodeHci.computeDewPoint(20, 50), 9.26, 0.05, 'dew point');
+  near(t, iNodeHci.computeDewPoint(-10, 80), -12.8, 0.05, 'dew point below zero');
+  near(t, iNodeHci.computeAbsoluteHumidity(20, 50), 8.64, 0.05, 'absolute humidity');
+  t.end();
+});
+
+test('computeHeatIndex() uses the simple formula for low values and the regression otherwise', t =>
+{
+  near(t, iNodeHci.computeHeatIndex(20, 50), 19.4, 0.1, 'low heat index');
+  near(t, iNodeHci.computeHeatIndex(32, 70), 40.4, 0.5, 'high heat index');
+  t.end();
+});
+
+test('computeAltitude() and computeSeaLevelPressure() use the standard atmosphere', t =>
+{
+  t.equal(iNodeHci.computeAltitude(1013.25), 0);
+  near(t, iNodeHci.computeAltitude(898.75), 1000, 0.5, 'altitude');
+  near(t, iNodeHci.computeAltitude(898.75, 1000), 891.4, 0.5, 'altitude with a custom sea-level pressure');
+  near(t, iNodeHci.computeSeaLevelPressure(898.75, 1000), 1013.25, 0.1, 'sea-level pressure');
+  t.end();
+});
+
+test('decodeMsd() adds the derived metrics only if requested', t =>
+{
+  const buffer = iNodeHci.encodeMsd({
+    model: DeviceModel.CareSensorPHT,
+    alarms: {},
+    temperature: 20,
+    humidity: 50,
+    pressure: 898.75,
+    time: new Date(0)
+  });
+  const msd = iNodeHci.decodeMsd(buffer, null, {derivedMetrics: true, stationAltitude: 1000});
+
+  t.equal(msd.dewPoint, 9.26);
+  t.equal(msd.absoluteHumidity, 8.64);
+  t.equal(msd.heatIndex, 19.36);
+  t.equal(msd.altitude, 1000.11);
+  t.equal(msd.seaLevelPressure, 1008.58);
+  t.equal('dewPoint' in iNodeHci.decodeMsd(buffer), false);
+  t.equal('seaLevelPressure' in iNodeHci.decodeMsd(buffer, null, {derivedMetrics: true}), false);
+  t.end();
+});
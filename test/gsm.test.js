@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+const GsmRecordSkipReason = iNodeHci.GsmRecordSkipReason;
+
+const GSM_TIME = 1514764800;
+
+function createReport(address, values)
+{
+  const buffer = iNodeHci.encodeMsd(Object.assign({
+    model: DeviceModel.CareSensorHT,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    time: new Date(GSM_TIME * 1000)
+  }, values));
+
+  return {
+    address: address,
+    rssi: -70,
+    data: [iNodeHci.decodeMsd(buffer)]
+  };
+}
+
+test('decodeGsmData() decodes the records encoded by encodeGsmData()', t =>
+{
+  const gsmData = iNodeHci.encodeGsmData([
+    createReport('00:12:6F:00:00:01', {temperature: 21.5, humidity: 40}),
+    createReport('00:12:6F:00:00:02', {temperature: -5, humidity: 80})
+  ]);
+  const reports = iNodeHci.decodeGsmData(GSM_TIME, gsmData);
+
+  t.deepEqual(reports.map(report => report.address), ['00:12:6F:00:00:01', '00:12:6F:00:00:02']);
+  t.deepEqual(reports.map(report => report.rssi), [-70, -70]);
+
+  const msds = reports.map(report => report.data.find(eirData => eirData.model === DeviceModel.CareSensorHT));
+
+  t.ok(Math.abs(msds[0].temperature - 21.5) < 0.01);
+  t.ok(Math.abs(msds[1].humidity - 80) < 0.01);
+  t.end();
+});
+
+test('decodeGsmData() times the records with the gsmTime parameter', t =>
+{
+  const gsmData = iNodeHci.encodeGsmData([createReport('00:12:6F:00:00:01', {temperature: 21.5})]);
+  const report = iNodeHci.decodeGsmData(GSM_TIME, gsmData)[0];
+  const msd = report.data.find(eirData => eirData.model === DeviceModel.CareSensorHT);
+
+  t.equal(report.time.getTime(), GSM_TIME * 1000);
+  t.equal(msd.time.getTime(), GSM_TIME * 1000);
+  t.end();
+});
+
+test('decodeGsmData() decodes records of every type as advertising reports and keeps their type', t =>
+{
+  const gsmData = iNodeHci.encodeGsmData([
+    createReport('00:12:6F:00:00:01', {temperature: 21.5}),
+    Object.assign(createReport('00:12:6F:00:00:02', {temperature: 22.5}), {recordType: 0x07})
+  ]);
+  const reports = iNodeHci.decodeGsmData(GSM_TIME, gsmData);
+
+  t.deepEqual(reports.map(report => report.address), ['00:12:6F:00:00:01', '00:12:6F:00:00:02']);
+  t.deepEqual(reports.map(report => report.recordType), [iNodeHci.GsmRecordType.AdvertisingReport, 0x07]);
+  t.deepEqual(iNodeHci.encodeGsmData(reports), gsmData);
+  t.end();
+});
+
+test('decodeGsmData() leaves the Care Sensor values not carried by the records null', t =>
+{
+  const gsmData = iNodeHci.encodeGsmData([createReport('00:12:6F:00:00:01', {temperature: 21.5})]);
+  const msd = iNodeHci.decodeGsmData(GSM_TIME, gsmData)[0].data[1];
+
+  t.equal(msd.groups, null);
+  t.equal(msd.batteryLevel, null);
+  t.equal(msd.batteryVoltage, null);
+  t.equal(msd.signature, null);
+  t.end();
+});
+
+test('decodeGsmData() skips the truncated last record', t =>
+{
+  const gsmData = iNodeHci.encodeGsmData([
+    createReport('00:12:6F:00:00:01', {temperature: 21.5}),
+    createReport('00:12:6F:00:00:02', {temperature: 22.5})
+  ]);
+  const skippedRecords = [];
+  const reports = iNodeHci.decodeGsmData(GSM_TIME, gsmData.slice(0, gsmData.length - 1), skippedRecords);
+
+  t.equal(reports.length, 1);
+  t.equal(skippedRecords.length, 1);
+  t.equal(skippedRecords[0].reason, GsmRecordSkipReason.Truncated);
+  t.equal(skippedRecords[0].offset, gsmData.length / 2);
+  t.end();
+});
+
+test('decodeGsmData() reports the records that are too short or of unknown device models', t =>
+{
+  const gsmData = iNodeHci.encodeGsmData([createReport('00:12:6F:00:00:01', {temperature: 21.5})]);
+  const unknownModelRecord = new Buffer(gsmData);
+
+  unknownModelRecord[3] = 0x01;
+
+  const skippedRecords = [];
+  const reports = iNodeHci.decodeGsmData(
+    GSM_TIME,
+    Buffer.concat([new Buffer([0x01, 2, 0x93, 0x9A]), unknownModelRecord, gsmData]),
+    skippedRecords
+  );
+
+  t.equal(reports.length, 1);
+  t.deepEqual(skippedRecords.map(record => record.reason), [
+    GsmRecordSkipReason.TooShort,
+    GsmRecordSkipReason.UnknownDeviceModel
+  ]);
+  t.deepEqual(skippedRecords.map(record => record.offset), [0, 4]);
+  t.end();
+});
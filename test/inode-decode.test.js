@@ -0,0 +1,113 @@
+'use strict';
+
+const path = require('path');
+const spawnSync = require('child_process').spawnSync;
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const CLI_PATH = path.join(__dirname, '..', 'bin', 'inode-decode.js');
+const CARE_SENSOR_3_MSD = '929301b000001700a819e8180400f4bbce6e77a00b97d1b5';
+const GSM_TIME = 1514764800;
+
+function run(args, input)
+{
+  const result = spawnSync(process.execPath, ['--no-deprecation', CLI_PATH].concat(args), {
+    input: input || '',
+    encoding: 'utf8'
+  });
+
+  return {
+    status: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr,
+    results: result.stdout.split('\n').filter(line => line.charAt(0) === '{').map(line => JSON.parse(line))
+  };
+}
+
+function createAdvertisingReportEvent(msd)
+{
+  const eirData = Buffer.concat([new Buffer([msd.length + 1, 0xFF]), msd]);
+  const parameters = Buffer.concat([
+    new Buffer([0x02, 1, 0x00, 0x00, 0x01, 0x00, 0x00, 0x6F, 0x12, 0x00, eirData.length]),
+    eirData,
+    new Buffer([0xBA])
+  ]);
+
+  return Buffer.concat([new Buffer([0x04, 0x3E, parameters.length]), parameters]);
+}
+
+test('inode-decode decodes the MSD hex arguments as JSON', t =>
+{
+  const result = run([CARE_SENSOR_3_MSD]);
+  const output = JSON.parse(result.stdout);
+
+  t.equal(result.status, 0);
+  t.equal(output.length, 1);
+  t.equal(output[0].source, 'arg:1');
+  t.equal(output[0].type, 'msd');
+  t.equal(output[0].input, CARE_SENSOR_3_MSD);
+  t.equal(output[0].error, null);
+  t.equal(output[0].result.model, iNodeHci.DeviceModel.CareSensor3);
+  t.equal(output[0].result.temperature, 23.59);
+  t.end();
+});
+
+test('inode-decode detects the HCI frames and decodes the iNode MSD in them', t =>
+{
+  const frame = createAdvertisingReportEvent(new Buffer(CARE_SENSOR_3_MSD, 'hex')).toString('hex');
+  const result = run(['--format', 'ndjson', frame.replace(/(..)/g, '$1:').replace(/:$/, '')]);
+  const reports = result.results[0].result.parameters.reports;
+
+  t.equal(result.status, 0);
+  t.equal(result.results[0].type, 'hci');
+  t.equal(reports[0].address, '00:12:6F:00:00:01');
+  t.equal(reports[0].data[0].model, iNodeHci.DeviceModel.CareSensor3);
+  t.end();
+});
+
+test('inode-decode reads the GSM data from stdin', t =>
+{
+  const msd = iNodeHci.decodeMsd(new Buffer(CARE_SENSOR_3_MSD, 'hex'));
+  const gsmData = iNodeHci.encodeGsmData([{address: '00:12:6F:00:00:01', rssi: -70, data: [msd]}]);
+  const result = run(['-t', 'gsm', '-o', 'ndjson', '--time', String(GSM_TIME)], `${gsmData.toString('hex')}\n`);
+
+  t.equal(result.status, 0);
+  t.equal(result.results[0].source, 'stdin:1');
+  t.equal(result.results[0].result.reports.length, 1);
+  t.equal(result.results[0].result.reports[0].address, '00:12:6F:00:00:01');
+  t.end();
+});
+
+test('inode-decode exits with code 1 if any of the inputs could not be decoded', t =>
+{
+  const result = run(['-o', 'ndjson', '--strict', CARE_SENSOR_3_MSD, `${CARE_SENSOR_3_MSD}00`]);
+
+  t.equal(result.status, 1);
+  t.equal(result.results[0].error, null);
+  t.ok(/unexpected trailing bytes/.test(result.results[1].error), result.results[1].error);
+  t.equal(run(['-o', 'ndjson', `${CARE_SENSOR_3_MSD}00`]).status, 0);
+  t.end();
+});
+
+test('inode-decode formats the results as a table', t =>
+{
+  const lines = run(['--format', 'table', CARE_SENSOR_3_MSD]).stdout.trim().split('\n');
+
+  t.equal(lines.length, 2);
+  t.ok(/^source\s+type\s+modelLabel\s/.test(lines[0]), lines[0]);
+  t.ok(/^arg:1\s+msd\s+iNode Care Sensor #3\s/.test(lines[1]), lines[1]);
+  t.end();
+});
+
+test('inode-decode exits with code 2 for invalid arguments', t =>
+{
+  const invalidOption = run(['--type', 'foo']);
+  const invalidHex = run(['zz']);
+
+  t.equal(invalidOption.status, 2);
+  t.ok(invalidOption.stderr.indexOf('Option --type must be one of') === 0, invalidOption.stderr);
+  t.ok(invalidOption.stderr.indexOf('Usage: inode-decode') !== -1);
+  t.equal(invalidHex.status, 2);
+  t.equal(run(['--help']).status, 0);
+  t.end();
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const CARE_SENSOR_3_MSD = new Buffer('929301b000001700a819e8180400f4bbce6e77a00b97d1b5', 'hex');
+
+function createMsd(model, values)
+{
+  return Object.assign({
+    model: model,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    time: new Date(0)
+  }, values);
+}
+
+test('encodeMsd() round-trips the MSD of every device model decoded with the raw option', t =>
+{
+  Object.keys(iNodeHci.msdEncoders).forEach(model =>
+  {
+    const buffer = iNodeHci.encodeMsd(createMsd(+model, {temperature: 21.5, humidity: 40, pressure: 1000}));
+    const msd = iNodeHci.decodeMsd(buffer, null, {raw: true});
+
+    t.deepEqual(iNodeHci.encodeMsd(msd), buffer, `model 0x${(+model).toString(16)}`);
+  });
+
+  t.end();
+});
+
+test('encodeMsd() encodes a decoded Care Sensor MSD byte for byte', t =>
+{
+  const rawMsd = iNodeHci.decodeMsd(CARE_SENSOR_3_MSD, null, {raw: true});
+  const preciseMsd = Object.assign({}, rawMsd);
+
+  delete preciseMsd.raw;
+
+  t.equal(rawMsd.temperature, 23.59);
+  t.equal(rawMsd.humidity, 42.65);
+  t.deepEqual(iNodeHci.encodeMsd(rawMsd), CARE_SENSOR_3_MSD);
+  t.deepEqual(iNodeHci.encodeMsd(preciseMsd), CARE_SENSOR_3_MSD);
+  t.end();
+});
+
+test('encodeMsd() encodes the rounded values if the raw and precise values are not available', t =>
+{
+  const buffer = iNodeHci.encodeMsd(createMsd(DeviceModel.CareSensorHT, {temperature: 21.5, humidity: 40}));
+  const msd = iNodeHci.decodeMsd(buffer);
+
+  t.equal(msd.modelLabel, iNodeHci.deviceModels[DeviceModel.CareSensorHT].label);
+  t.ok(Math.abs(msd.temperature - 21.5) < 0.01);
+  t.ok(Math.abs(msd.humidity - 40) < 0.01);
+  t.equal(msd.time.getTime(), 0);
+  t.end();
+});
+
+test('encodeMsd() throws RangeError if a value does not fit in its register', t =>
+{
+  t.throws(
+    () => iNodeHci.encodeMsd(createMsd(DeviceModel.CareSensorPT, {temperature: -40})),
+    RangeError
+  );
+  t.throws(
+    () => iNodeHci.encodeMsd(createMsd(DeviceModel.CareSensor1, {position: {motion: false, x: 16, y: 0, z: 0}})),
+    RangeError
+  );
+  t.throws(
+    () => iNodeHci.encodeMsd(createMsd(DeviceModel.EnergyMeter, {unit: 0, constant: 1000, sum: -1})),
+    RangeError
+  );
+  t.end();
+});
+
+test('encodeMsd() throws if the device model is invalid', t =>
+{
+  t.throws(() => iNodeHci.encodeMsd(createMsd(0x01)), /not a valid device model/);
+  t.end();
+});
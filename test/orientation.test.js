@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+const Orientation = iNodeHci.Orientation;
+
+const ADDRESS = '00:12:6F:00:00:01';
+
+function decodePosition(x, y, z, options)
+{
+  const buffer = iNodeHci.encodeMsd({
+    model: DeviceModel.CareSensor1,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    position: {motion: false, x: x, y: y, z: z},
+    time: new Date(0)
+  });
+
+  return iNodeHci.decodeMsd(buffer, null, options).position;
+}
+
+function orientationTest(name, run)
+{
+  test(name, t =>
+  {
+    t.teardown(() => iNodeHci.unregisterAllReferenceOrientations());
+
+    run(t);
+    t.end();
+  });
+}
+
+orientationTest('decodeMsd() classifies the orientation of Care Sensors', t =>
+{
+  t.equal(decodePosition(0, 0, 7).orientation, Orientation.Upright);
+  t.equal(decodePosition(0, 0, -7).orientation, Orientation.UpsideDown);
+  t.equal(decodePosition(7, 0, 0).orientation, Orientation.OnLeftSide);
+  t.equal(decodePosition(-7, 0, 0).orientation, Orientation.OnRightSide);
+  t.equal(decodePosition(0, 7, 0).orientation, Orientation.OnFront);
+  t.equal(decodePosition(0, -7, 0).orientation, Orientation.OnBack);
+  t.equal(decodePosition(5, 0, 5).orientation, Orientation.Tilted);
+  t.equal(decodePosition(0, 0, 0).orientation, Orientation.Unknown);
+});
+
+orientationTest('decodeMsd() computes the pitch, roll and magnitude of the acceleration', t =>
+{
+  const position = decodePosition(0, 7, 7);
+
+  t.equal(position.pitch, 0);
+  t.equal(position.roll, 45);
+  t.equal(position.magnitude, Math.round(Math.sqrt(98) * 2 / 15 * 100) / 100);
+  t.equal(decodePosition(0, 0, 5, {accelerometerScale: 1 / 5}).magnitude, 1);
+});
+
+orientationTest('decodeMsd() computes the tilt from the reference orientation of the address', t =>
+{
+  iNodeHci.registerReferenceOrientation(ADDRESS, {x: 0, y: 0, z: 7}, {tiltThreshold: 60});
+
+  const upright = decodePosition(0, 0, 7, {address: ADDRESS});
+  const onSide = decodePosition(7, 0, 0, {address: ADDRESS.toLowerCase()});
+
+  t.equal(upright.tilt, 0);
+  t.equal(upright.tippedOver, false);
+  t.equal(onSide.tilt, 90);
+  t.equal(onSide.tippedOver, true);
+  t.equal('tilt' in decodePosition(7, 0, 0, {address: '00:12:6F:00:00:02'}), false);
+  t.equal('tilt' in decodePosition(7, 0, 0), false);
+});
+
+orientationTest('unregisterReferenceOrientation() removes the reference orientation of the address', t =>
+{
+  iNodeHci.registerReferenceOrientation(ADDRESS, {x: 0, y: 0, z: 7});
+
+  t.equal(iNodeHci.unregisterReferenceOrientation(ADDRESS), true);
+  t.equal(iNodeHci.unregisterReferenceOrientation(ADDRESS), false);
+  t.equal('tilt' in decodePosition(7, 0, 0, {address: ADDRESS}), false);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('tape');
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+const EirDataType = btHci.EirDataType;
+
+const CARE_SENSOR_3_MSD = new Buffer('929301b000001700a819e8180400f4bbce6e77a00b97d1b5', 'hex');
+const IBEACON_MSD = new Buffer('4c000215', 'hex');
+
+function createEnergyMeterMsd()
+{
+  return iNodeHci.encodeMsd({model: DeviceModel.EnergyMeter, alarms: {}, groups: 0, unit: 0, constant: 1000});
+}
+
+test('isINodeMsd() checks only the minimum length by default', t =>
+{
+  const msdLength = iNodeHci.msdLengths[DeviceModel.EnergyMeter];
+  const shortBuffer = createEnergyMeterMsd().slice(0, msdLength.minLength);
+
+  t.equal(iNodeHci.isINodeMsd(shortBuffer), true);
+  t.equal(iNodeHci.isINodeMsd(shortBuffer, {strictLength: true}), false);
+  t.equal(iNodeHci.isINodeMsd(shortBuffer.slice(0, msdLength.minLength - 1)), false);
+  t.equal(iNodeHci.isINodeMsd(IBEACON_MSD), false);
+  t.end();
+});
+
+test('isINodeMsd() honors the device models and the excluded company identifiers', t =>
+{
+  t.equal(iNodeHci.isINodeMsd(CARE_SENSOR_3_MSD, {deviceModels: [DeviceModel.EnergyMeter]}), false);
+  t.equal(iNodeHci.isINodeMsd(CARE_SENSOR_3_MSD, {deviceModels: [DeviceModel.CareSensor3]}), true);
+  t.equal(iNodeHci.isINodeMsd(CARE_SENSOR_3_MSD, {excludedCompanyIdentifiers: [0x9392]}), false);
+  t.end();
+});
+
+test('registerManufacturerSpecificDataDecoder() decodes iNode MSD and passes other MSD on', t =>
+{
+  const decoders = {};
+  const unregister = iNodeHci.registerManufacturerSpecificDataDecoder(decoders);
+  const iNodeMsd = {};
+  const otherMsd = {};
+
+  decoders[EirDataType.ManufacturerSpecificData](CARE_SENSOR_3_MSD, iNodeMsd);
+  decoders[EirDataType.ManufacturerSpecificData](IBEACON_MSD, otherMsd);
+
+  t.equal(iNodeMsd.model, DeviceModel.CareSensor3);
+  t.deepEqual(otherMsd.value, IBEACON_MSD);
+
+  unregister();
+
+  t.equal(EirDataType.ManufacturerSpecificData in decoders, false);
+  t.end();
+});
+
+test('registerManufacturerSpecificDataDecoder() unregisters without breaking the decoders registered later', t =>
+{
+  const calls = [];
+  const decoders = {
+    [EirDataType.ManufacturerSpecificData]: () => calls.push('original')
+  };
+  const unregister = iNodeHci.registerManufacturerSpecificDataDecoder(decoders);
+  const iNodeDecoder = decoders[EirDataType.ManufacturerSpecificData];
+
+  decoders[EirDataType.ManufacturerSpecificData] = (buffer, msd) =>
+  {
+    calls.push('later');
+    iNodeDecoder(buffer, msd);
+  };
+
+  unregister();
+
+  const msd = {};
+
+  decoders[EirDataType.ManufacturerSpecificData](CARE_SENSOR_3_MSD, msd);
+
+  t.deepEqual(calls, ['later', 'original']);
+  t.equal('model' in msd, false);
+  t.end();
+});
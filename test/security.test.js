@@ -0,0 +1,188 @@
+'use strict';
+
+const crypto = require('crypto');
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const NOW = Date.UTC(2018, 0, 1);
+const ADDRESS = '00:12:6F:00:00:01';
+const KEY = '000102030405060708090a0b0c0d0e0f';
+
+/**
+ * A scheme for the tests only: the signature is the first 8 bytes of the AES-128 encrypted first 16 bytes
+ * of the MSD and the sensor values (bytes 6-11) are XORed with the AES-128 encrypted first 16 bytes
+ * of the MSD with those values zeroed.
+ */
+const TEST_SCHEME = {
+  sign: (buffer, key) => encryptBlock(key, buffer.slice(0, 16)).slice(0, 8),
+  encrypt: cryptValues,
+  decrypt: cryptValues
+};
+
+function encryptBlock(key, block)
+{
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, new Buffer(0));
+
+  cipher.setAutoPadding(false);
+
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+}
+
+function cryptValues(buffer, key)
+{
+  const nonce = new Buffer(buffer.slice(0, 16));
+
+  nonce.fill(0, 6, 12);
+
+  const keyStream = encryptBlock(key, nonce);
+
+  for (let i = 6; i < 12; ++i)
+  {
+    buffer[i] ^= keyStream[i];
+  }
+
+  return buffer;
+}
+
+function createSignedMsd(time, key)
+{
+  const buffer = iNodeHci.encodeMsd({
+    model: DeviceModel.CareSensorHT,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    temperature: 21.5,
+    humidity: 40,
+    time: new Date(time)
+  });
+
+  return iNodeHci.signMsd(buffer, key || KEY, {encrypted: true});
+}
+
+function decode(buffer, address, verifiedTimes)
+{
+  return iNodeHci.decodeMsd(buffer, null, {address: address, now: () => NOW, verifiedTimes: verifiedTimes});
+}
+
+function securityTest(name, run)
+{
+  test(name, t =>
+  {
+    iNodeHci.setMsdSecurityScheme(TEST_SCHEME);
+
+    t.teardown(() =>
+    {
+      iNodeHci.unregisterAllDeviceKeys();
+      iNodeHci.setMsdSecurityScheme(null);
+    });
+
+    run(t);
+    t.end();
+  });
+}
+
+securityTest('decodeMsd() verifies and decrypts MSD signed with the key of the device', t =>
+{
+  iNodeHci.registerDeviceKey(ADDRESS, KEY, {encrypted: true});
+
+  const msd = decode(createSignedMsd(NOW), ADDRESS);
+
+  t.equal(msd.verified, true);
+  t.ok(Math.abs(msd.temperature - 21.5) < 0.01);
+});
+
+securityTest('decodeMsd() does not set verified if the address is unknown or has no key', t =>
+{
+  iNodeHci.registerDeviceKey(ADDRESS, KEY, {encrypted: true});
+
+  const buffer = createSignedMsd(NOW);
+
+  t.equal('verified' in decode(buffer, null), false);
+  t.equal('verified' in decode(buffer, '00:12:6F:00:00:02'), false);
+});
+
+securityTest('decodeMsd() rejects MSD signed with the key of another device', t =>
+{
+  iNodeHci.registerDeviceKey(ADDRESS, KEY, {encrypted: true});
+  iNodeHci.registerDeviceKey('00:12:6F:00:00:02', 'ff'.repeat(16), {encrypted: true});
+
+  t.equal(decode(createSignedMsd(NOW, 'ff'.repeat(16)), ADDRESS).verified, false);
+});
+
+securityTest('decodeMsd() rejects stale and replayed MSD', t =>
+{
+  iNodeHci.registerDeviceKey(ADDRESS, KEY, {encrypted: true});
+
+  const verifiedTimes = new Map();
+  const latest = createSignedMsd(NOW);
+
+  t.equal(decode(createSignedMsd(NOW - 3600000), ADDRESS, verifiedTimes).verified, false);
+  t.equal(decode(latest, ADDRESS, verifiedTimes).verified, true);
+  t.equal(decode(latest, ADDRESS, verifiedTimes).verified, true);
+  t.equal(decode(createSignedMsd(NOW - 60000), ADDRESS, verifiedTimes).verified, false);
+  t.equal(decode(createSignedMsd(NOW + 60000), ADDRESS, verifiedTimes).verified, true);
+  t.equal(decode(createSignedMsd(NOW - 60000), ADDRESS).verified, true);
+});
+
+securityTest('decodeMsd() accepts changed MSD of the same second', t =>
+{
+  iNodeHci.registerDeviceKey(ADDRESS, KEY);
+
+  const verifiedTimes = new Map();
+  const changed = iNodeHci.encodeMsd({
+    model: DeviceModel.CareSensorHT,
+    alarms: {},
+    temperature: 22.5,
+    humidity: 40,
+    time: new Date(NOW)
+  });
+
+  t.equal(decode(createSignedMsd(NOW), ADDRESS, verifiedTimes).verified, true);
+  t.equal(decode(iNodeHci.signMsd(changed, KEY), ADDRESS, verifiedTimes).verified, true);
+});
+
+securityTest('decodeMsd() keeps the verified times of every receiver separately', t =>
+{
+  iNodeHci.registerDeviceKey(ADDRESS, KEY);
+
+  const receiver1 = new Map();
+  const receiver2 = new Map();
+
+  t.equal(decode(createSignedMsd(NOW), ADDRESS, receiver1).verified, true);
+  t.equal(decode(createSignedMsd(NOW - 1000), ADDRESS, receiver2).verified, true);
+  t.equal(decode(createSignedMsd(NOW - 1000), ADDRESS, receiver1).verified, false);
+});
+
+securityTest('registerDeviceKey() accepts maxTimeSkew of Infinity for old captures', t =>
+{
+  iNodeHci.registerDeviceKey(ADDRESS, KEY, {encrypted: true, maxTimeSkew: Infinity});
+
+  t.equal(decode(createSignedMsd(0), ADDRESS).verified, true);
+});
+
+securityTest('registerDeviceKey() throws if the key is not 16 bytes long', t =>
+{
+  t.throws(() => iNodeHci.registerDeviceKey(ADDRESS, '0001'), /16 bytes long AES-128 key/);
+});
+
+test('registerDeviceKey() and signMsd() throw if the security scheme is not set', t =>
+{
+  const buffer = iNodeHci.encodeMsd({model: DeviceModel.CareSensorHT, alarms: {}, time: new Date(NOW)});
+
+  t.throws(() => iNodeHci.registerDeviceKey(ADDRESS, KEY), /setMsdSecurityScheme/);
+  t.throws(() => iNodeHci.signMsd(buffer, KEY), /setMsdSecurityScheme/);
+  t.end();
+});
+
+securityTest('decodeMsd() does not verify MSD after the security scheme is removed', t =>
+{
+  iNodeHci.registerDeviceKey(ADDRESS, KEY);
+
+  const buffer = createSignedMsd(NOW);
+
+  iNodeHci.setMsdSecurityScheme(null);
+
+  t.equal('verified' in decode(buffer, ADDRESS), false);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+const REPORT_TIME = 1514764800000;
+
+function createMsd(values)
+{
+  const buffer = iNodeHci.encodeMsd(Object.assign({
+    model: DeviceModel.CareSensorHT,
+    alarms: {lowBattery: true},
+    groups: 0,
+    batteryLevel: 100,
+    temperature: 21.5,
+    humidity: 40,
+    time: new Date(0)
+  }, values));
+
+  return iNodeHci.decodeMsd(buffer);
+}
+
+function createReport(time, rssi, values)
+{
+  return {
+    address: '00:12:6f:00:00:01',
+    rssi: rssi,
+    time: new Date(time),
+    data: [{type: 0x09, value: 'Fridge, "A" 1'}, createMsd(values)]
+  };
+}
+
+test('flattenMsdFields() flattens the numeric and boolean fields to snake_case names', t =>
+{
+  const msd = createMsd({});
+
+  msd.dewPoint = 7.6;
+  msd.time = new Date(0);
+  msd.signature = 'ce6e77a00b97d1b5';
+  msd.invalid = NaN;
+
+  const fields = iNodeHci.flattenMsdFields(msd);
+  const names = fields.map(field => field.name);
+
+  t.deepEqual(fields.slice(0, 2), [{name: 'rtto', value: false}, {name: 'alarms_low_battery', value: true}]);
+  t.deepEqual(names.slice(-4), ['battery_voltage', 'temperature', 'humidity', 'dew_point']);
+  t.equal(names.indexOf('model'), -1);
+  t.equal(names.indexOf('time'), -1);
+  t.equal(names.indexOf('signature'), -1);
+  t.equal(names.indexOf('invalid'), -1);
+  t.end();
+});
+
+test('formatInfluxLineProtocol() formats the MSD of the reports as escaped lines', t =>
+{
+  const lines = iNodeHci.formatInfluxLineProtocol(createReport(REPORT_TIME, -70, {}), {tags: {gateway: 'gw 1'}})
+    .split('\n');
+
+  t.equal(lines.length, 2);
+  t.equal(lines[1], '');
+  t.equal(
+    lines[0].split(' rtto=')[0],
+    'inode_care_sensor_ht,gateway=gw\\ 1,address=00:12:6F:00:00:01,model=CareSensorHT,name=Fridge\\,\\ "A"\\ 1'
+  );
+  t.ok(/,temperature=21\.5,humidity=40,rssi=-70 1514764800000000000$/.test(lines[0]), lines[0]);
+  t.end();
+});
+
+test('formatInfluxLineProtocol() formats the MSD objects without a timestamp', t =>
+{
+  const line = iNodeHci.formatInfluxLineProtocol(createMsd({}), {prefix: ''});
+
+  t.ok(/^care_sensor_ht,model=CareSensorHT rtto=false,.*,humidity=40\n$/.test(line), line);
+  t.equal(iNodeHci.formatInfluxLineProtocol([{address: '00:12:6F:00:00:01', data: []}]), '');
+  t.end();
+});
+
+test('formatPrometheusMetrics() exposes the latest values of every device as gauges', t =>
+{
+  const metrics = iNodeHci.formatPrometheusMetrics([
+    createReport(REPORT_TIME, -70, {temperature: 21.5}),
+    createReport(REPORT_TIME - 60000, -50, {temperature: 18})
+  ], {labels: {gateway: 'gw-1'}, timestamps: true}).split('\n');
+  const labels = 'gateway="gw-1",address="00:12:6F:00:00:01",model="CareSensorHT",name="Fridge, \\"A\\" 1"';
+
+  t.equal(metrics[0], '# TYPE inode_rtto gauge');
+  t.equal(metrics[1], `inode_rtto{${labels}} 0 ${REPORT_TIME}`);
+  t.ok(metrics.indexOf(`inode_alarms_low_battery{${labels}} 1 ${REPORT_TIME}`) !== -1);
+  t.ok(metrics.indexOf(`inode_temperature{${labels}} 21.5 ${REPORT_TIME}`) !== -1);
+  t.ok(metrics.indexOf(`inode_rssi{${labels}} -70 ${REPORT_TIME}`) !== -1);
+  t.equal(metrics.filter(line => line.indexOf('inode_temperature{') === 0).length, 1);
+  t.end();
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('tape');
+const iNodeHci = require('../lib');
+const units = require('../lib/units');
+
+const DeviceModel = iNodeHci.DeviceModel;
+
+function decodeEnergyMeter(unit, average, sum, options)
+{
+  const buffer = iNodeHci.encodeMsd({
+    model: DeviceModel.EnergyMeter,
+    alarms: {},
+    groups: 0,
+    batteryLevel: 100,
+    unit: unit,
+    constant: 1000,
+    average: average,
+    sum: sum
+  });
+
+  return iNodeHci.decodeMsd(buffer, null, options);
+}
+
+function decodeCareSensorPht(options)
+{
+  const buffer = iNodeHci.encodeMsd({
+    model: DeviceModel.CareSensorPHT,
+    alarms: {},
+    temperature: 22,
+    humidity: 50,
+    pressure: 1013.25,
+    time: new Date(0)
+  });
+
+  return iNodeHci.decodeMsd(buffer, null, options);
+}
+
+test('decodeMsd() converts the temperature and the pressure and records the units', t =>
+{
+  const plain = decodeCareSensorPht();
+  const msd = decodeCareSensorPht({
+    units: {
+      temperature: iNodeHci.TemperatureUnit.Fahrenheit,
+      pressure: iNodeHci.PressureUnit.InchOfMercury,
+      voltage: iNodeHci.VoltageUnit.Millivolt
+    }
+  });
+
+  t.equal(msd.temperature, Math.round((plain.temperature * 9 / 5 + 32) * 100) / 100);
+  t.equal(msd.pressure, 29.92);
+  t.equal(msd.batteryVoltage, plain.batteryVoltage * 1000);
+  t.deepEqual(msd.units, {
+    temperature: '°F',
+    pressure: 'inHg',
+    batteryVoltage: 'mV',
+    humidity: '%',
+    batteryLevel: '%'
+  });
+  t.equal('units' in plain, false);
+  t.end();
+});
+
+test('decodeMsd() converts the Energy Meter values as power, energy and volume', t =>
+{
+  const electricity = decodeEnergyMeter(0, 1.5, 1234.567, {
+    units: {power: iNodeHci.PowerUnit.Watt, energy: iNodeHci.EnergyUnit.WattHour}
+  });
+  const water = decodeEnergyMeter(1, 0.06, 12.345, {units: {volume: iNodeHci.VolumeUnit.Litre}});
+
+  t.equal(electricity.average, 1500);
+  t.equal(electricity.sum, 1234567);
+  t.equal(electricity.averageUnit, 'W');
+  t.equal(electricity.sumUnit, 'Wh');
+  t.equal(water.average, 60);
+  t.equal(water.sum, 12345);
+  t.deepEqual(water.units, {batteryVoltage: 'V', batteryLevel: '%', lightLevel: '%', average: 'l', sum: 'l'});
+  t.end();
+});
+
+test('decodeMsd() keeps the decoder precision of the converted Energy Meter values', t =>
+{
+  const msd = decodeEnergyMeter(0, 0, 1234.567, {units: {energy: iNodeHci.EnergyUnit.MegawattHour}});
+
+  t.equal(msd.sum, 1.234567);
+  t.equal(decodeEnergyMeter(0, 0, 1234.567, {precision: 0, units: {}}).sum, 1234.567);
+  t.end();
+});
+
+test('decodeMsd() leaves the precise and raw values in the units used by the decoder', t =>
+{
+  const plain = decodeCareSensorPht({raw: true});
+  const msd = decodeCareSensorPht({raw: true, units: {temperature: iNodeHci.TemperatureUnit.Kelvin}});
+  const energyMeter = decodeEnergyMeter(0, 0, 2.5, {raw: true, units: {energy: iNodeHci.EnergyUnit.WattHour}});
+
+  t.equal(msd.temperature, Math.round((plain.temperature + 273.15) * 100) / 100);
+  t.deepEqual(msd.precise, plain.precise);
+  t.deepEqual(msd.raw, plain.raw);
+  t.equal(energyMeter.sum, 2500);
+  t.equal(energyMeter.precise.sum, 2.5);
+  t.equal(energyMeter.raw.sum, 2500);
+  t.deepEqual(iNodeHci.encodeMsd(msd), iNodeHci.encodeMsd(plain));
+  t.end();
+});
+
+test('decodeMsd() throws for invalid units', t =>
+{
+  t.throws(() => decodeCareSensorPht({units: {temperature: 'C'}}), /'C' is not a valid temperature unit/);
+  t.end();
+});
+
+test('revertEnergyMeterSum() converts the sum back to the unit used by the decoder', t =>
+{
+  t.equal(units.revertEnergyMeterSum(2500, 'Wh'), 2.5);
+  t.equal(units.revertEnergyMeterSum(12345, 'l'), 12.345);
+  t.equal(units.revertEnergyMeterSum(42, 'cnt'), 42);
+  t.throws(() => units.revertEnergyMeterSum(1, 'W'), /'W' is not a valid energy or volume unit/);
+  t.end();
+});